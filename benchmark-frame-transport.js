@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+
+/**
+ * VueSeq Frame Transport Benchmark
+ *
+ * Measures how fast frames move between the pages and Node, comparing the
+ * base64 data URLs VueSeq used to pass through page.evaluate() with the
+ * binary frame channel (src/renderer/frame-channel.js):
+ *
+ * - Capture → encoder: the parallel renderer's path, from a capture page's
+ *   canvas to the encoder page's canvas (jpeg, png, webp, raw RGBA)
+ * - Node → page: the standard renderer's path, a PNG screenshot drawn on
+ *   the encoder page's canvas
+ *
+ * Times include encoding, transfer, decoding and drawing, not capture.
+ *
+ * Usage:
+ *   node benchmark-frame-transport.js                  # 1080p and 4K
+ *   node benchmark-frame-transport.js --frames 60      # More frames per run
+ *   node benchmark-frame-transport.js --resolution 4k  # One resolution
+ *   node benchmark-frame-transport.js --json           # Output as JSON
+ */
+
+import { chromium } from 'playwright'
+import { createServer } from 'http'
+import { parseArgs } from 'node:util'
+import { getOptimalChromiumConfig } from './src/renderer/gpu.js'
+import {
+  FRAME_FORMATS,
+  openFrameChannel,
+  installFrameChannel,
+} from './src/renderer/frame-channel.js'
+
+const RESOLUTIONS = {
+  '1080p': { width: 1920, height: 1080 },
+  '4k': { width: 3840, height: 2160 },
+}
+
+// Same quality the parallel renderer uses for lossy frames
+const QUALITY = 0.95
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Pages
+// ═══════════════════════════════════════════════════════════════════════════
+
+// A page with a canvas, plus a paint() that draws a detailed frame into it
+// (gradients, shapes and text compress about like a real composition)
+const PAGE_HTML = `<!DOCTYPE html>
+<html>
+<body style="margin: 0">
+  <canvas id="canvas"></canvas>
+  <script>
+    const canvas = document.getElementById('canvas')
+    window.setup = (width, height) => {
+      canvas.width = width
+      canvas.height = height
+    }
+    window.paint = (frame) => {
+      const ctx = canvas.getContext('2d')
+      const { width, height } = canvas
+      const gradient = ctx.createLinearGradient(0, 0, width, height)
+      gradient.addColorStop(0, '#1a1a2e')
+      gradient.addColorStop(1, 'hsl(' + (frame * 7) % 360 + ', 60%, 40%)')
+      ctx.fillStyle = gradient
+      ctx.fillRect(0, 0, width, height)
+      for (let i = 0; i < 200; i++) {
+        const x = ((i * 7919 + frame * 13) % 1000) / 1000 * width
+        const y = ((i * 104729 + frame * 7) % 1000) / 1000 * height
+        ctx.fillStyle = 'hsla(' + (i * 37) % 360 + ', 70%, 60%, 0.6)'
+        ctx.beginPath()
+        ctx.arc(x, y, (width / 60) * (1 + (i % 5)), 0, Math.PI * 2)
+        ctx.fill()
+      }
+      ctx.fillStyle = '#fff'
+      ctx.font = Math.round(height / 10) + 'px sans-serif'
+      ctx.fillText('VueSeq frame ' + frame, width / 10, height / 2)
+    }
+    window.draw = (image) => {
+      const ctx = canvas.getContext('2d')
+      ctx.clearRect(0, 0, canvas.width, canvas.height)
+      ctx.drawImage(image, 0, 0)
+    }
+    window.loadImage = (src) =>
+      new Promise((resolve, reject) => {
+        const img = new Image()
+        img.onload = () => resolve(img)
+        img.onerror = () => reject(new Error('The frame could not be decoded'))
+        img.src = src
+      })
+  </script>
+</body>
+</html>`
+
+// Serve the page over loopback HTTP, like Vite does for real renders
+async function startPageServer() {
+  const server = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' })
+    res.end(PAGE_HTML)
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  }
+}
+
+async function openPage(context, url, { width, height }, channel) {
+  const page = await context.newPage()
+  await page.goto(url)
+  await page.evaluate(({ width, height }) => window.setup(width, height), {
+    width,
+    height,
+  })
+  await installFrameChannel(page, channel)
+  return page
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Transports
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Capture page → Node → encoder page, as a data URL both ways
+async function dataUrlFrame({ capture, encoder, type }) {
+  const dataUrl = await capture.evaluate(
+    ({ type, quality }) =>
+      document.getElementById('canvas').toDataURL(type, quality),
+    { type, quality: QUALITY },
+  )
+  await encoder.evaluate(async (src) => {
+    window.draw(await window.loadImage(src))
+  }, dataUrl)
+  return Buffer.byteLength(dataUrl)
+}
+
+// Capture page → channel → encoder page, as bytes
+async function channelFrame({ capture, encoder, channel, type, raw }) {
+  const id = channel.createId()
+  await capture.evaluate(
+    ({ id, type, quality }) =>
+      window.__VUESEQ_SEND_FRAME__(id, document.getElementById('canvas'), {
+        type,
+        quality,
+      }),
+    { id, type, quality: QUALITY },
+  )
+  const bytes = channel.bufferedBytes
+  await encoder.evaluate(
+    async ({ id, raw }) => {
+      const bitmap = await window.__VUESEQ_RECEIVE_FRAME__(id, { raw })
+      window.draw(bitmap)
+      bitmap.close()
+    },
+    { id, raw },
+  )
+  return bytes
+}
+
+// Node → encoder page: a PNG as a base64 data URL
+async function pngDataUrlFrame({ encoder, png }) {
+  const dataUrl = `data:image/png;base64,${png.toString('base64')}`
+  await encoder.evaluate(async (src) => {
+    window.draw(await window.loadImage(src))
+  }, dataUrl)
+  return Buffer.byteLength(dataUrl)
+}
+
+// Node → encoder page: a PNG through the channel
+async function pngChannelFrame({ encoder, channel, png }) {
+  const id = channel.createId()
+  channel.put(id, png)
+  await encoder.evaluate(async (id) => {
+    const bitmap = await window.__VUESEQ_RECEIVE_FRAME__(id)
+    window.draw(bitmap)
+    bitmap.close()
+  }, id)
+  return png.length
+}
+
+const CASES = [
+  {
+    path: 'Capture → encoder',
+    name: 'data URL, jpeg',
+    run: (ctx) => dataUrlFrame({ ...ctx, type: FRAME_FORMATS.jpeg }),
+  },
+  {
+    path: 'Capture → encoder',
+    name: 'data URL, png',
+    run: (ctx) => dataUrlFrame({ ...ctx, type: FRAME_FORMATS.png }),
+  },
+  {
+    path: 'Capture → encoder',
+    name: 'channel, jpeg',
+    run: (ctx) => channelFrame({ ...ctx, type: FRAME_FORMATS.jpeg }),
+  },
+  {
+    path: 'Capture → encoder',
+    name: 'channel, png',
+    run: (ctx) => channelFrame({ ...ctx, type: FRAME_FORMATS.png }),
+  },
+  {
+    path: 'Capture → encoder',
+    name: 'channel, webp',
+    run: (ctx) => channelFrame({ ...ctx, type: FRAME_FORMATS.webp }),
+  },
+  {
+    path: 'Capture → encoder',
+    name: 'channel, raw',
+    run: (ctx) =>
+      channelFrame({
+        ...ctx,
+        type: FRAME_FORMATS.raw,
+        raw: { width: ctx.width, height: ctx.height },
+      }),
+  },
+  {
+    path: 'Node → page',
+    name: 'data URL, png',
+    run: pngDataUrlFrame,
+  },
+  {
+    path: 'Node → page',
+    name: 'channel, png',
+    run: pngChannelFrame,
+  },
+]
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Benchmark
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function benchmarkResolution(browser, pageUrl, resolution, frames) {
+  const { width, height } = RESOLUTIONS[resolution]
+  const channel = await openFrameChannel()
+  const context = await browser.newContext({
+    viewport: { width, height },
+    deviceScaleFactor: 1,
+  })
+
+  try {
+    const capture = await openPage(context, pageUrl, { width, height }, channel)
+    const encoder = await openPage(context, pageUrl, { width, height }, channel)
+
+    // The standard renderer sends PNG screenshots; one is reused
+    await capture.evaluate((frame) => window.paint(frame), 0)
+    const png = await capture.screenshot({ type: 'png' })
+
+    const results = []
+    for (const { path, name, run } of CASES) {
+      const ctx = { capture, encoder, channel, png, width, height }
+
+      // One untimed frame warms up decoders and connections
+      await capture.evaluate((frame) => window.paint(frame), 0)
+      await run(ctx)
+
+      let elapsed = 0
+      let bytes = 0
+      for (let frame = 1; frame <= frames; frame++) {
+        await capture.evaluate((frame) => window.paint(frame), frame)
+        const start = performance.now()
+        bytes += await run(ctx)
+        elapsed += performance.now() - start
+      }
+
+      results.push({
+        resolution,
+        path,
+        name,
+        frames,
+        msPerFrame: Math.round((elapsed / frames) * 10) / 10,
+        fps: Math.round((frames / elapsed) * 1000 * 10) / 10,
+        mbPerFrame: Math.round((bytes / frames / 1024 / 1024) * 100) / 100,
+      })
+    }
+    return results
+  } finally {
+    await context.close()
+    await channel.close()
+  }
+}
+
+function printResults(results) {
+  let heading = null
+  for (const result of results) {
+    const current = `${result.resolution} · ${result.path}`
+    if (current !== heading) {
+      heading = current
+      console.log(`\n${heading}`)
+    }
+    console.log(
+      `  ${result.name.padEnd(16)} ${String(result.msPerFrame).padStart(8)} ms/frame ${String(result.fps).padStart(8)} fps ${String(result.mbPerFrame).padStart(8)} MB/frame`,
+    )
+  }
+  console.log()
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      frames: { type: 'string', default: '30' },
+      resolution: { type: 'string' },
+      json: { type: 'boolean', default: false },
+    },
+  })
+
+  const frames = parseInt(values.frames, 10)
+  if (!(frames > 0)) throw new Error('--frames must be a positive number')
+  const resolutions = values.resolution
+    ? [values.resolution.toLowerCase()]
+    : Object.keys(RESOLUTIONS)
+  for (const resolution of resolutions) {
+    if (!RESOLUTIONS[resolution]) {
+      throw new Error(
+        `Unknown resolution "${resolution}". Use one of: ${Object.keys(RESOLUTIONS).join(', ')}`,
+      )
+    }
+  }
+
+  const gpuConfig = await getOptimalChromiumConfig()
+  const launchOptions = { headless: gpuConfig.headless, args: gpuConfig.args }
+  if (gpuConfig.channel) launchOptions.channel = gpuConfig.channel
+  const browser = await chromium.launch(launchOptions)
+  const pageServer = await startPageServer()
+
+  const results = []
+  try {
+    for (const resolution of resolutions) {
+      if (!values.json) {
+        process.stdout.write(`Benchmarking ${resolution} (${frames} frames per transport)...\n`)
+      }
+      results.push(
+        ...(await benchmarkResolution(browser, pageServer.url, resolution, frames)),
+      )
+    }
+  } finally {
+    await browser.close()
+    await pageServer.close()
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(results, null, 2))
+  } else {
+    printResults(results)
+  }
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error.message)
+  process.exit(1)
+})
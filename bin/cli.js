@@ -7,6 +7,12 @@
  *
  * Usage:
  *   vueseq <Video.vue> [options]
+ *   vueseq batch <Video.vue> --data rows.csv [options]
+ *   vueseq still <Video.vue> --frame 90 -o thumb.png
+ *   vueseq preview <Video.vue>
+ *   vueseq coordinator <Video.vue> -o out.mp4
+ *   vueseq worker --connect host:7070
+ *   vueseq clean [Video.vue]
  *
  * Example:
  *   vueseq MyAnimation.vue -d 5 -o my-video.mp4
@@ -23,17 +29,90 @@ VueSeq - Render Vue + GSAP components to video
 
 USAGE:
   vueseq <Video.vue> [options]
+  vueseq batch <Video.vue> --data <rows.csv|rows.json> [options]
+  vueseq still <Video.vue> [--frame <n> | --time <3.0s>] [options]
+  vueseq preview <Video.vue> [options]
+  vueseq coordinator <Video.vue> [options]
+  vueseq worker --connect <host:port>
+  vueseq clean [<Video.vue>] [--all]
+
+COMMANDS:
+  batch             Render one video per data row (rows are passed as props)
+  still             Render a single frame to .png, .jpg or .webp (default: ./still.png)
+  preview           Open a player with a timeline scrubber; edits hot-reload in place
+  coordinator       Split the video into chunks and hand them to workers, then join
+                    their segments without re-encoding
+  worker            Render chunks for a coordinator; run it from the same project
+                    directory (paths are sent relative to it)
+  clean             Remove stale --resume work directories (composition gone or
+                    changed, or unused for a week); with a .vue file, all of
+                    its work directories; with --all, every one
 
 OPTIONS:
+  -p, --profile     Use a named profile from vueseq.config.js/.json (next to the .vue file)
+  --config          Config file to use instead of the one next to the .vue file
+                    Precedence: command-line flags > profile > config defaults
+  --vite-config     Host Vite config to merge (default: nearest vite.config.* above the .vue file)
+  --no-vite-config  Don't merge any host Vite config
+  --setup           Module exporting (app, { props, config }) => {}, run before mount
+                    to install Pinia, i18n, global components and directives
   -o, --output      Output file (default: ./output.mp4)
+                    The extension picks the container: .mp4, .webm, .mov, .mkv
+                    or an animated image: .gif, .webp, .apng (needs FFmpeg)
+                    For batch: path template, e.g. "out/{id}.mp4" (default: ./out/{index}.mp4)
+  -c, --codec       Video codec: avc, hevc, vp9, av1 (default: avc, vp9 for .webm)
+  --quality         Encoding quality: low, medium, high, very-high (default: high)
+  --bitrate         Video bitrate, e.g. 8M or 2500k (overrides --quality)
+  --keyframe-interval  Seconds between key frames (default: 5)
+  --bitrate-mode    constant or variable (default: encoder's choice)
+  --latency-mode    quality or realtime (default: quality)
+  --gif-fps         Frame rate of .gif/.webp/.apng output (skips frames; default: --fps)
+  --loop            Times an animated image plays, 0 = forever (default: 0)
+  --dither          GIF dithering: none, bayer, floyd_steinberg, sierra2, sierra2_4a (default)
+  --palette         GIF palette: global (default), diff, per-frame
+  --colors          GIF palette size, 2-256 (default: 256)
+  --sequence        Write an image sequence instead of a video, e.g. "out/frame-%05d.png"
+                    The extension picks the format: .png, .jpg, .webp
+  --frames          Frame range to render, inclusive, e.g. 120-240 or 120- (sequences)
+  --start-number    File number of the first image (default: its frame index)
+  --image-quality   JPEG/WebP quality, 0-100 (default: 90)
+  --frame           Frame to render with still (default: 0)
+  --time            Time to render with still instead of --frame, e.g. 3.0s or 1500ms
+  --scale           Pixel density of still images, e.g. 2 for 2x (default: 1)
+  --port            Preview server port (default: a free port)
+                    or coordinator port (default: 7070)
+  --host            Interface the coordinator listens on (default: all)
+  --chunks          Number of chunks the coordinator hands out (default: 16)
+  --connect         Coordinator address for worker, e.g. render-box:7070
+  --name            Worker name shown by the coordinator (default: host-pid)
+  --transparent     Keep the alpha channel: .webm/.mkv (VP9), .mov (ProRes 4444, needs FFmpeg)
+                    or .png/.webp sequences. Video output defaults to ./output.webm
   -d, --duration    Duration in seconds (auto-detected if not specified)
   -f, --fps         Frames per second (default: 30)
   -w, --width       Video width in pixels (default: 1920)
   -H, --height      Video height in pixels (default: 1080)
+                    The composition can set its own size, fps and duration
+                    with defineOptions({ vueseq: {...} }); flags override it
+  --props           JSON object passed as props to the component
+  --props-file      JSON file with props (merged before --props)
+  --audio           Background audio file, starts at 0 (mixed with <SeqAudio> sounds)
+  --data            Batch data manifest (.csv with header row, or .json array)
+  --summary         Batch summary JSON path (default: batch-summary.json next to outputs)
   --gpu-backend     GPU backend: auto, vulkan, egl, metal, d3d11, software (default: auto)
   --optimized       Use optimized in-browser capture (eliminates PNG overhead)
   --parallel        Use parallel frame capture with multiple browser pages
-  --workers         Number of parallel workers (default: auto-detected cores)
+  --frame-format    How --parallel moves frames to the encoder: jpeg, png, webp or
+                    raw (lossless RGBA; default: jpeg, png with --transparent)
+  --chunked         Render contiguous chunks in separate browser processes, each
+                    with its own encoder, and join them without re-encoding
+  --workers         Number of parallel workers or chunks (default: auto-detected cores)
+  --resume          Keep finished chunks on disk and skip them when the same render
+                    runs again after a crash or Ctrl+C (implies --chunked; also
+                    for coordinator)
+  --work-dir        Where --resume keeps chunks (default: vueseq-work in the temp dir)
+  --begin-frame     Capture through Chromium's compositor (HeadlessExperimental.beginFrame):
+                    one composited frame per seek, exact CSS rendering (standard,
+                    --chunked and coordinator; needs Chromium's headless shell)
   --monitor-memory  Log memory usage during rendering
   --benchmark       Compare original vs optimized render methods
   -v, --version     Show version number
@@ -43,6 +122,19 @@ EXAMPLE:
   npx vueseq examples/HelloWorld.vue -o examples/hello.mp4
   npx vueseq examples/HelloWorld.vue --optimized -o examples/hello.mp4
   npx vueseq examples/Showcase.vue --parallel --workers 4 --monitor-memory
+  npx vueseq Video.vue --props '{"name":"Ada"}' -o ada.mp4
+  npx vueseq Video.vue --codec av1 -o video.webm
+  npx vueseq LowerThird.vue --transparent -o lower-third.webm
+  npx vueseq Video.vue --sequence "out/frame-%05d.png" --frames 120-240 --parallel
+  npx vueseq Logo.vue -w 480 -H 270 --gif-fps 15 -o logo.gif
+  npx vueseq Video.vue --quality low -w 1080 -H 1920 -o preview.mp4
+  npx vueseq Video.vue --bitrate 40M --keyframe-interval 1 -o master.mp4
+  npx vueseq batch Video.vue --data rows.csv -o "out/{id}.mp4"
+  npx vueseq still Video.vue --time 3.0s --scale 2 -o og-image.png
+  npx vueseq preview Video.vue --port 3000
+  npx vueseq coordinator Video.vue --chunks 32 -o final.mp4
+  npx vueseq worker --connect render-box:7070
+  npx vueseq Video.vue --profile youtube-4k -o final.mp4
 
 GPU DIAGNOSTICS:
   node test-gpu.js              # Run full GPU diagnostics
@@ -50,28 +142,80 @@ GPU DIAGNOSTICS:
 `)
 }
 
+// Subcommands come first; anything else is a plain render
+const COMMANDS = [
+  'batch',
+  'still',
+  'preview',
+  'coordinator',
+  'worker',
+  'clean',
+]
+const command = COMMANDS.includes(process.argv[2]) ? process.argv[2] : 'render'
+
 // Parse command line arguments
-const { values, positionals } = parseArgs({
+const { values: flags, positionals } = parseArgs({
+  args: process.argv.slice(command === 'render' ? 2 : 3),
   allowPositionals: true,
   options: {
-    output: { type: 'string', short: 'o', default: './output.mp4' },
+    output: { type: 'string', short: 'o' },
+    codec: { type: 'string', short: 'c' },
+    transparent: { type: 'boolean' },
+    quality: { type: 'string' },
+    bitrate: { type: 'string' },
+    'keyframe-interval': { type: 'string' },
+    'bitrate-mode': { type: 'string' },
+    'latency-mode': { type: 'string' },
+    'gif-fps': { type: 'string' },
+    loop: { type: 'string' },
+    dither: { type: 'string' },
+    palette: { type: 'string' },
+    colors: { type: 'string' },
+    sequence: { type: 'string' },
+    frames: { type: 'string' },
+    'start-number': { type: 'string' },
+    'image-quality': { type: 'string' },
+    frame: { type: 'string' },
+    time: { type: 'string' },
+    scale: { type: 'string' },
+    port: { type: 'string' },
+    host: { type: 'string' },
+    chunks: { type: 'string' },
+    connect: { type: 'string' },
+    name: { type: 'string' },
     duration: { type: 'string', short: 'd' },
-    fps: { type: 'string', short: 'f', default: '30' },
-    width: { type: 'string', short: 'w', default: '1920' },
-    height: { type: 'string', short: 'H', default: '1080' },
-    'gpu-backend': { type: 'string', default: 'auto' },
-    optimized: { type: 'boolean', default: false },
-    parallel: { type: 'boolean', default: false },
+    fps: { type: 'string', short: 'f' },
+    width: { type: 'string', short: 'w' },
+    height: { type: 'string', short: 'H' },
+    props: { type: 'string' },
+    'props-file': { type: 'string' },
+    audio: { type: 'string' },
+    data: { type: 'string' },
+    summary: { type: 'string' },
+    'gpu-backend': { type: 'string' },
+    optimized: { type: 'boolean' },
+    parallel: { type: 'boolean' },
+    'frame-format': { type: 'string' },
+    chunked: { type: 'boolean' },
+    resume: { type: 'boolean' },
+    'work-dir': { type: 'string' },
+    all: { type: 'boolean' },
     workers: { type: 'string' },
-    'monitor-memory': { type: 'boolean', default: false },
+    'begin-frame': { type: 'boolean' },
+    'monitor-memory': { type: 'boolean' },
     benchmark: { type: 'boolean', default: false },
+    profile: { type: 'string', short: 'p' },
+    config: { type: 'string' },
+    'vite-config': { type: 'string' },
+    'no-vite-config': { type: 'boolean' },
+    setup: { type: 'string' },
     version: { type: 'boolean', short: 'v' },
     help: { type: 'boolean' },
   },
 })
 
 // Show version if requested
-if (values.version) {
+if (flags.version) {
   try {
     const pkgPath = new URL('../package.json', import.meta.url)
     const pkg = JSON.parse(readFileSync(pkgPath, 'utf-8'))
@@ -83,11 +227,82 @@ if (values.version) {
 }
 
 // Show help if requested
-if (values.help) {
+if (flags.help) {
   showHelp()
   process.exit(0)
 }
 
+// Worker mode: the coordinator sends the job, there is no input argument
+if (command === 'worker') {
+  if (!flags.connect) {
+    console.error('Error: worker needs --connect <host:port>')
+    process.exit(1)
+  }
+
+  try {
+    const { runWorker } = await import('../src/distributed/worker.js')
+    let lastLoggedPercent = -1
+    const { chunks } = await runWorker({
+      connect: flags.connect,
+      name: flags.name,
+      onJob: ({ input, width, height, fps, duration }) => {
+        console.log(`\nVueSeq - Worker for ${flags.connect}`)
+        console.log(`  Composition: ${input}`)
+        console.log(
+          `  ${width}x${height} at ${fps} fps, ${duration.toFixed(2)}s\n`,
+        )
+      },
+      onChunkStart: ({ index, start, end }) => {
+        lastLoggedPercent = -1
+        console.log(`Chunk ${index}: frames ${start}-${end - 1}`)
+      },
+      onProgress: ({ percent }) => {
+        if (percent % 5 === 0 && percent !== lastLoggedPercent) {
+          lastLoggedPercent = percent
+          process.stdout.write(`\r  Rendering: ${percent}% `)
+        }
+      },
+      onChunkComplete: ({ elapsed }) => {
+        console.log(`\n  ✓ Uploaded (${elapsed.toFixed(1)}s)`)
+      },
+      onChunkFailed: ({ error }) => {
+        console.log(`\n  ✗ ${error.message}`)
+      },
+    })
+    console.log(`\n✓ Video finished; ${chunks} chunks rendered here`)
+    process.exit(0)
+  } catch (error) {
+    console.error(`\nError: ${error.message}`)
+    process.exit(1)
+  }
+}
+
+// Clean mode: remove work directories left by --resume renders
+if (command === 'clean') {
+  try {
+    const { cleanWorkDirs } = await import('../src/renderer/work-dir.js')
+    const removed = await cleanWorkDirs({
+      input: positionals[0],
+      all: flags.all,
+      workDir: flags['work-dir'],
+    })
+    for (const { path, input, size, reason } of removed) {
+      const megabytes = (size / 1024 / 1024).toFixed(1)
+      console.log(`Removed ${path} (${megabytes} MB, ${reason})`)
+      if (input) console.log(`  ${input}`)
+    }
+    console.log(
+      removed.length
+        ? `\n✓ Removed ${removed.length} work ${removed.length === 1 ? 'directory' : 'directories'}`
+        : 'Nothing to clean',
+    )
+    process.exit(0)
+  } catch (error) {
+    console.error(`Error: ${error.message}`)
+    process.exit(1)
+  }
+}
+
 // Validate input file
 const input = positionals[0]
 if (!input) {
@@ -107,6 +322,119 @@ if (extname(inputPath) !== '.vue') {
   process.exit(1)
 }
 
+// Project config: vueseq.config.* defaults < --profile < command-line flags.
+// Config files use the API's option names (keyframeInterval), flags are
+// kebab-case (--keyframe-interval).
+const CLI_DEFAULTS = {
+  'gpu-backend': 'auto',
+  transparent: false,
+  optimized: false,
+  parallel: false,
+  chunked: false,
+  resume: false,
+  'monitor-memory': false,
+}
+
+const toOptionName = (flag) =>
+  flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())
+const toFlagName = (option) =>
+  option.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)
+
+let values
+let configProps = {}
+try {
+  const { resolveRenderOptions } = await import('../src/config.js')
+  // --props is JSON text; props from the config are merged under it below
+  const {
+    props: propsJson,
+    config,
+    profile,
+    'no-vite-config': noViteConfig,
+    ...flagValues
+  } = flags
+  if (noViteConfig) {
+    if (flagValues['vite-config'] !== undefined) {
+      throw new Error('Use either --vite-config or --no-vite-config')
+    }
+    flagValues['vite-config'] = false
+  }
+  const flagOptions = {}
+  for (const [flag, value] of Object.entries(flagValues)) {
+    flagOptions[toOptionName(flag)] = value
+  }
+
+  const { props: resolvedProps, ...resolved } = await resolveRenderOptions({
+    ...flagOptions,
+    input: inputPath,
+    config,
+    profile,
+  })
+
+  values = { ...CLI_DEFAULTS, props: propsJson }
+  for (const [option, value] of Object.entries(resolved)) {
+    values[toFlagName(option)] = value
+  }
+  configProps = resolvedProps ?? {}
+} catch (error) {
+  console.error(`Error: ${error.message}`)
+  process.exit(1)
+}
+
+const transparent = values.transparent
+const viteConfig = values['vite-config']
+const setup = values.setup
+const defaultExt = transparent ? '.webm' : '.mp4'
+const DEFAULT_OUTPUTS = {
+  render: `./output${defaultExt}`,
+  coordinator: `./output${defaultExt}`,
+  batch: `./out/{index}${defaultExt}`,
+  still: './still.png',
+}
+const output = values.output ?? DEFAULT_OUTPUTS[command]
+
+if (command === 'batch') {
+  if (!values.data) {
+    console.error('Error: batch needs --data <rows.csv|rows.json>')
+    process.exit(1)
+  }
+  if (!existsSync(resolve(values.data))) {
+    console.error(`Error: Data file not found: ${resolve(values.data)}`)
+    process.exit(1)
+  }
+}
+
+// Parse component props (config props and --props-file, already merged by
+// resolveRenderOptions(), then --props on top)
+function parseProps(json, source) {
+  let parsed
+  try {
+    parsed = JSON.parse(json)
+  } catch (e) {
+    console.error(`Error: Invalid JSON in ${source}: ${e.message}`)
+    process.exit(1)
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    console.error(`Error: ${source} must be a JSON object`)
+    process.exit(1)
+  }
+  return parsed
+}
+
+let props = { ...configProps }
+
+if (values.props) {
+  props = { ...props, ...parseProps(values.props, '--props') }
+}
+
+let audio
+if (values.audio) {
+  audio = resolve(values.audio)
+  if (!existsSync(audio)) {
+    console.error(`Error: Audio file not found: ${audio}`)
+    process.exit(1)
+  }
+}
+
 // Parse duration if provided
 let duration = null
 let durationAuto = false
@@ -121,33 +449,273 @@ if (values.duration) {
   durationAuto = true
 }
 
-// Parse numeric options
-const fps = parseInt(values.fps)
-const width = parseInt(values.width)
-const height = parseInt(values.height)
+// Parse numeric options. Flags and config win over the metadata the
+// composition declares, which wins over these defaults.
+const COMPOSITION_DEFAULTS = { fps: 30, width: 1920, height: 1080 }
+const explicit = {
+  fps: values.fps !== undefined ? parseInt(values.fps) : undefined,
+  width: values.width !== undefined ? parseInt(values.width) : undefined,
+  height: values.height !== undefined ? parseInt(values.height) : undefined,
+}
 
-if (isNaN(fps) || fps <= 0) {
+if (explicit.fps !== undefined && !(explicit.fps > 0)) {
   console.error('Error: FPS must be a positive number')
   process.exit(1)
 }
 
-if (isNaN(width) || width <= 0 || isNaN(height) || height <= 0) {
+if (
+  (explicit.width !== undefined && !(explicit.width > 0)) ||
+  (explicit.height !== undefined && !(explicit.height > 0))
+) {
   console.error('Error: Width and height must be positive numbers')
   process.exit(1)
 }
 
+// Read defineOptions({ vueseq: {...} }) (or a named vueseq export) when the
+// size or frame rate is left open. The component is loaded in Node, so no
+// browser starts for this.
+let composition = {}
+if (Object.values(explicit).includes(undefined)) {
+  try {
+    const { readCompositionMetadata } = await import(
+      '../src/renderer/render.js'
+    )
+    composition = await readCompositionMetadata({
+      input: inputPath,
+      props,
+      viteConfig,
+      setup,
+    })
+  } catch (error) {
+    console.error(`Error: ${error.message}`)
+    process.exit(1)
+  }
+}
+
+const fps = explicit.fps ?? composition.fps ?? COMPOSITION_DEFAULTS.fps
+const width = explicit.width ?? composition.width ?? COMPOSITION_DEFAULTS.width
+const height =
+  explicit.height ?? composition.height ?? COMPOSITION_DEFAULTS.height
+
+// Encoder settings, passed through to every renderer
+const encodingOptions = {
+  quality: values.quality,
+  bitrate: values.bitrate,
+  keyframeInterval:
+    values['keyframe-interval'] !== undefined
+      ? parseFloat(values['keyframe-interval'])
+      : undefined,
+  bitrateMode: values['bitrate-mode'],
+  latencyMode: values['latency-mode'],
+}
+
+// Animated image settings (.gif, .webp, .apng outputs)
+const animatedImageOptions = {
+  gifFps:
+    values['gif-fps'] !== undefined ? parseFloat(values['gif-fps']) : undefined,
+  loop: values.loop !== undefined ? Number(values.loop) : undefined,
+  dither: values.dither,
+  palette: values.palette,
+  colors: values.colors !== undefined ? Number(values.colors) : undefined,
+}
+
+// Image sequence settings (--sequence)
+const sequence = values.sequence
+const sequenceOptions = {
+  frames: values.frames,
+  startNumber:
+    values['start-number'] !== undefined
+      ? Number(values['start-number'])
+      : undefined,
+  imageQuality:
+    values['image-quality'] !== undefined
+      ? Number(values['image-quality'])
+      : undefined,
+}
+
+// Check container, codec and encoder settings before anything is started,
+// and work out the bitrate for the summary (ProRes is encoded by FFmpeg)
+const { isAnimatedImageOutput, resolveAnimatedImageOptions } = await import(
+  '../src/renderer/animated-image.js'
+)
+const animatedImage =
+  command === 'render' && !sequence && isAnimatedImageOutput(output)
+let videoBitrate = null
+
+// Still image settings (still command)
+const stillOptions = {
+  frame: values.frame !== undefined ? Number(values.frame) : undefined,
+  time: values.time,
+  scale: values.scale !== undefined ? Number(values.scale) : undefined,
+}
+
+try {
+  // Only video segments are kept between runs
+  const resumable =
+    (command === 'render' || command === 'coordinator') &&
+    !sequence &&
+    !animatedImage
+  if (values.resume && !resumable) {
+    throw new Error(
+      '--resume works with video renders (.mp4, .webm, .mkv) and coordinator',
+    )
+  }
+
+  // beginFrame capture replaces the page screenshots of video renders
+  const chunked = values.chunked || values.resume
+  if (
+    values['begin-frame'] &&
+    (!['render', 'coordinator'].includes(command) ||
+      sequence ||
+      animatedImage ||
+      (!chunked && (values.parallel || values.optimized)))
+  ) {
+    throw new Error(
+      '--begin-frame works with standard, --chunked and coordinator video renders',
+    )
+  }
+
+  if (command === 'preview') {
+    // Nothing is written; the player only needs a composition
+  } else if (command === 'still') {
+    const { resolveImageFormat, assertImageQuality } = await import(
+      '../src/renderer/image.js'
+    )
+    const { parseTime } = await import('../src/renderer/still.js')
+    resolveImageFormat(output, { transparent })
+    if (sequenceOptions.imageQuality !== undefined) {
+      assertImageQuality(sequenceOptions.imageQuality)
+    }
+    if (stillOptions.frame !== undefined && stillOptions.time !== undefined) {
+      throw new Error('Use either --frame or --time, not both')
+    }
+    if (
+      stillOptions.frame !== undefined &&
+      !(Number.isInteger(stillOptions.frame) && stillOptions.frame >= 0)
+    ) {
+      throw new Error('--frame must be a non-negative whole number')
+    }
+    if (stillOptions.time !== undefined) parseTime(stillOptions.time)
+    if (
+      stillOptions.scale !== undefined &&
+      !(Number.isFinite(stillOptions.scale) && stillOptions.scale > 0)
+    ) {
+      throw new Error('--scale must be a positive number')
+    }
+  } else if (sequence) {
+    if (command === 'batch' || command === 'coordinator') {
+      throw new Error(`--sequence is not supported in ${command} mode`)
+    }
+    const { resolveImageFormat, assertImageQuality } = await import(
+      '../src/renderer/image.js'
+    )
+    if (!/%0?\d*d/.test(sequence)) {
+      throw new Error(
+        `--sequence needs a frame number placeholder, e.g. "out/frame-%05d.png"`,
+      )
+    }
+    resolveImageFormat(sequence, { transparent })
+    if (sequenceOptions.imageQuality !== undefined) {
+      assertImageQuality(sequenceOptions.imageQuality)
+    }
+  } else if (values.frames !== undefined) {
+    throw new Error('--frames is only supported with --sequence')
+  } else if (animatedImage) {
+    if (command === 'batch') {
+      throw new Error('batch renders videos; use .mp4, .webm, .mov or .mkv')
+    }
+    resolveAnimatedImageOptions({ ...animatedImageOptions, output, fps })
+  } else {
+    const { resolveOutputFormat } = await import('../src/renderer/format.js')
+    const { resolveEncodingSettings } = await import(
+      '../src/renderer/encoding.js'
+    )
+    const { codec } = resolveOutputFormat(output, values.codec, { transparent })
+    const encoding = resolveEncodingSettings({
+      ...encodingOptions,
+      codec,
+      width,
+      height,
+    })
+    if (codec !== 'prores') videoBitrate = encoding.bitrate
+
+    const frameFormat = values['frame-format']
+    if (frameFormat !== undefined) {
+      const { FRAME_FORMATS } = await import('../src/renderer/frame-channel.js')
+      if (!values.parallel || values.chunked || values.resume) {
+        throw new Error('--frame-format is only supported with --parallel')
+      }
+      if (!(frameFormat in FRAME_FORMATS)) {
+        throw new Error(
+          `Unknown frame format "${frameFormat}". Use one of: ${Object.keys(FRAME_FORMATS).join(', ')}`,
+        )
+      }
+      if (transparent && frameFormat === 'jpeg') {
+        throw new Error('--frame-format jpeg has no alpha channel; use png, webp or raw')
+      }
+    }
+  }
+} catch (error) {
+  console.error(`Error: ${error.message}`)
+  process.exit(1)
+}
+
 // Import renderer and start rendering
 try {
-  const { renderToMp4, renderToMp4Optimized, benchmarkRenderMethods } =
-    await import('../src/renderer/encode.js')
-  const { renderToMp4Parallel } = await import(
-    '../src/renderer/encode-parallel.js'
-  )
+  const { benchmarkRenderMethods } = await import('../src/renderer/encode.js')
+  const { formatBitrate } = await import('../src/renderer/encoding.js')
+  const bitrateInfo = videoBitrate ? `, ${formatBitrate(videoBitrate)}` : ''
   const { getTimelineDuration } = await import('../src/renderer/render.js')
   const { detectBestGPUConfig, clearGPUCache } = await import(
     '../src/renderer/gpu.js'
   )
 
+  // Host Vite config merged into the server (plugins, aliases, CSS, env)
+  const { findViteConfig } = await import('../src/bundler/vite.js')
+  const hostViteConfig =
+    viteConfig === undefined
+      ? findViteConfig(inputPath)
+      : viteConfig && resolve(viteConfig)
+  const viteConfigInfo = hostViteConfig
+    ? `  Vite config: ${hostViteConfig}`
+    : null
+
+  // Preview mode: serve the player until interrupted
+  if (command === 'preview') {
+    const port = values.port !== undefined ? Number(values.port) : 0
+    if (!(Number.isInteger(port) && port >= 0 && port <= 65535)) {
+      console.error('Error: --port must be a port number')
+      process.exit(1)
+    }
+
+    const { startPreviewServer } = await import('../src/bundler/preview.js')
+    const preview = await startPreviewServer({
+      input: inputPath,
+      width,
+      height,
+      fps,
+      duration,
+      props,
+      transparent,
+      viteConfig,
+      setup,
+      port,
+    })
+
+    console.log(`\nVueSeq - Previewing ${input}`)
+    console.log(`  Resolution: ${width}x${height} at ${fps} fps`)
+    if (viteConfigInfo) console.log(viteConfigInfo)
+    console.log(`  Open: ${preview.url}`)
+    console.log('\n  Edits reload in place. Press Ctrl+C to stop.')
+
+    await new Promise((resolve) => {
+      process.once('SIGINT', resolve)
+      process.once('SIGTERM', resolve)
+    })
+    await preview.close()
+    process.exit(0)
+  }
+
   // Get GPU backend preference
   const gpuBackend = values['gpu-backend'] || 'auto'
 
@@ -166,6 +734,32 @@ try {
   console.log(`\nGPU: ${gpuIcon} ${gpuMode}(${gpuConfig.label})`)
   console.log(`     Renderer: ${gpuConfig.renderer}`)
 
+  // Still mode: seek once and screenshot, no encoder
+  if (command === 'still') {
+    const { renderStill } = await import('../src/renderer/still.js')
+
+    console.log(`\nVueSeq - Rendering still of ${input}`)
+    const startTime = Date.now()
+    const still = await renderStill({
+      input: inputPath,
+      output,
+      fps,
+      width,
+      height,
+      props,
+      transparent,
+      viteConfig,
+      setup,
+      imageQuality: sequenceOptions.imageQuality,
+      ...stillOptions,
+    })
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1)
+    console.log(
+      `\n✓ Still at ${still.time.toFixed(2)}s (${still.width}x${still.height}) saved to ${output} (${elapsed}s)`,
+    )
+    process.exit(0)
+  }
+
   // Run benchmark mode if requested
   if (values.benchmark) {
     console.log('\n📊 Running render benchmark...')
@@ -175,14 +769,85 @@ try {
       fps,
       width,
       height,
+      props,
+      viteConfig,
+      setup,
     })
     process.exit(0)
   }
 
+  // Batch mode: one render per data row, sharing the server and browser
+  if (command === 'batch') {
+    const { renderBatch } = await import('../src/renderer/batch.js')
+
+    console.log(`\nVueSeq - Batch rendering ${input}`)
+    console.log(`  Data: ${values.data}`)
+    console.log(`  Output: ${output}`)
+    if (videoBitrate) console.log(`  Bitrate: ${formatBitrate(videoBitrate)}`)
+    console.log('')
+
+    let lastLoggedPercent = -1
+    const summary = await renderBatch({
+      input: inputPath,
+      data: resolve(values.data),
+      output,
+      summary: values.summary,
+      duration,
+      fps,
+      width,
+      height,
+      props,
+      audio,
+      codec: values.codec,
+      transparent,
+      viteConfig,
+      setup,
+      ...encodingOptions,
+      onRowStart: ({ index, total, output }) => {
+        lastLoggedPercent = -1
+        console.log(`Row ${index + 1}/${total} → ${output}`)
+      },
+      onProgress: ({ frame, total, percent }) => {
+        if (percent % 5 === 0 && percent !== lastLoggedPercent) {
+          lastLoggedPercent = percent
+          process.stdout.write(
+            `\r  Rendering: ${percent}% (${frame + 1}/${total} frames) `,
+          )
+        }
+      },
+      onRowComplete: ({ status, error, elapsed }) => {
+        if (status === 'success') {
+          console.log(`\n  ✓ Done (${elapsed.toFixed(1)}s)`)
+        } else {
+          console.log(`\n  ✗ Failed: ${error}`)
+        }
+      },
+    })
+
+    console.log(
+      `\n✓ Batch complete: ${summary.succeeded}/${summary.total} succeeded (${summary.elapsed.toFixed(1)}s)`,
+    )
+    console.log(`  Summary: ${summary.summaryPath}`)
+    process.exit(summary.failed > 0 ? 1 : 0)
+  }
+
   // Auto-detect duration if not provided
   if (durationAuto) {
-    console.log(`\nVueSeq - Detecting timeline duration...`)
-    duration = await getTimelineDuration({ input: inputPath, width, height })
+    if (composition.duration) {
+      // Declared by the composition
+      duration = composition.duration
+    } else {
+      console.log(`\nVueSeq - Detecting timeline duration...`)
+      duration = await getTimelineDuration({
+        input: inputPath,
+        width,
+        height,
+        fps,
+        props,
+        viteConfig,
+        setup,
+      })
+    }
     if (!duration || duration <= 0) {
       console.error(
         'Error: Could not auto-detect duration. Use -d to specify manually.',
@@ -192,20 +857,109 @@ try {
     console.log(`  Auto - detected: ${duration.toFixed(2)}s`)
   }
 
+  // Coordinator mode: hand chunks to workers and join their segments
+  if (command === 'coordinator') {
+    const { startCoordinator, DEFAULT_PORT } = await import(
+      '../src/distributed/coordinator.js'
+    )
+    const port = values.port !== undefined ? Number(values.port) : DEFAULT_PORT
+    if (!(Number.isInteger(port) && port >= 0 && port <= 65535)) {
+      console.error('Error: --port must be a port number')
+      process.exit(1)
+    }
+    const chunks =
+      values.chunks !== undefined ? Number(values.chunks) : undefined
+    if (chunks !== undefined && !(Number.isInteger(chunks) && chunks > 0)) {
+      console.error('Error: --chunks must be a positive whole number')
+      process.exit(1)
+    }
+
+    const startTime = Date.now()
+    const coordinator = await startCoordinator({
+      input: inputPath,
+      output,
+      duration,
+      fps,
+      width,
+      height,
+      props,
+      audio,
+      codec: values.codec,
+      transparent,
+      viteConfig,
+      setup,
+      ...encodingOptions,
+      chunks,
+      port,
+      host: values.host,
+      resume: values.resume,
+      workDir: values['work-dir'],
+      beginFrame: values['begin-frame'],
+      onChunkStart: ({ index, total, worker, attempt }) => {
+        const retry = attempt > 1 ? ` (attempt ${attempt})` : ''
+        console.log(`Chunk ${index + 1}/${total} → ${worker}${retry}`)
+      },
+      onChunkComplete: ({ index, total, worker, completed }) => {
+        console.log(
+          `  ✓ Chunk ${index + 1} from ${worker} (${completed}/${total} done)`,
+        )
+      },
+      onChunkRetry: ({ index, reason }) => {
+        console.log(`  ✗ Chunk ${index + 1} will be retried: ${reason}`)
+      },
+    })
+
+    console.log(`\nVueSeq - Coordinating ${input}`)
+    console.log(
+      `  Duration: ${duration}s at ${fps} fps (${coordinator.totalFrames} frames in ${coordinator.chunks} chunks)`,
+    )
+    console.log(`  Resolution: ${width}x${height}`)
+    if (viteConfigInfo) console.log(viteConfigInfo)
+    if (videoBitrate) console.log(`  Bitrate: ${formatBitrate(videoBitrate)}`)
+    console.log(`  Output: ${output}`)
+    if (coordinator.skipped > 0) {
+      console.log(
+        `  Resuming: ${coordinator.skipped}/${coordinator.chunks} chunks already rendered`,
+      )
+    }
+    console.log(
+      `\n  Start workers from this project's directory with:\n    npx vueseq worker --connect ${coordinator.address}\n`,
+    )
+
+    process.once('SIGINT', () => coordinator.close())
+    await coordinator.done
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1)
+    console.log(`\n✓ Video saved to ${output} (${elapsed}s${bitrateInfo})`)
+    process.exit(0)
+  }
+
   // Select renderer based on flags
   const useParallel = values.parallel
+  // Resumable renders are chunked: finished segments are what's kept
+  const useResume = values.resume
+  const useChunked = values.chunked || useResume
   const useOptimized = values.optimized
+  const useBeginFrame = values['begin-frame']
   const numWorkers = values.workers ? parseInt(values.workers, 10) : undefined
   const monitorMemory = values['monitor-memory']
 
   let renderMethod
-  if (useParallel) {
+  if (sequence) {
+    renderMethod = useParallel
+      ? `Image sequence, parallel (${numWorkers || 'Auto'} workers)`
+      : 'Image sequence (screenshots)'
+  } else if (animatedImage) {
+    renderMethod = 'Animated image (PNG frames + FFmpeg)'
+  } else if (useChunked) {
+    renderMethod = `Chunked (${numWorkers || 'Auto'} processes${useResume ? ', resumable' : ''})`
+  } else if (useParallel) {
     renderMethod = `Parallel(${numWorkers || 'Auto'} workers)`
   } else if (useOptimized) {
     renderMethod = 'Optimized (in-browser capture)'
   } else {
     renderMethod = 'Standard (PNG-based)'
   }
+  if (useBeginFrame) renderMethod += ', beginFrame capture'
 
   console.log(`\nVueSeq - Rendering ${input} `)
   console.log(`  Method: ${renderMethod} `)
@@ -213,30 +967,47 @@ try {
     `  Duration: ${duration}s at ${fps} fps(${Math.ceil(duration * fps)} frames)${durationAuto ? ' (auto)' : ''} `,
   )
   console.log(`  Resolution: ${width}x${height} `)
-  console.log(`  Output: ${values.output} \n`)
+  if (viteConfigInfo) console.log(viteConfigInfo)
+  if (videoBitrate) console.log(`  Bitrate: ${formatBitrate(videoBitrate)} `)
+  console.log(`  Output: ${sequence ?? output} \n`)
 
   const startTime = Date.now()
   let lastLoggedPercent = -1
 
-  // Select render function
-  let renderFn
-  if (useParallel) {
-    renderFn = renderToMp4Parallel
-  } else if (useOptimized) {
-    renderFn = renderToMp4Optimized
-  } else {
-    renderFn = renderToMp4
-  }
-
-  await renderFn({
+  // Select render function (the same choice render() makes in the API)
+  const { selectRenderer } = await import('../src/renderer/select.js')
+  const { renderer, options: renderOptions } = selectRenderer({
     input: inputPath,
     duration,
     fps,
     width,
     height,
-    output: values.output,
+    output,
+    props,
+    audio,
+    codec: values.codec,
+    transparent,
+    viteConfig,
+    setup,
+    ...encodingOptions,
+    ...animatedImageOptions,
+    sequence,
+    ...sequenceOptions,
+    parallel: useParallel,
+    optimized: useOptimized,
+    chunked: useChunked,
     workers: numWorkers,
+    frameFormat: values['frame-format'],
+    resume: useResume,
+    workDir: values['work-dir'],
+    beginFrame: useBeginFrame,
     monitorMemory,
+    onResume: ({ workDir, skipped, total }) => {
+      console.log(`Work directory: ${workDir}`)
+      if (skipped > 0) {
+        console.log(`Resuming: ${skipped}/${total} chunks already rendered\n`)
+      }
+    },
     onProgress: ({ frame, total, percent, workerId }) => {
       // Only log every 5% to reduce noise
       if (percent % 5 === 0 && percent !== lastLoggedPercent) {
@@ -248,9 +1019,14 @@ try {
       }
     },
   })
+  await renderer(renderOptions)
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1)
-  console.log(`\n\n✓ Video saved to ${values.output} (${elapsed}s)`)
+  if (sequence) {
+    console.log(`\n\n✓ Images saved to ${sequence} (${elapsed}s)`)
+  } else {
+    console.log(`\n\n✓ Video saved to ${output} (${elapsed}s${bitrateInfo})`)
+  }
 } catch (error) {
   console.error(`\nError: ${error.message} `)
   process.exit(1)
@@ -0,0 +1,59 @@
+/**
+ * Preview Server
+ *
+ * Serves a composition inside the browser player (src/runtime/preview.js)
+ * for `vueseq preview`: play/pause, a frame-accurate scrubber with GSAP
+ * label markers, and hot module replacement that keeps the position.
+ */
+
+import { createVideoServer } from './vite.js'
+
+/**
+ * Start the preview server
+ * @param {Object} options
+ * @param {string} options.input - Absolute path to the Video.vue component
+ * @param {number} [options.width=1920] - Video width in pixels
+ * @param {number} [options.height=1080] - Video height in pixels
+ * @param {number} [options.fps=30] - Frames per second
+ * @param {number} [options.duration] - Duration in seconds (auto-detected
+ *   from the timeline if not provided)
+ * @param {Object} [options.props] - Props passed to the root component
+ * @param {boolean} [options.transparent=false] - Preview without a background
+ * @param {number} [options.port=0] - Server port (0 picks a free one)
+ * @param {string|false} [options.viteConfig] - See createVideoServer()
+ * @param {string} [options.setup] - See createVideoServer()
+ * @returns {Promise<{url: string, close: () => Promise<void>}>}
+ *   url of the player page
+ */
+export async function startPreviewServer(options) {
+  const {
+    input,
+    width = 1920,
+    height = 1080,
+    fps = 30,
+    duration,
+    props,
+    transparent = false,
+    port = 0,
+    viteConfig,
+    setup,
+  } = options
+
+  const { previewUrl, cleanup } = await createVideoServer({
+    input,
+    width,
+    height,
+    props,
+    transparent,
+    preview: { fps, duration },
+    port,
+    viteConfig,
+    setup,
+    fps,
+  })
+
+  return {
+    url: previewUrl,
+    close: cleanup,
+  }
+}
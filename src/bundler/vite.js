@@ -5,12 +5,18 @@
  * 1. Serves the user's Video.vue component
  * 2. Injects the GSAP bridge runtime
  * 3. Provides an entry HTML file
+ * 4. Optionally serves the preview player around it (with HMR)
+ *
+ * The host project's vite.config.* (the nearest one above the component)
+ * contributes its plugins, aliases, CSS tooling, defines and env files, so
+ * compositions can import app code the same way the app does.
  */
 
-import { createServer } from 'vite'
+import { createServer, loadConfigFromFile } from 'vite'
 import vue from '@vitejs/plugin-vue'
-import { resolve, dirname } from 'path'
+import { resolve, dirname, sep } from 'path'
 import { fileURLToPath } from 'url'
+import { existsSync } from 'fs'
 import { mkdtemp, writeFile, rm } from 'fs/promises'
 import { tmpdir } from 'os'
 import { createRequire } from 'module'
@@ -18,21 +24,140 @@ import { createRequire } from 'module'
 const __dirname = dirname(fileURLToPath(import.meta.url))
 const require = createRequire(import.meta.url)
 
+const VITE_CONFIG_FILES = [
+    'vite.config.js',
+    'vite.config.mjs',
+    'vite.config.ts',
+    'vite.config.cjs',
+    'vite.config.mts',
+    'vite.config.cts'
+]
+
+/**
+ * Find the host project's Vite config: the nearest vite.config.* in the
+ * component's directory or above, up to the project root (package.json)
+ * @param {string} input - Path to the Video.vue component
+ * @returns {string|null} Absolute config path, or null if there is none
+ */
+export function findViteConfig(input) {
+    let dir = dirname(resolve(input))
+    while (true) {
+        for (const name of VITE_CONFIG_FILES) {
+            const path = resolve(dir, name)
+            if (existsSync(path)) return path
+        }
+        const parent = dirname(dir)
+        if (existsSync(resolve(dir, 'package.json')) || parent === dir) {
+            return null
+        }
+        dir = parent
+    }
+}
+
+/**
+ * Load the host project's Vite config
+ * @param {string} input - Path to the Video.vue component
+ * @param {string|false} [viteConfig] - Config path, false to skip, or
+ *   undefined to search with findViteConfig()
+ * @returns {Promise<{path: string, root: string, config: Object}|null>}
+ */
+async function loadHostViteConfig(input, viteConfig) {
+    if (viteConfig === false) return null
+
+    const configFile = viteConfig ? resolve(viteConfig) : findViteConfig(input)
+    if (!configFile) return null
+    if (!existsSync(configFile)) {
+        throw new Error(`Vite config not found: ${configFile}`)
+    }
+
+    // Function configs are called as for `vite dev`
+    const loaded = await loadConfigFromFile(
+        { command: 'serve', mode: 'development' },
+        configFile,
+        dirname(configFile),
+        'warn'
+    )
+    if (!loaded) return null
+
+    const { config } = loaded
+    return {
+        path: loaded.path,
+        root: resolve(dirname(loaded.path), config.root ?? ''),
+        config
+    }
+}
+
+// Plugin options may nest arrays and promises, and contain falsy entries
+async function flattenPlugins(plugins) {
+    const flat = []
+    for (const plugin of await Promise.all(plugins ?? [])) {
+        if (Array.isArray(plugin)) {
+            flat.push(...(await flattenPlugins(plugin)))
+        } else if (plugin) {
+            flat.push(plugin)
+        }
+    }
+    return flat
+}
+
+// resolve.alias may be an object or an array of { find, replacement }
+function toAliasEntries(alias) {
+    if (!alias) return []
+    if (Array.isArray(alias)) return alias
+    return Object.entries(alias).map(([find, replacement]) => ({ find, replacement }))
+}
+
 /**
  * Create a Vite dev server for rendering a Vue component
  * @param {Object} options
  * @param {string} options.input - Absolute path to the Video.vue component
  * @param {number} options.width - Video width in pixels
  * @param {number} options.height - Video height in pixels
- * @returns {Promise<{url: string, tempDir: string, cleanup: () => Promise<void>}>}
+ * @param {Object} [options.props={}] - Props passed to the root component
+ * @param {boolean} [options.transparent=false] - Leave the page background
+ *   transparent instead of black (for alpha output)
+ * @param {Object} [options.preview] - Serve the preview player with hot
+ *   module replacement (renders keep HMR off, so edits can't reload pages
+ *   mid-render)
+ * @param {number} options.preview.fps - Frames per second
+ * @param {number} [options.preview.duration] - Duration override in seconds
+ * @param {number} [options.port=0] - Server port (0 picks a free one)
+ * @param {string|false} [options.viteConfig] - Host vite.config.* to merge
+ *   (default: the nearest one above the component; false for none)
+ * @param {string} [options.setup] - Module whose default export
+ *   `(app, { props, config }) => {}` is awaited before mount in every page
+ *   (Pinia, i18n, global components and directives)
+ * @param {number} [options.fps] - Frames per second, passed to setup as
+ *   config.fps
+ * @returns {Promise<{url: string, previewUrl?: string, viteConfig: string|null, tempDir: string, listModuleFiles: () => Promise<string[]>, loadMetadata: () => Promise<Object|null>, cleanup: () => Promise<void>}>}
+ *   url is the composition page; previewUrl the player (preview only);
+ *   viteConfig the host config that was merged; listModuleFiles() the
+ *   project files the composition is built from; loadMetadata() the vueseq
+ *   options the component exports (null if none), loaded in Node, so it
+ *   throws for modules that need a browser
  */
-export async function createVideoServer({ input, width, height }) {
+export async function createVideoServer({ input, width, height, props = {}, transparent = false, preview = null, port = 0, viteConfig, setup, fps }) {
+    const setupPath = setup ? resolve(setup) : null
+    if (setupPath && !existsSync(setupPath)) {
+        throw new Error(`Setup file not found: ${setupPath}`)
+    }
+
+    // Load the host config first, so a broken one fails before any setup
+    const host = await loadHostViteConfig(input, viteConfig)
+    const hostConfig = host?.config ?? {}
+    const hostPlugins = await flattenPlugins(hostConfig.plugins)
+    // A host Vue plugin carries the app's compiler options; use it instead
+    const hostHasVue = hostPlugins.some((plugin) => plugin.name === 'vite:vue')
+
     // Create temp directory for build artifacts
     const tempDir = await mkdtemp(resolve(tmpdir(), 'vueseq-'))
 
     // Path to the gsap-bridge runtime
     const gsapBridgePath = resolve(__dirname, '../runtime/gsap-bridge.js')
 
+    // Components and helpers compositions import from 'vueseq/runtime'
+    const runtimePath = resolve(__dirname, '../runtime/index.js')
+
     // User's project directory (where the video component lives)
     const userProjectDir = dirname(input)
 
@@ -55,7 +180,7 @@ export async function createVideoServer({ input, width, height }) {
       width: ${width}px; 
       height: ${height}px; 
       overflow: hidden;
-      background: #000;
+      background: ${transparent ? 'transparent' : '#000'};
     }
     #app {
       width: ${width}px;
@@ -72,26 +197,103 @@ export async function createVideoServer({ input, width, height }) {
 
     await writeFile(resolve(tempDir, 'index.html'), entryHtml)
 
+    // The player page embeds index.html in an iframe
+    if (preview) {
+        const previewHtml = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>VueSeq Preview</title>
+</head>
+<body>
+  <script type="module" src="/@vueseq/preview-entry.js"></script>
+</body>
+</html>`
+        await writeFile(resolve(tempDir, 'preview.html'), previewHtml)
+    }
+
+    // Browser runtime modules served by path
+    const runtimeModules = {
+        '/@vueseq/gsap-bridge.js': gsapBridgePath,
+        '/@vueseq/readiness.js': resolve(__dirname, '../runtime/readiness.js'),
+        '/@vueseq/preview.js': resolve(__dirname, '../runtime/preview.js'),
+        '/@vueseq/preview-hot.js': resolve(__dirname, '../runtime/preview-hot.js')
+    }
+
     // Virtual module plugin for the entry point
     const virtualEntryPlugin = {
         name: 'vueseq-entry',
         resolveId(id) {
             if (id === '/@vueseq/entry.js') return id
-            if (id === '/@vueseq/gsap-bridge.js') return gsapBridgePath
+            if (id === '/@vueseq/preview-entry.js') return id
+            if (id in runtimeModules) return runtimeModules[id]
         },
         load(id) {
             if (id === '/@vueseq/entry.js') {
                 // Generate the entry module that imports the user's component
                 return `
-import { createApp } from 'vue'
+import { createApp, h, Suspense } from 'vue'
 import '/@vueseq/gsap-bridge.js'
-import Video from '${input}'
+import { delayRender, continueRender } from '/@vueseq/readiness.js'
+import Video, * as VideoModule from '${input}'
+${setupPath ? `import setup from '${setupPath}'
+` : ''}
+// Props are serialized at server creation so every page gets the same data.
+// A page may preset __VUESEQ_PROPS__ before load (batch rendering reuses one
+// server for many rows).
+const props = window.__VUESEQ_PROPS__ ?? ${JSON.stringify(props)}
+window.__VUESEQ_PROPS__ = props
 
-const app = createApp(Video)
+// Metadata the composition declares, with defineOptions({ vueseq: {...} })
+// or a named export (export const vueseq = {...}): width, height, fps,
+// duration, durationFromLabel
+window.__VUESEQ_METADATA__ = VideoModule.vueseq ?? Video.vueseq ?? null
+
+// <Suspense> lets components use async setup(); rendering waits while it
+// is pending. It resolves once, so each <Sequence> mounts its content in a
+// <Suspense> of its own.
+let suspended = null
+const app = createApp({
+    render: () => h(Suspense, {
+        onPending: () => { suspended ??= delayRender('<Suspense>') },
+        onResolve: () => {
+            if (suspended !== null) continueRender(suspended)
+            suspended = null
+        }
+    }, { default: () => h(Video, props) })
+})
+${setupPath ? `
+// Register plugins, stores and global components before mounting
+if (typeof setup !== 'function') {
+    throw new Error('VueSeq setup file must export a default function (app, { props, config }) => {}')
+}
+await setup(app, { props, config: ${JSON.stringify({ width, height, fps: fps ?? preview?.fps ?? null, transparent })} })
+` : ''}
 app.mount('#app')
 
-// Signal ready after Vue has mounted
+// Signal ready after Vue has mounted and fonts, images, <Suspense> and
+// delayRender() have settled. A failure is raised again by the first seek.
+await window.__VUESEQ_WAIT_FOR_RENDER__().catch((error) => console.error(error))
 window.__VUESEQ_READY__ = true
+${preview ? `
+// Keep the player's position across hot updates
+import { installPreviewHot } from '/@vueseq/preview-hot.js'
+if (import.meta.hot) installPreviewHot(import.meta.hot)
+` : ''}`
+            }
+            if (id === '/@vueseq/preview-entry.js' && preview) {
+                const playerOptions = {
+                    src: '/index.html',
+                    width,
+                    height,
+                    fps: preview.fps,
+                    duration: preview.duration,
+                    transparent
+                }
+                return `
+import { startPreview } from '/@vueseq/preview.js'
+
+startPreview(${JSON.stringify(playerOptions)})
 `
             }
         }
@@ -99,17 +301,35 @@ window.__VUESEQ_READY__ = true
 
     const server = await createServer({
         root: tempDir,
-        plugins: [vue(), virtualEntryPlugin],
+        // The host config is merged below, not loaded as-is
+        configFile: false,
+        plugins: [...(hostHasVue ? [] : [vue()]), virtualEntryPlugin, ...hostPlugins],
+        define: hostConfig.define,
+        // PostCSS/Tailwind config and .env files are found from the host root
+        css: host ? { ...hostConfig.css, postcss: hostConfig.css?.postcss ?? host.root } : undefined,
+        envDir: host ? resolve(host.root, hostConfig.envDir ?? '') : undefined,
+        envPrefix: hostConfig.envPrefix,
+        publicDir: host && hostConfig.publicDir !== false
+            ? resolve(host.root, hostConfig.publicDir ?? 'public')
+            : undefined,
         server: {
-            port: 0, // Auto-assign available port
-            strictPort: false
+            port, // 0 auto-assigns an available port
+            strictPort: false,
+            hmr: Boolean(preview)
         },
         resolve: {
-            alias: {
-                // Resolve vue and gsap from vueseq's node_modules
-                'vue': vuePath,
-                'gsap': gsapPath
-            }
+            // The first matching alias wins, so the host's come last
+            alias: [
+                ...toAliasEntries({
+                    // Resolve vue and gsap from vueseq's node_modules
+                    'vue': vuePath,
+                    'gsap': gsapPath,
+                    // Works whether or not vueseq is installed in the user's project
+                    'vueseq/runtime': runtimePath
+                }),
+                ...toAliasEntries(hostConfig.resolve?.alias)
+            ],
+            extensions: hostConfig.resolve?.extensions
         },
         optimizeDeps: {
             // Let Vite know where to find these
@@ -117,17 +337,19 @@ window.__VUESEQ_READY__ = true
             // Force re-optimization in temp directory
             force: true,
             // Include paths for the optimizer to search
-            entries: [input]
+            entries: setupPath ? [input, setupPath] : [input]
         },
         // Allow serving files from:
         // 1. temp directory (index.html)
         // 2. user's project (Video.vue and its imports)
         // 3. vueseq package (gsap-bridge.js and dependencies)
+        // 4. the setup file's directory
         fs: {
             allow: [
                 tempDir,
                 userProjectDir,
                 vueseqRoot,
+                ...(setupPath ? [dirname(setupPath)] : []),
                 vuePath,
                 gsapPath
             ]
@@ -139,12 +361,69 @@ window.__VUESEQ_READY__ = true
     const address = server.httpServer.address()
     const url = `http://localhost:${address.port}`
 
+    // Project files only: not virtual modules, dependencies or VueSeq's runtime
+    const runtimeDir = resolve(__dirname, '../runtime') + sep
+    const isProjectFile = (file) =>
+        existsSync(file) &&
+        !file.includes(`${sep}node_modules${sep}`) &&
+        !file.startsWith(runtimeDir) &&
+        !file.startsWith(tempDir + sep)
+
+    // Walk the module graph from the entry, as a page load would, without a
+    // browser: the component, setup file, scenes, child components, CSS,
+    // data and assets, including dynamic imports. SSR transforms resolve the
+    // same imports without starting the browser dependency optimizer.
+    const listModuleFiles = async () => {
+        const files = new Set()
+        const visited = new Set()
+        const visit = async (moduleUrl) => {
+            if (visited.has(moduleUrl)) return
+            visited.add(moduleUrl)
+            await server.transformRequest(moduleUrl, { ssr: true })
+            const mod = await server.moduleGraph.getModuleByUrl(moduleUrl)
+            if (!mod) return
+            if (mod.file) files.add(mod.file)
+            for (const imported of mod.importedModules) {
+                if (imported.file && !isProjectFile(imported.file)) continue
+                await visit(imported.url)
+            }
+        }
+        await visit('/@vueseq/entry.js')
+        return [...files].filter(isProjectFile).sort()
+    }
+
+    // The vueseq metadata the composition declares, read from its
+    // server-side build (the same lookup as the entry module)
+    const loadMetadata = async () => {
+        const module = await server.ssrLoadModule(input)
+        return module.vueseq ?? module.default?.vueseq ?? null
+    }
+
     return {
         url,
+        previewUrl: preview ? `${url}/preview.html` : undefined,
+        viteConfig: host?.path ?? null,
         tempDir,
+        listModuleFiles,
+        loadMetadata,
         cleanup: async () => {
             await server.close()
             await rm(tempDir, { recursive: true, force: true })
         }
     }
 }
+
+/**
+ * List the project files a composition is built from, with a short-lived
+ * server (for callers that don't serve the composition themselves)
+ * @param {Object} options - Same as createVideoServer()
+ * @returns {Promise<string[]>}
+ */
+export async function listCompositionFiles(options) {
+    const server = await createVideoServer(options)
+    try {
+        return await server.listModuleFiles()
+    } finally {
+        await server.cleanup()
+    }
+}
@@ -0,0 +1,272 @@
+/**
+ * Project Config
+ *
+ * Loads vueseq.config.js / vueseq.config.json from the composition's
+ * directory: render option defaults plus named profiles, e.g.
+ *
+ *   export default {
+ *     fps: 30,
+ *     parallel: true,
+ *     profiles: {
+ *       'social-square': { width: 1080, height: 1080 },
+ *       'youtube-4k': { width: 3840, height: 2160, quality: 'very-high' },
+ *       'preview-draft': { width: 960, height: 540, quality: 'low' },
+ *     },
+ *   }
+ *
+ * Options use the API names (keyframeInterval, gpuBackend, ...). Explicit
+ * options override the selected profile, which overrides the defaults.
+ * props are merged instead: config props, then the propsFile, then
+ * explicit props on top.
+ */
+
+import { existsSync } from 'fs'
+import { readFile } from 'fs/promises'
+import { dirname, extname, resolve } from 'path'
+import { pathToFileURL } from 'url'
+
+// Looked up in this order next to the composition
+export const CONFIG_FILES = [
+  'vueseq.config.js',
+  'vueseq.config.mjs',
+  'vueseq.config.json',
+]
+
+// Options a config file or profile may set
+export const CONFIG_OPTIONS = [
+  'output',
+  'codec',
+  'transparent',
+  'quality',
+  'bitrate',
+  'keyframeInterval',
+  'bitrateMode',
+  'latencyMode',
+  'gifFps',
+  'loop',
+  'dither',
+  'palette',
+  'colors',
+  'sequence',
+  'frames',
+  'startNumber',
+  'imageQuality',
+  'frame',
+  'time',
+  'scale',
+  'port',
+  'host',
+  'chunks',
+  'duration',
+  'fps',
+  'width',
+  'height',
+  'props',
+  'propsFile',
+  'audio',
+  'data',
+  'summary',
+  'gpuBackend',
+  'optimized',
+  'parallel',
+  'frameFormat',
+  'chunked',
+  'resume',
+  'workDir',
+  'workers',
+  'beginFrame',
+  'monitorMemory',
+  'viteConfig',
+  'setup',
+]
+
+// Relative paths in a config file are relative to the file
+const PATH_OPTIONS = [
+  'output',
+  'sequence',
+  'propsFile',
+  'audio',
+  'data',
+  'summary',
+  'viteConfig',
+  'setup',
+  'workDir',
+]
+
+/**
+ * Define a config with editor completion (returns it unchanged)
+ * @param {Object} config
+ * @returns {Object}
+ */
+export function defineConfig(config) {
+  return config
+}
+
+/**
+ * Find the config file for a composition
+ * @param {string} input - Path to the Video.vue component
+ * @returns {string|null} Absolute config path, or null if there is none
+ */
+export function findConfigFile(input) {
+  const dir = dirname(resolve(input))
+  for (const name of CONFIG_FILES) {
+    const path = resolve(dir, name)
+    if (existsSync(path)) return path
+  }
+  return null
+}
+
+function assertOptions(options, source) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`${source} must be an object`)
+  }
+  for (const key of Object.keys(options)) {
+    if (!CONFIG_OPTIONS.includes(key)) {
+      throw new Error(`Unknown option "${key}" in ${source}`)
+    }
+  }
+}
+
+/**
+ * Check a config object and resolve its relative paths
+ * @param {Object} config - Defaults plus optional profiles
+ * @param {Object} [options]
+ * @param {string} [options.source='config'] - Name used in errors
+ * @param {string} [options.baseDir] - Directory relative paths resolve from
+ * @returns {{defaults: Object, profiles: Object<string, Object>}}
+ */
+export function normalizeConfig(config, { source = 'config', baseDir } = {}) {
+  const { profiles = {}, ...defaults } = config ?? {}
+  assertOptions(defaults, source)
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new Error(`"profiles" in ${source} must be an object`)
+  }
+
+  const resolvePaths = (options) => {
+    if (!baseDir) return { ...options }
+    const resolved = { ...options }
+    for (const key of PATH_OPTIONS) {
+      if (typeof resolved[key] === 'string') {
+        resolved[key] = resolve(baseDir, resolved[key])
+      }
+    }
+    return resolved
+  }
+
+  const normalizedProfiles = {}
+  for (const [name, profile] of Object.entries(profiles)) {
+    assertOptions(profile, `profile "${name}" in ${source}`)
+    normalizedProfiles[name] = resolvePaths(profile)
+  }
+
+  return { defaults: resolvePaths(defaults), profiles: normalizedProfiles }
+}
+
+/**
+ * Load a config file
+ * @param {string} path - .js/.mjs (default export) or .json file
+ * @returns {Promise<{path: string, defaults: Object, profiles: Object<string, Object>}>}
+ */
+export async function loadConfigFile(path) {
+  const configPath = resolve(path)
+  if (!existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`)
+  }
+
+  let config
+  if (extname(configPath) === '.json') {
+    try {
+      config = JSON.parse(await readFile(configPath, 'utf-8'))
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${configPath}: ${error.message}`)
+    }
+  } else {
+    const module = await import(pathToFileURL(configPath).href)
+    config = module.default
+  }
+
+  return {
+    path: configPath,
+    ...normalizeConfig(config, {
+      source: configPath,
+      baseDir: dirname(configPath),
+    }),
+  }
+}
+
+async function readPropsFile(path) {
+  if (!existsSync(path)) {
+    throw new Error(`Props file not found: ${path}`)
+  }
+  let props
+  try {
+    props = JSON.parse(await readFile(path, 'utf-8'))
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${path}: ${error.message}`)
+  }
+  if (!props || typeof props !== 'object' || Array.isArray(props)) {
+    throw new Error(`${path} must be a JSON object`)
+  }
+  return props
+}
+
+/**
+ * Merge config defaults, a profile and explicit options
+ * @param {Object} options - Render options (undefined values are ignored)
+ * @param {string} [options.input] - Video.vue path; its directory is
+ *   searched for a config file when none is given
+ * @param {Object|string|false} [options.config] - Config object, config
+ *   file path, or false to ignore config files
+ * @param {string} [options.profile] - Profile name
+ * @param {string} [options.propsFile] - JSON file of props, read into
+ *   props (relative paths resolve from the working directory)
+ * @returns {Promise<Object>} Options for the render functions (see
+ *   render(), which also picks the renderer)
+ */
+export async function resolveRenderOptions(options) {
+  const { config, profile, ...explicit } = options
+
+  let loaded = { defaults: {}, profiles: {} }
+  let source = 'config'
+  if (typeof config === 'string') {
+    loaded = await loadConfigFile(config)
+    source = loaded.path
+  } else if (config && typeof config === 'object') {
+    loaded = normalizeConfig(config)
+  } else if (config !== false && explicit.input) {
+    const found = findConfigFile(explicit.input)
+    if (found) {
+      loaded = await loadConfigFile(found)
+      source = found
+    }
+  }
+
+  let profileOptions = {}
+  if (profile !== undefined) {
+    if (!Object.hasOwn(loaded.profiles, profile)) {
+      const names = Object.keys(loaded.profiles)
+      const available = names.length
+        ? `. Available: ${names.join(', ')}`
+        : ' (it has no profiles)'
+      throw new Error(`Unknown profile "${profile}" in ${source}${available}`)
+    }
+    profileOptions = loaded.profiles[profile]
+  }
+
+  const configured = { ...loaded.defaults, ...profileOptions }
+  const merged = { ...configured }
+  for (const [key, value] of Object.entries(explicit)) {
+    if (value !== undefined) merged[key] = value
+  }
+
+  // The renderers take props only
+  const { propsFile, ...resolved } = merged
+  if (propsFile !== undefined || merged.props !== undefined) {
+    resolved.props = {
+      ...configured.props,
+      ...(propsFile !== undefined && (await readPropsFile(resolve(propsFile)))),
+      ...explicit.props,
+    }
+  }
+  return resolved
+}
@@ -0,0 +1,495 @@
+/**
+ * Distributed Rendering - Coordinator
+ *
+ * Splits a video into the same key-frame-aligned chunks as
+ * renderToMp4Chunked() and hands them to `vueseq worker` processes over
+ * HTTP. Each worker renders a chunk with its own server, browser and
+ * encoder and uploads the segment; once every segment is in, they are
+ * joined without re-encoding (remux.js).
+ *
+ * Protocol (JSON bodies, except the segment upload):
+ *   GET  /job                           Settings every worker renders with
+ *   POST /claim       { worker }        → { chunk } | { wait } | { done } | { failed }
+ *   POST /chunks/:index/heartbeat       { lease, frames } (409: lease lost)
+ *   POST /chunks/:index/fail            { lease, error }
+ *   PUT  /chunks/:index/segment?lease=  Segment file bytes (409: lease lost)
+ *
+ * Key design decisions:
+ * - Plain HTTP with polling: a worker needs nothing but fetch(), and no
+ *   connection has to survive a whole chunk
+ * - A claimed chunk is leased to one worker. A worker that stops sending
+ *   heartbeats (crashed, killed, off the network) loses the lease and the
+ *   chunk goes back in the queue; uploads are only taken with the current
+ *   lease, so a late worker can't overwrite the retry
+ * - Paths are sent relative to the coordinator's working directory and
+ *   resolved against the worker's, so workers run from a checkout of the
+ *   same project
+ * - There is no authentication: run it on a trusted network
+ */
+
+import { createServer } from 'http'
+import { randomUUID } from 'crypto'
+import { createWriteStream, existsSync } from 'fs'
+import { mkdtemp, rename, rm } from 'fs/promises'
+import { extname, join, relative, resolve, sep } from 'path'
+import { hostname, tmpdir } from 'os'
+import { pipeline } from 'stream/promises'
+import { listCompositionFiles } from '../bundler/vite.js'
+import {
+  getTimelineDuration,
+  applyCompositionMetadata,
+} from '../renderer/render.js'
+import {
+  splitFrameChunks,
+  DEFAULT_KEYFRAME_INTERVAL,
+} from '../renderer/encode-chunked.js'
+import { resolveEncodingSettings } from '../renderer/encoding.js'
+import { resolveOutputFormat } from '../renderer/format.js'
+import { concatSegments } from '../renderer/remux.js'
+import { openWorkDir, segmentFiles } from '../renderer/work-dir.js'
+
+export const DEFAULT_PORT = 7070
+const DEFAULT_CHUNKS = 16
+
+// A worker that sends no heartbeat for this long is considered dead (ms)
+const DEFAULT_LEASE_TIMEOUT = 30000
+
+// Tries per chunk before the render fails
+const DEFAULT_MAX_ATTEMPTS = 3
+
+// How long a worker with nothing to do waits before asking again (ms)
+const POLL_INTERVAL = 1000
+
+const MAX_JSON_BYTES = 1024 * 1024
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Path relative to the working directory, with forward slashes
+function toJobPath(path) {
+  if (typeof path !== 'string') return path
+  return relative(process.cwd(), resolve(path)).split(sep).join('/')
+}
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body)
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(json),
+  })
+  res.end(json)
+}
+
+async function readJson(req) {
+  let size = 0
+  const parts = []
+  for await (const part of req) {
+    size += part.length
+    if (size > MAX_JSON_BYTES) throw new Error('Request body too large')
+    parts.push(part)
+  }
+  if (size === 0) return {}
+  return JSON.parse(Buffer.concat(parts).toString('utf-8'))
+}
+
+/**
+ * Start a coordinator and wait for workers
+ * @param {Object} options - Same as renderToMp4Chunked() (workers need the
+ *   input, setup, Vite config and audio at the same relative paths), plus:
+ * @param {number} [options.chunks=16] - Number of chunks to hand out
+ *   (fewer if the video is short)
+ * @param {number} [options.port=7070] - Port to listen on (0 picks a free one)
+ * @param {string} [options.host] - Interface to listen on (default: all)
+ * @param {number} [options.leaseTimeout=30000] - Milliseconds without a
+ *   heartbeat before a chunk is given to another worker
+ * @param {number} [options.maxAttempts=3] - Tries per chunk
+ * @param {boolean} [options.resume=false] - Keep uploaded segments in a
+ *   work directory (work-dir.js) and don't hand out chunks a previous run
+ *   left there
+ * @param {string} [options.workDir] - Root of the work directories
+ * @param {Function} [options.onChunkStart] - Called with { index, total,
+ *   worker, attempt } when a worker claims a chunk
+ * @param {Function} [options.onChunkComplete] - Called with { index, total,
+ *   worker, completed } when a segment is uploaded
+ * @param {Function} [options.onChunkRetry] - Called with { index, worker,
+ *   reason } when a chunk goes back in the queue
+ * @param {Function} [options.onProgress] - Called with { frame, total,
+ *   percent } as workers report frames
+ * @returns {Promise<{url: string, address: string, chunks: number,
+ *   skipped: number, totalFrames: number, done: Promise<string>,
+ *   close: () => Promise<void>}>} `address` is what workers pass to
+ *   --connect; `skipped` counts chunks resumed from the work directory;
+ *   `done` resolves with the output path once the segments are joined
+ */
+export async function startCoordinator(options) {
+  options = await applyCompositionMetadata(options)
+  const {
+    input,
+    output = './output.mp4',
+    fps = 30,
+    duration: providedDuration,
+    width = 1920,
+    height = 1080,
+    props,
+    audio,
+    codec: requestedCodec,
+    transparent = false,
+    viteConfig,
+    setup,
+    chunks: chunkCount = DEFAULT_CHUNKS,
+    port = DEFAULT_PORT,
+    host,
+    leaseTimeout = DEFAULT_LEASE_TIMEOUT,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    resume = false,
+    workDir,
+    onChunkStart,
+    onChunkComplete,
+    onChunkRetry,
+    onProgress,
+  } = options
+
+  // Reject unknown containers/codecs before any worker is involved
+  const { format, formatOptions, codec } = resolveOutputFormat(
+    output,
+    requestedCodec,
+    { transparent },
+  )
+  const encoding = resolveEncodingSettings({ ...options, codec, width, height })
+
+  if (codec === 'prores') {
+    throw new Error(
+      'ProRes is encoded by FFmpeg and cannot be rendered in chunks; use .mp4, .webm or .mkv',
+    )
+  }
+
+  // Auto-detect duration if not provided
+  let duration = providedDuration
+  if (!duration || duration <= 0) {
+    duration = await getTimelineDuration({
+      input,
+      width,
+      height,
+      props,
+      viteConfig,
+      setup,
+      fps,
+    })
+    if (!duration || duration <= 0) {
+      throw new Error(
+        'Could not auto-detect duration. Specify duration manually.',
+      )
+    }
+  }
+
+  const totalFrames = Math.ceil(duration * fps)
+  const keyframeInterval =
+    encoding.keyFrameInterval ?? DEFAULT_KEYFRAME_INTERVAL
+  const { path: segmentsDir } = resume
+    ? await openWorkDir({
+        ...options,
+        output,
+        fps,
+        duration,
+        width,
+        height,
+        codec,
+        encoding,
+        transparent,
+        files: await listCompositionFiles({
+          input,
+          width,
+          height,
+          props,
+          transparent,
+          viteConfig,
+          setup,
+          fps,
+        }),
+        workDir,
+      })
+    : { path: await mkdtemp(join(tmpdir(), 'vueseq-coordinator-')) }
+  const chunks = splitFrameChunks(
+    totalFrames,
+    chunkCount,
+    Math.ceil(keyframeInterval * fps),
+  ).map((range, index) => {
+    const { path } = segmentFiles(segmentsDir, range, extname(output))
+    // Uploaded in a previous run
+    const done = existsSync(path)
+    return {
+      index,
+      ...range,
+      path,
+      status: done ? 'done' : 'pending',
+      attempts: 0,
+      lease: null,
+      worker: null,
+      expires: 0,
+      frames: done ? range.end - range.start : 0,
+    }
+  })
+  const skipped = chunks.filter(({ status }) => status === 'done').length
+
+  // Everything a worker needs to render any chunk
+  const job = {
+    input: toJobPath(input),
+    setup: toJobPath(setup),
+    viteConfig: toJobPath(viteConfig),
+    audio: toJobPath(audio),
+    props,
+    fps,
+    duration,
+    width,
+    height,
+    codec,
+    transparent,
+    quality: options.quality,
+    bitrate: options.bitrate,
+    keyframeInterval: options.keyframeInterval,
+    bitrateMode: options.bitrateMode,
+    latencyMode: options.latencyMode,
+    beginFrame: options.beginFrame,
+    extension: extname(output),
+    heartbeatInterval: Math.round(leaseTimeout / 6),
+  }
+
+  let failure = null
+  let rejectJob
+  const jobFailed = new Promise((_, reject) => {
+    rejectJob = reject
+  })
+  let resolveUploaded
+  const uploaded = new Promise((resolve) => {
+    resolveUploaded = resolve
+  })
+  let completed = skipped
+  if (completed === chunks.length) resolveUploaded()
+
+  const fail = (error) => {
+    if (failure) return
+    failure = error
+    rejectJob(error)
+  }
+
+  const reportProgress = () => {
+    if (!onProgress) return
+    const rendered = chunks.reduce((sum, chunk) => sum + chunk.frames, 0)
+    onProgress({
+      frame: rendered - 1,
+      total: totalFrames,
+      percent: Math.round((rendered / totalFrames) * 100),
+    })
+  }
+
+  // Put a running chunk back in the queue, unless it is out of tries
+  const release = (chunk, reason) => {
+    const { worker } = chunk
+    chunk.status = 'pending'
+    chunk.lease = null
+    chunk.worker = null
+    chunk.frames = 0
+    if (chunk.attempts >= maxAttempts) {
+      fail(
+        new Error(
+          `Chunk ${chunk.index} failed ${chunk.attempts} times, last on ${worker}: ${reason}`,
+        ),
+      )
+      return
+    }
+    onChunkRetry?.({ index: chunk.index, worker, reason })
+  }
+
+  const expireLeases = () => {
+    const now = Date.now()
+    for (const chunk of chunks) {
+      if (chunk.status === 'running' && now > chunk.expires) {
+        release(chunk, `${chunk.worker} stopped responding`)
+      }
+    }
+  }
+
+  const claim = (worker) => {
+    if (failure) return { failed: failure.message }
+    if (completed === chunks.length) return { done: true }
+    expireLeases()
+
+    const chunk = chunks.find(({ status }) => status === 'pending')
+    if (!chunk) return { wait: POLL_INTERVAL }
+
+    chunk.status = 'running'
+    chunk.attempts++
+    chunk.lease = randomUUID()
+    chunk.worker = worker
+    chunk.expires = Date.now() + leaseTimeout
+    onChunkStart?.({
+      index: chunk.index,
+      total: chunks.length,
+      worker,
+      attempt: chunk.attempts,
+    })
+    return {
+      chunk: {
+        index: chunk.index,
+        start: chunk.start,
+        end: chunk.end,
+        lease: chunk.lease,
+        // The first segment carries the soundtrack
+        mixAudio: chunk.index === 0,
+      },
+    }
+  }
+
+  const holdsLease = (chunk, lease) =>
+    !failure && chunk.status === 'running' && chunk.lease === lease
+
+  // Write the upload next to the segment; it only counts once complete
+  const receiveSegment = async (req, chunk, lease) => {
+    const partial = `${chunk.path}.${lease}.part`
+    try {
+      await pipeline(req, createWriteStream(partial))
+      if (!holdsLease(chunk, lease)) return false
+      await rename(partial, chunk.path)
+    } finally {
+      await rm(partial, { force: true })
+    }
+
+    chunk.status = 'done'
+    chunk.lease = null
+    chunk.frames = chunk.end - chunk.start
+    completed++
+    onChunkComplete?.({
+      index: chunk.index,
+      total: chunks.length,
+      worker: chunk.worker,
+      completed,
+    })
+    reportProgress()
+    if (completed === chunks.length) resolveUploaded()
+    return true
+  }
+
+  const handle = async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://coordinator')
+
+    if (req.method === 'GET' && pathname === '/job') {
+      return sendJson(res, 200, { job })
+    }
+    if (req.method === 'POST' && pathname === '/claim') {
+      const { worker = req.socket.remoteAddress } = await readJson(req)
+      return sendJson(res, 200, claim(String(worker)))
+    }
+
+    const match = pathname.match(/^\/chunks\/(\d+)\/(heartbeat|fail|segment)$/)
+    const chunk = match ? chunks[Number(match[1])] : undefined
+    const action = match?.[2]
+    if (!chunk) {
+      return sendJson(res, 404, { error: `Not found: ${pathname}` })
+    }
+
+    if (action === 'segment') {
+      if (req.method !== 'PUT') {
+        return sendJson(res, 405, { error: 'Use PUT' })
+      }
+      const lease = searchParams.get('lease')
+      if (!holdsLease(chunk, lease)) {
+        req.resume()
+        return sendJson(res, 409, { error: 'Lease lost' })
+      }
+      const accepted = await receiveSegment(req, chunk, lease)
+      return accepted
+        ? sendJson(res, 200, { ok: true })
+        : sendJson(res, 409, { error: 'Lease lost' })
+    }
+
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'Use POST' })
+    }
+    const body = await readJson(req)
+    if (!holdsLease(chunk, body.lease)) {
+      return sendJson(res, 409, { error: 'Lease lost' })
+    }
+
+    if (action === 'heartbeat') {
+      chunk.expires = Date.now() + leaseTimeout
+      if (Number.isInteger(body.frames)) {
+        chunk.frames = Math.min(body.frames, chunk.end - chunk.start)
+        reportProgress()
+      }
+    } else {
+      release(chunk, body.error || 'worker reported a failure')
+    }
+    return sendJson(res, 200, { ok: true })
+  }
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      if (!res.headersSent) sendJson(res, 500, { error: error.message })
+      else res.destroy()
+    })
+  })
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(port, host, resolve)
+    })
+  } catch (error) {
+    if (!resume) await rm(segmentsDir, { recursive: true, force: true })
+    throw error
+  }
+
+  // Also notices dead workers while no one is asking for work
+  const expiry = setInterval(() => {
+    if (!failure) expireLeases()
+  }, POLL_INTERVAL)
+
+  const closeServer = () =>
+    new Promise((resolve) => {
+      server.close(() => resolve())
+      server.closeAllConnections()
+    })
+
+  const done = (async () => {
+    let joined = false
+    try {
+      await Promise.race([uploaded, jobFailed])
+      await concatSegments({
+        segments: chunks.map(({ path, start }) => ({ path, start: start / fps })),
+        output,
+        format,
+        formatOptions,
+        fps,
+      })
+      joined = true
+      return output
+    } finally {
+      clearInterval(expiry)
+      // Idle workers learn the outcome the next time they ask for work
+      await sleep(POLL_INTERVAL * 2)
+      await closeServer()
+      // A resumable render keeps its segments until the video is joined
+      if (!resume || joined) {
+        await rm(segmentsDir, { recursive: true, force: true })
+      }
+    }
+  })()
+  // A caller that only ever calls close() never sees the rejection
+  done.catch(() => {})
+
+  const { port: boundPort } = server.address()
+  const advertisedHost =
+    !host || host === '0.0.0.0' || host === '::' ? hostname() : host
+
+  return {
+    url: `http://${advertisedHost}:${boundPort}`,
+    address: `${advertisedHost}:${boundPort}`,
+    chunks: chunks.length,
+    skipped,
+    totalFrames,
+    done,
+    close: async () => {
+      fail(new Error('Coordinator was stopped'))
+      await done.catch(() => {})
+    },
+  }
+}
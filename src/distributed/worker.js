@@ -0,0 +1,258 @@
+/**
+ * Distributed Rendering - Worker
+ *
+ * Connects to a coordinator (coordinator.js), then renders chunks until
+ * there are none left: each one in its own browser process with its own
+ * encoder (renderChunk() from encode-chunked.js), from one local video
+ * server. Finished segments are uploaded to the coordinator.
+ *
+ * Key design decisions:
+ * - Heartbeats run on a timer, independent of frame capture, so a slow
+ *   page load doesn't look like a dead worker
+ * - A chunk that fails here is reported and the worker carries on; the
+ *   coordinator decides whether it is retried or the render fails
+ * - The composition is resolved against the worker's working directory,
+ *   so it must run from a checkout of the same project
+ * - The coordinator shuts down soon after the video is joined. A refused
+ *   connection while the worker holds no lease means the work is over
+ */
+
+import { existsSync } from 'fs'
+import { mkdtemp, readFile, rm } from 'fs/promises'
+import { join, resolve } from 'path'
+import { hostname, tmpdir } from 'os'
+import { createVideoServer } from '../bundler/vite.js'
+import { renderChunk } from '../renderer/encode-chunked.js'
+import { DEFAULT_PORT } from './coordinator.js'
+
+// Attempts to reach the coordinator before giving up
+const MAX_RETRIES = 5
+const RETRY_DELAY = 2000
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// fetch() rejects with a TypeError when there is no connection
+const isConnectionError = (error) => error instanceof TypeError
+
+// Nothing listens on the coordinator's port (as opposed to a slow network)
+const isRefused = (error) => error.cause?.code === 'ECONNREFUSED'
+
+/**
+ * Coordinator URL from a --connect address
+ * @param {string} address - host:port, host (default port) or an http URL
+ * @returns {URL}
+ */
+export function coordinatorUrl(address) {
+  const withScheme = /^https?:\/\//.test(address)
+    ? address
+    : `http://${address}`
+  const url = new URL(withScheme)
+  if (!/:\d+\/?$/.test(withScheme)) url.port = String(DEFAULT_PORT)
+  return url
+}
+
+/**
+ * Send a request to the coordinator
+ * @returns {Promise<Object>} The JSON reply, with lost: true on 409
+ */
+async function call(base, method, path, body) {
+  const init = { method }
+  if (Buffer.isBuffer(body)) {
+    init.body = body
+    init.headers = { 'Content-Type': 'application/octet-stream' }
+  } else if (body !== undefined) {
+    init.body = JSON.stringify(body)
+    init.headers = { 'Content-Type': 'application/json' }
+  }
+
+  const response = await fetch(new URL(path, base), init)
+  const reply = await response.json().catch(() => ({}))
+  if (response.status === 409) return { ...reply, lost: true }
+  if (!response.ok) {
+    throw new Error(
+      reply.error ?? `Coordinator answered ${response.status} to ${path}`,
+    )
+  }
+  return reply
+}
+
+// Requests that must get through, e.g. while the coordinator restarts.
+// With closed, a refused connection resolves with { closed: true }.
+async function callWithRetry(base, method, path, body, { closed } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await call(base, method, path, body)
+    } catch (error) {
+      if (closed && isConnectionError(error) && isRefused(error)) {
+        return { closed: true }
+      }
+      if (!isConnectionError(error) || attempt >= MAX_RETRIES) {
+        throw new Error(
+          `Cannot reach coordinator at ${base.host}: ${error.message}`,
+        )
+      }
+      await sleep(RETRY_DELAY)
+    }
+  }
+}
+
+/**
+ * Render chunks for a coordinator until the video is done
+ * @param {Object} options
+ * @param {string} options.connect - Coordinator address (host:port)
+ * @param {string} [options.name] - Worker name shown by the coordinator
+ *   (default: hostname and process id)
+ * @param {Function} [options.onJob] - Called with { input, width, height,
+ *   fps, duration } once the job is known
+ * @param {Function} [options.onChunkStart] - Called with { index, start,
+ *   end } for each claimed chunk
+ * @param {Function} [options.onChunkComplete] - Called with { index,
+ *   elapsed } (seconds) after a segment is uploaded
+ * @param {Function} [options.onChunkFailed] - Called with { index, error }
+ *   when a chunk fails or its lease is lost
+ * @param {Function} [options.onProgress] - Called with { frame, total,
+ *   percent } for the current chunk
+ * @param {Function} [options.renderChunk] - Renders one chunk into its
+ *   segment file (default: renderChunk() from encode-chunked.js)
+ * @returns {Promise<{chunks: number}>} - Number of segments uploaded
+ */
+export async function runWorker(options) {
+  const {
+    connect,
+    name = `${hostname()}-${process.pid}`,
+    onJob,
+    onChunkStart,
+    onChunkComplete,
+    onChunkFailed,
+    onProgress,
+    renderChunk: render = renderChunk,
+  } = options
+
+  const base = coordinatorUrl(connect)
+  const { job } = await callWithRetry(base, 'GET', '/job')
+
+  // Paths in the job are relative to the project
+  const local = (path) => (typeof path === 'string' ? resolve(path) : path)
+  const input = local(job.input)
+  if (!existsSync(input)) {
+    throw new Error(
+      `Composition not found: ${input}. Run the worker from the same project directory as the coordinator.`,
+    )
+  }
+  const settings = {
+    ...job,
+    input,
+    setup: local(job.setup),
+    viteConfig: local(job.viteConfig),
+    audio: local(job.audio),
+  }
+  onJob?.(settings)
+
+  const { url, cleanup: cleanupServer } = await createVideoServer({
+    input,
+    width: settings.width,
+    height: settings.height,
+    props: settings.props,
+    transparent: settings.transparent,
+    viteConfig: settings.viteConfig,
+    setup: settings.setup,
+    fps: settings.fps,
+  })
+  const segmentsDir = await mkdtemp(join(tmpdir(), 'vueseq-worker-'))
+
+  let uploaded = 0
+  try {
+    while (true) {
+      // Between chunks the worker holds no lease, so a coordinator that
+      // has shut down has finished (or stopped) without it
+      const reply = await callWithRetry(
+        base,
+        'POST',
+        '/claim',
+        { worker: name },
+        { closed: true },
+      )
+      if (reply.done || reply.closed) return { chunks: uploaded }
+      if (reply.failed) throw new Error(`Render failed: ${reply.failed}`)
+      if (reply.wait) {
+        await sleep(reply.wait)
+        continue
+      }
+
+      const { index, start, end, lease, mixAudio } = reply.chunk
+      const chunkPath = `/chunks/${index}`
+      const segment = join(segmentsDir, `segment-${index}${job.extension}`)
+      const startTime = Date.now()
+      onChunkStart?.({ index, start, end })
+
+      let frames = 0
+      let lost = false
+      const beat = async () => {
+        try {
+          const { lost: leaseLost } = await call(
+            base,
+            'POST',
+            `${chunkPath}/heartbeat`,
+            { lease, frames },
+          )
+          if (leaseLost) lost = true
+        } catch {
+          // A missed beat is fine; only a long silence loses the lease
+        }
+      }
+      const heartbeat = setInterval(beat, job.heartbeatInterval)
+
+      try {
+        await render({
+          ...settings,
+          url,
+          segment,
+          chunk: { start, end },
+          mixAudio,
+          onProgress: ({ frame }) => {
+            frames++
+            onProgress?.({
+              frame,
+              total: end - start,
+              percent: Math.round((frames / (end - start)) * 100),
+            })
+          },
+        })
+
+        // A chunk given to another worker is not uploaded (or not accepted)
+        let accepted = false
+        if (!lost) {
+          const reply = await call(
+            base,
+            'PUT',
+            `${chunkPath}/segment?lease=${encodeURIComponent(lease)}`,
+            await readFile(segment),
+          )
+          accepted = !reply.lost
+        }
+        if (!accepted) {
+          onChunkFailed?.({
+            index,
+            error: new Error('Lease lost; another worker renders the chunk'),
+          })
+          continue
+        }
+
+        uploaded++
+        onChunkComplete?.({ index, elapsed: (Date.now() - startTime) / 1000 })
+      } catch (error) {
+        onChunkFailed?.({ index, error })
+        await call(base, 'POST', `${chunkPath}/fail`, {
+          lease,
+          error: error.message,
+        }).catch(() => {})
+      } finally {
+        clearInterval(heartbeat)
+        await rm(segment, { force: true })
+      }
+    }
+  } finally {
+    await rm(segmentsDir, { recursive: true, force: true })
+    await cleanupServer()
+  }
+}
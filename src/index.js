@@ -5,6 +5,21 @@
  * Uses WebCodecs API for hardware-accelerated video encoding.
  */
 
-export { renderFrames } from './renderer/render.js'
+export {
+  renderFrames,
+  getCompositionMetadata,
+  readCompositionMetadata,
+} from './renderer/render.js'
 export { renderToMp4, isWebCodecsSupported } from './renderer/encode.js'
 export { createVideoServer } from './bundler/vite.js'
+export { renderToMp4Chunked } from './renderer/encode-chunked.js'
+export { cleanWorkDirs, listWorkDirs } from './renderer/work-dir.js'
+export { renderBatch } from './renderer/batch.js'
+export { renderToAnimatedImage } from './renderer/animated-image.js'
+export { renderSequence } from './renderer/sequence.js'
+export { renderStill } from './renderer/still.js'
+export { startPreviewServer } from './bundler/preview.js'
+export { startCoordinator } from './distributed/coordinator.js'
+export { runWorker } from './distributed/worker.js'
+export { defineConfig, resolveRenderOptions } from './config.js'
+export { render, selectRenderer } from './renderer/select.js'
@@ -0,0 +1,224 @@
+/**
+ * Animated Image Export
+ *
+ * Renders short loops to GIF, animated WebP or APNG for places where MP4
+ * can't be embedded (READMEs, chat, email). Frames come from the PNG
+ * capture loop in renderFrames(); FFmpeg builds the image, with a
+ * generated palette and dithering for GIF.
+ *
+ * Output is deterministic: frames are captured on the virtual clock,
+ * palette generation and dithering are pure functions of the frames, and
+ * FFmpeg's bitexact flags keep version strings out of the file.
+ */
+
+import { extname, join } from 'path'
+import { renderFrames, applyCompositionMetadata } from './render.js'
+import { runFFmpeg } from './ffmpeg-encode.js'
+
+// Animated image formats by output extension
+const FORMATS = {
+  '.gif': 'gif',
+  '.webp': 'webp',
+  '.apng': 'apng',
+}
+
+// FFmpeg paletteuse dithering modes
+export const DITHER_MODES = [
+  'none',
+  'bayer',
+  'floyd_steinberg',
+  'sierra2',
+  'sierra2_4a',
+]
+
+// GIF palette strategies and their palettegen stats_mode
+const PALETTE_MODES = {
+  global: 'full', // One palette for the whole animation
+  diff: 'diff', // Favour the moving parts over a static background
+  'per-frame': 'single', // A new palette for every frame (larger files)
+}
+
+/**
+ * Whether an output path is an animated image rather than a video
+ * @param {string} output
+ * @returns {boolean}
+ */
+export function isAnimatedImageOutput(output) {
+  return extname(output).toLowerCase() in FORMATS
+}
+
+/**
+ * Validate animated image options and work out the frame step
+ * @param {Object} options
+ * @param {string} options.output - .gif, .webp or .apng path
+ * @param {number} [options.fps=30] - Composition frames per second
+ * @param {number} [options.gifFps] - Output frame rate (frames are skipped)
+ * @param {number} [options.loop=0] - Times to play, 0 = forever
+ * @param {string} [options.dither='sierra2_4a'] - GIF dithering mode
+ * @param {string} [options.palette='global'] - GIF palette: global, diff, per-frame
+ * @param {number} [options.colors=256] - GIF palette size (2-256)
+ * @returns {{format: string, step: number, outputFps: number, loop: number, dither: string, palette: string, colors: number}}
+ */
+export function resolveAnimatedImageOptions(options) {
+  const {
+    output,
+    fps = 30,
+    gifFps,
+    loop = 0,
+    dither = 'sierra2_4a',
+    palette = 'global',
+    colors = 256,
+  } = options
+
+  const format = FORMATS[extname(output).toLowerCase()]
+  if (!format) {
+    throw new Error(
+      `Unsupported animated image extension "${extname(output)}". Use one of: ${Object.keys(FORMATS).join(', ')}`,
+    )
+  }
+
+  if (gifFps !== undefined && !(Number.isFinite(gifFps) && gifFps > 0)) {
+    throw new Error('GIF frame rate must be a positive number')
+  }
+
+  if (!(Number.isInteger(loop) && loop >= 0)) {
+    throw new Error('Loop count must be a whole number (0 = forever)')
+  }
+
+  if (!DITHER_MODES.includes(dither)) {
+    throw new Error(
+      `Unknown dither mode "${dither}". Use one of: ${DITHER_MODES.join(', ')}`,
+    )
+  }
+
+  if (!(palette in PALETTE_MODES)) {
+    throw new Error(
+      `Unknown palette mode "${palette}". Use one of: ${Object.keys(PALETTE_MODES).join(', ')}`,
+    )
+  }
+
+  if (!(Number.isInteger(colors) && colors >= 2 && colors <= 256)) {
+    throw new Error('Palette colors must be a whole number from 2 to 256')
+  }
+
+  // Skip whole frames so every output frame lands exactly on a source frame
+  const step = gifFps ? Math.max(1, Math.round(fps / gifFps)) : 1
+
+  return {
+    format,
+    step,
+    outputFps: fps / step,
+    loop,
+    dither,
+    palette,
+    colors,
+  }
+}
+
+/**
+ * FFmpeg arguments for one animated image format
+ * @param {Object} settings - From resolveAnimatedImageOptions()
+ * @param {boolean} transparent
+ * @returns {string[]}
+ */
+function getFormatArgs(settings, transparent) {
+  const { format, loop, dither, palette, colors } = settings
+
+  if (format === 'gif') {
+    const statsMode = PALETTE_MODES[palette]
+    const newPalette = palette === 'per-frame' ? ':new=1' : ''
+    const paletteGen = `palettegen=max_colors=${colors}:stats_mode=${statsMode}:reserve_transparent=${transparent ? 1 : 0}`
+    const paletteUse = `paletteuse=dither=${dither}${newPalette}`
+    return [
+      '-filter_complex',
+      `[0:v]split[a][b];[a]${paletteGen}[p];[b][p]${paletteUse}`,
+      // GIF counts repeats after the first play; -1 plays once
+      '-loop',
+      String(loop === 0 ? 0 : loop === 1 ? -1 : loop - 1),
+      '-f',
+      'gif',
+    ]
+  }
+
+  if (format === 'webp') {
+    return [
+      '-c:v',
+      'libwebp_anim',
+      '-lossless',
+      '0',
+      '-quality',
+      '90',
+      '-pix_fmt',
+      transparent ? 'yuva420p' : 'yuv420p',
+      '-loop',
+      String(loop),
+      '-f',
+      'webp',
+    ]
+  }
+
+  return [
+    '-c:v',
+    'apng',
+    '-pix_fmt',
+    transparent ? 'rgba' : 'rgb24',
+    '-plays',
+    String(loop),
+    '-f',
+    'apng',
+  ]
+}
+
+/**
+ * Render a Vue component to an animated GIF, WebP or APNG
+ * @param {Object} options
+ * @param {string} options.input - Absolute path to the Video.vue component
+ * @param {string} options.output - Output path; .gif, .webp or .apng
+ * @param {number} [options.fps=30] - Composition frames per second
+ * @param {number} [options.duration] - Duration in seconds (auto-detected if not provided)
+ * @param {number} [options.width=1920] - Width in pixels
+ * @param {number} [options.height=1080] - Height in pixels
+ * @param {Object} [options.props] - Props passed to the root component
+ * @param {boolean} [options.transparent=false] - Keep the alpha channel
+ * @param {number} [options.gifFps] - Output frame rate (default: fps)
+ * @param {number} [options.loop=0] - Times to play, 0 = forever
+ * @param {string} [options.dither='sierra2_4a'] - GIF dithering mode
+ * @param {string} [options.palette='global'] - GIF palette: global, diff, per-frame
+ * @param {number} [options.colors=256] - GIF palette size (2-256)
+ * @param {function} [options.onProgress] - Progress callback
+ * @returns {Promise<string>} - Path to the output image
+ */
+export async function renderToAnimatedImage(options) {
+  options = await applyCompositionMetadata(options)
+  const { output, fps = 30, transparent = false } = options
+
+  const settings = resolveAnimatedImageOptions({ ...options, fps })
+
+  const { framesDir, cleanup } = await renderFrames({
+    ...options,
+    fps,
+    step: settings.step,
+  })
+
+  try {
+    return await runFFmpeg(
+      [
+        '-y',
+        '-framerate',
+        String(settings.outputFps),
+        '-i',
+        join(framesDir, 'frame-%05d.png'),
+        ...getFormatArgs(settings, transparent),
+        // Keep encoder versions and timestamps out of the file
+        '-fflags',
+        '+bitexact',
+        '-flags:v',
+        '+bitexact',
+        output,
+      ],
+      output,
+    )
+  } finally {
+    await cleanup()
+  }
+}
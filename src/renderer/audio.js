@@ -0,0 +1,158 @@
+/**
+ * Audio Mixing
+ *
+ * Collects the sounds a composition declares (<SeqAudio>, registerAudio)
+ * plus an optional background track, mixes them offline in the page with
+ * an OfflineAudioContext and hands the encoder a helper that muxes the mix
+ * as an AAC (or Opus) track.
+ */
+
+import { resolve } from 'path'
+
+// Page URL under which the --audio file is served
+const SOUNDTRACK_ROUTE = '/@vueseq/soundtrack'
+
+const SAMPLE_RATE = 48000
+const CHANNELS = 2
+
+/**
+ * Sounds the composition declares. With <Sequence> scenes, their content
+ * has to be mounted to be seen, so the scenes are visited in a second page
+ * of the same context; the render page's clock and state stay untouched.
+ * @param {import('playwright').Page} page - Loaded video page
+ * @returns {Promise<Array<{src: string, at: number, volume: number, end: number}>>}
+ */
+async function collectDeclaredTracks(page) {
+  const hasScenes = await page.evaluate(
+    () => window.__VUESEQ_HAS_SCENES__?.() ?? false,
+  )
+  if (!hasScenes) {
+    return await page.evaluate(() => window.__VUESEQ_GET_AUDIO__?.() ?? [])
+  }
+
+  const probe = await page.context().newPage()
+  try {
+    await probe.goto(page.url(), { waitUntil: 'networkidle' })
+    await probe.waitForFunction(() => window.__VUESEQ_READY__ === true, {
+      timeout: 30000,
+    })
+    return await probe.evaluate(() => window.__VUESEQ_COLLECT_AUDIO__())
+  } finally {
+    await probe.close()
+  }
+}
+
+/**
+ * Mix the page's audio and install window.__VUESEQ_ATTACH_AUDIO__.
+ * Call after Mediabunny is injected and before the encoder starts; the
+ * encoder then does:
+ *
+ *   const writeAudio = await window.__VUESEQ_ATTACH_AUDIO__?.(output)
+ *   await output.start()
+ *   await writeAudio?.()
+ *
+ * @param {import('playwright').Page} page - Loaded video page
+ * @param {Object} options
+ * @param {number} options.duration - Video duration in seconds
+ * @param {string} [options.audio] - Background track file, starts at 0
+ * @returns {Promise<number>} - Number of mixed sounds (0 = no audio track)
+ */
+export async function prepareAudio(page, { duration, audio }) {
+  const tracks = await collectDeclaredTracks(page)
+  const extraTracks = []
+
+  if (audio) {
+    const audioPath = resolve(audio)
+    await page.route(`**${SOUNDTRACK_ROUTE}`, (route) =>
+      route.fulfill({ path: audioPath }),
+    )
+    extraTracks.push({
+      src: new URL(SOUNDTRACK_ROUTE, page.url()).href,
+      at: 0,
+      volume: 1,
+      end: Infinity,
+    })
+  }
+
+  return await page.evaluate(
+    async ({ declaredTracks, extraTracks, duration, sampleRate, channels }) => {
+      const tracks = [...declaredTracks, ...extraTracks]
+      if (tracks.length === 0) return 0
+
+      // Offline mix of every sound at its timeline offset
+      const context = new OfflineAudioContext(
+        channels,
+        Math.ceil(duration * sampleRate),
+        sampleRate,
+      )
+
+      await Promise.all(
+        tracks.map(async ({ src, at, volume, end }) => {
+          const response = await fetch(src)
+          if (!response.ok) {
+            throw new Error(`Could not load audio ${src} (${response.status})`)
+          }
+          const buffer = await context.decodeAudioData(
+            await response.arrayBuffer(),
+          )
+
+          const source = context.createBufferSource()
+          source.buffer = buffer
+          const gain = context.createGain()
+          gain.gain.value = volume
+          source.connect(gain).connect(context.destination)
+
+          // Sounds placed before 0 start partway through; those of a
+          // <Sequence> stop at its end
+          const when = Math.max(0, at)
+          if (Number.isFinite(end)) {
+            source.start(when, Math.max(0, -at), Math.max(0, end - when))
+          } else {
+            source.start(when, Math.max(0, -at))
+          }
+        }),
+      )
+
+      const mixed = await context.startRendering()
+
+      window.__VUESEQ_ATTACH_AUDIO__ = async (output) => {
+        const { AudioBufferSource, QUALITY_HIGH, getFirstEncodableAudioCodec } =
+          window.Mediabunny
+
+        // AAC where the browser can encode it, Opus otherwise
+        const supported = output.format.getSupportedAudioCodecs()
+        const codec = await getFirstEncodableAudioCodec(
+          ['aac', 'opus'].filter((c) => supported.includes(c)),
+          { numberOfChannels: channels, sampleRate },
+        )
+        if (!codec) {
+          throw new Error(
+            'No AAC or Opus audio encoder available for this container',
+          )
+        }
+
+        const audioSource = new AudioBufferSource({
+          codec,
+          bitrate: QUALITY_HIGH,
+        })
+        output.addAudioTrack(audioSource)
+
+        // Written once the output has started
+        return async () => {
+          await audioSource.add(mixed)
+          audioSource.close()
+          delete window.__VUESEQ_ATTACH_AUDIO__
+        }
+      }
+
+      return tracks.length
+    },
+    {
+      declaredTracks: tracks,
+      extraTracks,
+      duration,
+      sampleRate: SAMPLE_RATE,
+      channels: CHANNELS,
+    },
+  )
+}
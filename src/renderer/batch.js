@@ -0,0 +1,353 @@
+/**
+ * Batch Renderer
+ *
+ * Renders the same composition once per data row. A single Vite server and
+ * a single Chromium instance are shared by all rows; each row gets a fresh
+ * browser context whose props are injected before the page loads.
+ */
+
+import { chromium } from 'playwright'
+import { createVideoServer } from '../bundler/vite.js'
+import { mkdir, readFile, writeFile } from 'fs/promises'
+import { dirname, extname, resolve } from 'path'
+import { getOptimalChromiumConfig } from './gpu.js'
+import { encodePageToMp4 } from './encode.js'
+import { applyCompositionMetadata } from './render.js'
+import { resolveOutputFormat } from './format.js'
+import { resolveEncodingSettings } from './encoding.js'
+
+/**
+ * Parse CSV text into an array of row objects keyed by the header line.
+ * Supports quoted fields, escaped quotes ("") and CRLF line endings.
+ * @param {string} text
+ * @returns {Object[]}
+ */
+export function parseCsv(text) {
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  // Last record without a trailing newline
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  // Drop blank lines
+  const nonEmpty = records.filter((r) => r.some((value) => value !== ''))
+  if (nonEmpty.length === 0) return []
+
+  const [header, ...rows] = nonEmpty
+  const keys = header.map((key) => key.trim())
+
+  return rows.map((values) =>
+    Object.fromEntries(keys.map((key, i) => [key, values[i] ?? ''])),
+  )
+}
+
+/**
+ * Load batch rows from a .csv or .json file
+ * @param {string} dataPath - Path to the data manifest
+ * @returns {Promise<Object[]>}
+ */
+export async function loadBatchData(dataPath) {
+  const text = await readFile(dataPath, 'utf-8')
+  const ext = extname(dataPath).toLowerCase()
+
+  if (ext === '.csv') {
+    return parseCsv(text)
+  }
+
+  if (ext === '.json') {
+    const data = JSON.parse(text)
+    const rows = Array.isArray(data) ? data : data?.rows
+    if (!Array.isArray(rows)) {
+      throw new Error(
+        'Batch JSON must be an array of rows or an object with a "rows" array',
+      )
+    }
+    return rows
+  }
+
+  throw new Error(`Unsupported data file: ${dataPath} (use .csv or .json)`)
+}
+
+/**
+ * Expand an output path template like "out/{id}.mp4" for one row.
+ * {index} is the zero-based row index; any other {key} reads the row.
+ * @param {string} template
+ * @param {Object} row
+ * @param {number} index
+ * @returns {string}
+ */
+export function formatOutputPath(template, row, index) {
+  return template.replace(/\{([^{}]+)\}/g, (_, key) => {
+    const value = key === 'index' ? index : row[key]
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`Row ${index} has no value for "{${key}}" in output path`)
+    }
+    // Keep row values from escaping into other directories
+    return String(value).replace(/[\\/:*?"<>|]/g, '_')
+  })
+}
+
+// Rows that would write the same file overwrite each other; rows whose
+// path can't be formatted fail on their own when rendered
+function assertUniqueOutputs(template, rows) {
+  const seen = new Map()
+  for (const [index, row] of rows.entries()) {
+    let path
+    try {
+      path = resolve(formatOutputPath(template, row, index))
+    } catch {
+      continue
+    }
+    if (seen.has(path)) {
+      throw new Error(
+        `Rows ${seen.get(path)} and ${index} both render to ${path}; use a unique column such as {id} or {index} in the output path`,
+      )
+    }
+    seen.set(path, index)
+  }
+}
+
+/**
+ * Render one video per data row, reusing one Vite server and one browser
+ * @param {Object} options
+ * @param {string} options.input - Absolute path to the Video.vue component
+ * @param {Object[]} [options.rows] - Data rows, each passed as props
+ * @param {string} [options.data] - Path to a .csv or .json manifest (if no rows)
+ * @param {string} [options.output='./out/{index}.mp4'] - Output path template
+ * @param {string} [options.summary] - Summary JSON path (default: next to outputs)
+ * @param {number} [options.fps=30] - Frames per second
+ * @param {number} [options.duration] - Duration in seconds (auto-detected per row if not provided)
+ * @param {number} [options.width=1920] - Video width in pixels
+ * @param {number} [options.height=1080] - Video height in pixels
+ * @param {Object} [options.props] - Props shared by every row (row values win)
+ * @param {string} [options.audio] - Background audio file for every row
+ * @param {string} [options.codec] - Video codec: avc, hevc, vp9 or av1
+ * @param {boolean} [options.transparent=false] - Keep the alpha channel
+ * @param {string} [options.quality='high'] - low, medium, high or very-high
+ * @param {string|number} [options.bitrate] - e.g. '8M' (overrides quality)
+ * @param {number} [options.keyframeInterval] - Seconds between key frames
+ * @param {string} [options.bitrateMode] - constant or variable
+ * @param {string} [options.latencyMode] - quality or realtime
+ * @param {function} [options.onRowStart] - Called with { index, total, output }
+ * @param {function} [options.onRowComplete] - Called with each row result
+ * @param {function} [options.onProgress] - Frame progress callback (includes row index)
+ * @param {string|false} [options.viteConfig] - See createVideoServer()
+ * @param {string} [options.setup] - See createVideoServer()
+ * @returns {Promise<Object>} - Batch summary (also written to options.summary)
+ */
+export async function renderBatch(options) {
+  options = await applyCompositionMetadata(options)
+  const {
+    input,
+    data,
+    output = './out/{index}.mp4',
+    fps = 30,
+    duration: providedDuration,
+    width = 1920,
+    height = 1080,
+    props: sharedProps = {},
+    audio,
+    codec,
+    transparent = false,
+    viteConfig,
+    setup,
+    quality,
+    bitrate,
+    keyframeInterval,
+    bitrateMode,
+    latencyMode,
+    onRowStart,
+    onRowComplete,
+    onProgress,
+  } = options
+
+  const rows = options.rows ?? (data ? await loadBatchData(data) : null)
+  if (!Array.isArray(rows)) {
+    throw new Error('renderBatch needs either rows or a data file')
+  }
+  assertUniqueOutputs(output, rows)
+
+  // Default summary location: the output directory, unless it is templated
+  const outputDir = dirname(output)
+  const summaryPath =
+    options.summary ??
+    resolve(outputDir.includes('{') ? '.' : outputDir, 'batch-summary.json')
+
+  const startTime = Date.now()
+  const results = []
+
+  // One Vite server for every row; props are injected per page
+  const { url, cleanup: cleanupServer } = await createVideoServer({
+    input,
+    width,
+    height,
+    props: sharedProps,
+    transparent,
+    viteConfig,
+    setup,
+    fps,
+  })
+
+  const gpuConfig = await getOptimalChromiumConfig()
+  const launchOptions = {
+    headless: gpuConfig.headless,
+    args: gpuConfig.args,
+  }
+  if (gpuConfig.channel) {
+    launchOptions.channel = gpuConfig.channel
+  }
+  const browser = await chromium.launch(launchOptions)
+
+  try {
+    for (let index = 0; index < rows.length; index++) {
+      const row = rows[index]
+      const rowStart = Date.now()
+      const result = {
+        index,
+        id: row?.id,
+        output: null,
+        status: 'success',
+      }
+
+      let context = null
+      try {
+        result.output = formatOutputPath(output, row, index)
+
+        // Same settings encodePageToMp4 resolves, recorded in the summary
+        const { codec: rowCodec } = resolveOutputFormat(result.output, codec, {
+          transparent,
+        })
+        result.codec = rowCodec
+        if (rowCodec !== 'prores') {
+          result.bitrate = resolveEncodingSettings({
+            ...options,
+            codec: rowCodec,
+            width,
+            height,
+          }).bitrate
+        }
+
+        onRowStart?.({ index, total: rows.length, output: result.output })
+
+        // Fresh context per row so no state leaks between renders
+        context = await browser.newContext({
+          viewport: { width, height },
+          deviceScaleFactor: 1,
+        })
+        await context.addInitScript(
+          (props) => {
+            window.__VUESEQ_PROPS__ = props
+          },
+          { ...sharedProps, ...row },
+        )
+
+        const page = await context.newPage()
+        await page.goto(url, { waitUntil: 'networkidle' })
+        await page.waitForFunction(() => window.__VUESEQ_READY__ === true, {
+          timeout: 30000,
+        })
+
+        // Give Vue a moment to mount and GSAP to set up timelines
+        await page.waitForTimeout(100)
+
+        // Timeline length may depend on the row, so detect it on this page
+        let duration = providedDuration
+        if (!duration || duration <= 0) {
+          duration = await page.evaluate(() =>
+            window.__VUESEQ_GET_DURATION__?.(),
+          )
+          if (!duration || duration <= 0) {
+            throw new Error(
+              'Could not auto-detect duration. Specify duration manually.',
+            )
+          }
+        }
+        result.duration = duration
+
+        await mkdir(dirname(resolve(result.output)), { recursive: true })
+        await encodePageToMp4(page, {
+          output: result.output,
+          fps,
+          duration,
+          width,
+          height,
+          audio,
+          codec,
+          transparent,
+          quality,
+          bitrate,
+          keyframeInterval,
+          bitrateMode,
+          latencyMode,
+          onProgress: onProgress
+            ? (progress) => onProgress({ ...progress, row: index })
+            : undefined,
+        })
+      } catch (error) {
+        result.status = 'failed'
+        result.error = error.message
+      } finally {
+        if (context) await context.close().catch(() => {})
+      }
+
+      result.elapsed = (Date.now() - rowStart) / 1000
+      results.push(result)
+      onRowComplete?.({ ...result, total: rows.length })
+    }
+  } finally {
+    await browser.close()
+    await cleanupServer()
+  }
+
+  const succeeded = results.filter((r) => r.status === 'success').length
+  const summary = {
+    input,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    elapsed: (Date.now() - startTime) / 1000,
+    rows: results,
+  }
+
+  await mkdir(dirname(summaryPath), { recursive: true })
+  await writeFile(summaryPath, JSON.stringify(summary, null, 2))
+  summary.summaryPath = summaryPath
+
+  return summary
+}
@@ -0,0 +1,155 @@
+/**
+ * Compositor-Driven Capture (HeadlessExperimental.beginFrame)
+ *
+ * Normally Chromium draws on its own schedule: a screenshot after a seek
+ * waits for one requestAnimationFrame and trusts that the compositor has
+ * painted by then. With begin frame control, Chromium draws nothing until
+ * it is told to, over the DevTools protocol. After each seek the renderer
+ * asks for exactly one frame and gets that frame's pixels back, composited
+ * by Chromium itself (filters, blend modes, clip-paths, backdrop-filter).
+ *
+ * Key design decisions:
+ * - Runs in Chromium's headless shell (Playwright's default, no channel):
+ *   only it has the HeadlessExperimental domain
+ * - The page is created through the protocol with enableBeginFrameControl,
+ *   inside the Playwright context, so Playwright drives it as usual
+ * - Between captures, idle frames without display updates keep
+ *   requestAnimationFrame (the bridge's paint wait, Playwright's polling)
+ *   running; they never reach the screen, so each seek is composited once
+ * - Frames are issued one at a time, each advancing the frame time by one
+ *   video frame. Idle frames advance it too, so the compositor's clock
+ *   (CSS animations and transitions) runs with wall-clock time between
+ *   captures; only animations on the virtual clock land on exact frames
+ */
+
+// What --deterministic-mode implies, spelled out for older headless shells
+export const BEGIN_FRAME_ARGS = [
+  '--deterministic-mode',
+  '--enable-begin-frame-control',
+  '--disable-new-content-rendering-timeout',
+  '--run-all-compositor-stages-before-draw',
+  '--disable-threaded-animation',
+  '--disable-threaded-scrolling',
+  '--disable-checker-imaging',
+]
+
+// Wall-clock pause between idle frames (ms)
+const IDLE_FRAME_INTERVAL = 16
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Playwright launch options for begin frame capture
+ * @param {{headless: boolean, channel?: string, args: string[]}} gpuConfig -
+ *   From getOptimalChromiumConfig(); its flags are kept, its channel is not
+ * @returns {{headless: boolean, args: string[]}}
+ */
+export function beginFrameLaunchOptions(gpuConfig) {
+  return {
+    headless: true,
+    args: [...gpuConfig.args, ...BEGIN_FRAME_ARGS],
+  }
+}
+
+/**
+ * Open a page whose frames are drawn only on request
+ * @param {import('playwright').BrowserContext} context - Context of a
+ *   browser launched with beginFrameLaunchOptions()
+ * @param {Object} [options]
+ * @param {number} [options.fps=30] - Frame rate the frame times advance at
+ * @param {boolean} [options.transparent=false] - Keep the alpha channel
+ * @returns {Promise<{page: import('playwright').Page,
+ *   captureFrame: () => Promise<Buffer>, close: () => Promise<void>}>}
+ *   captureFrame() composites the current state and returns it as PNG
+ */
+export async function openBeginFramePage(context, options = {}) {
+  const { fps = 30, transparent = false } = options
+
+  // The CDP id of the Playwright context, read from a throwaway page
+  const probe = await context.newPage()
+  const probeSession = await context.newCDPSession(probe)
+  const { targetInfo } = await probeSession.send('Target.getTargetInfo')
+  await probeSession.detach()
+
+  const browserSession = await context.browser().newBrowserCDPSession()
+  let page
+  try {
+    // Playwright attaches to the target and reports it as a new page
+    const [created] = await Promise.all([
+      context.waitForEvent('page'),
+      browserSession.send('Target.createTarget', {
+        url: 'about:blank',
+        browserContextId: targetInfo.browserContextId,
+        enableBeginFrameControl: true,
+      }),
+    ])
+    page = created
+  } catch (error) {
+    throw new Error(
+      `Begin frame control is unavailable (${error.message}). It needs Chromium's headless shell: npx playwright install chromium`,
+    )
+  } finally {
+    await browserSession.detach()
+    await probe.close()
+  }
+
+  const session = await context.newCDPSession(page)
+  if (transparent) {
+    await session.send('Emulation.setDefaultBackgroundColorOverride', {
+      color: { r: 0, g: 0, b: 0, a: 0 },
+    })
+  }
+
+  // Frames are sent one after another; each waits for the previous one
+  const interval = 1000 / fps
+  let frameTime = 0
+  let queue = Promise.resolve()
+  const beginFrame = (params) => {
+    const frame = queue.then(() => {
+      frameTime += interval
+      return session.send('HeadlessExperimental.beginFrame', {
+        frameTimeTicks: frameTime,
+        interval,
+        ...params,
+      })
+    })
+    queue = frame.catch(() => {})
+    return frame
+  }
+
+  // Idle frames until closed
+  let closed = false
+  const idle = (async () => {
+    while (!closed) {
+      try {
+        await beginFrame({ noDisplayUpdates: true })
+      } catch {
+        // The page is navigating or closing; the next frame retries
+      }
+      await sleep(IDLE_FRAME_INTERVAL)
+    }
+  })()
+
+  // Chromium leaves out the image when nothing changed since the last one
+  let lastFrame = null
+
+  return {
+    page,
+    async captureFrame() {
+      const { screenshotData } = await beginFrame({
+        screenshot: { format: 'png' },
+      })
+      if (screenshotData) {
+        lastFrame = Buffer.from(screenshotData, 'base64')
+      } else if (!lastFrame) {
+        throw new Error('Chromium did not draw the first frame')
+      }
+      return lastFrame
+    },
+    async close() {
+      closed = true
+      await idle
+      await session.detach().catch(() => {})
+    },
+  }
+}
@@ -6,6 +6,27 @@
  * capture and creates VideoFrame objects directly from canvas (zero-copy GPU).
  */
 
+/**
+ * Wrap an injected library so it keeps using real timers.
+ * The bridge's virtual clock replaces setTimeout/rAF on window, which only
+ * fire when the renderer seeks; libraries that wait on them would hang.
+ * @param {string} code - Library source
+ * @param {string} [globalName] - Global declared with `var` that must stay on window
+ * @returns {string}
+ */
+export function withRealTimers(code, globalName) {
+    const exposeGlobal = globalName
+        ? `\nif (typeof ${globalName} !== 'undefined') window.${globalName} = ${globalName}`
+        : ''
+
+    return `;(function (setTimeout, clearTimeout, setInterval, clearInterval, requestAnimationFrame, cancelAnimationFrame) {
+${code}${exposeGlobal}
+}).apply(this, (function (real) {
+    real = real || window
+    return [real.setTimeout, real.clearTimeout, real.setInterval, real.clearInterval, real.requestAnimationFrame, real.cancelAnimationFrame]
+})(window.__VUESEQ_REAL_TIMERS__))`
+}
+
 /**
  * Get the html2canvas script content for injection
  * @returns {Promise<string>}
@@ -22,7 +43,7 @@ export async function getHtml2CanvasScript() {
         '../../node_modules/html2canvas/dist/html2canvas.min.js',
     )
 
-    return await readFile(html2canvasPath, 'utf-8')
+    return withRealTimers(await readFile(html2canvasPath, 'utf-8'))
 }
 
 /**
@@ -54,12 +75,15 @@ export async function injectCaptureInfrastructure(page, { width, height }) {
                 scale: 1,
                 useCORS: true,
                 allowTaint: true,
-                backgroundColor: null, // Transparent - use page background
+                backgroundColor: null, // Transparent - use page background (keeps alpha)
                 logging: false,
                 // Performance optimizations
                 imageTimeout: 0,
                 removeContainer: true,
                 foreignObjectRendering: false, // More compatible
+                // The clone would restart CSS animations; copy this frame's styles
+                onclone: (clonedDocument) =>
+                    window.__VUESEQ_APPLY_ANIMATED_STYLES__?.(clonedDocument),
             }
 
             // Frame batch storage for parallel processing
@@ -84,7 +108,9 @@ export async function captureFrameToBatch(page, timestamp, fps) {
             const captureCanvas = window.__VUESEQ_CAPTURE_CANVAS__
             const options = window.__VUESEQ_CAPTURE_OPTIONS__
 
-            // Capture DOM to canvas using html2canvas
+            // Capture DOM to canvas using html2canvas (it paints over the
+            // previous frame, which shows through transparent areas)
+            captureCanvas.getContext('2d').clearRect(0, 0, captureCanvas.width, captureCanvas.height)
             await html2canvas(document.body, options)
 
             // Create VideoFrame directly from canvas (zero-copy on GPU!)
@@ -120,6 +146,7 @@ export async function encodeFrameBatch(page) {
             // Draw the captured frame to the encoding canvas
             const canvas = window.__VUESEQ_CANVAS__
             const ctx = canvas.getContext('2d')
+            ctx.clearRect(0, 0, canvas.width, canvas.height)
             ctx.drawImage(videoFrame, 0, 0)
 
             // Close the VideoFrame to release GPU resources
@@ -147,10 +174,12 @@ export async function captureAndEncodeDirect(page, timestamp, fps) {
             const encodingCanvas = window.__VUESEQ_CANVAS__
             const ctx = encodingCanvas.getContext('2d')
 
-            // Capture DOM to canvas
+            // Capture DOM to canvas (cleared so transparent areas stay empty)
+            captureCanvas.getContext('2d').clearRect(0, 0, captureCanvas.width, captureCanvas.height)
             await html2canvas(document.body, options)
 
             // Draw captured content to encoding canvas
+            ctx.clearRect(0, 0, encodingCanvas.width, encodingCanvas.height)
             ctx.drawImage(captureCanvas, 0, 0)
 
             // Add frame to video source
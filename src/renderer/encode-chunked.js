@@ -0,0 +1,331 @@
+/**
+ * Chunked Multi-Process Renderer
+ *
+ * Splits the frames into contiguous chunks and renders each one in its own
+ * Chromium process, with its own encoder, to a segment file. The segments
+ * are then joined by copying their packets (remux.js), without re-encoding.
+ *
+ * Key design decisions:
+ * - Frames are captured exactly as by renderToMp4() (screenshot or
+ *   beginFrame, lossless PNG into the encoder); the virtual clock steps each chunk through the
+ *   frames before its start, so every frame matches a single-process render
+ * - Chunk boundaries fall on the encoder's key frame interval, so segments
+ *   start where a single-pass encode places key frames anyway
+ * - The first segment carries the whole soundtrack; the others are video only
+ * - With `resume`, segments are kept in a work directory (work-dir.js) until
+ *   the video is joined, and chunks whose segment exists are skipped
+ */
+
+import { chromium } from 'playwright'
+import { existsSync } from 'fs'
+import { mkdtemp, rename, rm } from 'fs/promises'
+import { extname, join } from 'path'
+import { tmpdir } from 'os'
+import { createVideoServer } from '../bundler/vite.js'
+import { getTimelineDuration, applyCompositionMetadata } from './render.js'
+import { getOptimalChromiumConfig } from './gpu.js'
+import { renderToMp4, encodePageToMp4 } from './encode.js'
+import { DEFAULT_WORKERS } from './encode-parallel.js'
+import { resolveEncodingSettings } from './encoding.js'
+import { resolveOutputFormat } from './format.js'
+import { concatSegments } from './remux.js'
+import { openWorkDir, segmentFiles } from './work-dir.js'
+import { beginFrameLaunchOptions, openBeginFramePage } from './begin-frame.js'
+
+// Mediabunny's key frame interval when none is set (seconds)
+export const DEFAULT_KEYFRAME_INTERVAL = 5
+
+// Chunk length of a resumable render (seconds, rounded up to key frames):
+// about this much is rendered again after a crash
+const RESUME_CHUNK_SECONDS = 10
+
+/**
+ * Split frames into contiguous chunks that start on key frames
+ * @param {number} totalFrames - Frames in the video
+ * @param {number} count - Wanted number of chunks
+ * @param {number} keyframeFrames - Frames between key frames
+ * @returns {Array<{start: number, end: number}>} Frame ranges, end exclusive
+ *   (fewer than count if the video is short)
+ */
+export function splitFrameChunks(totalFrames, count, keyframeFrames) {
+  const step = Math.max(1, keyframeFrames)
+  const size = Math.ceil(Math.ceil(totalFrames / count) / step) * step
+  const chunks = []
+  for (let start = 0; start < totalFrames; start += size) {
+    chunks.push({ start, end: Math.min(start + size, totalFrames) })
+  }
+  return chunks
+}
+
+/**
+ * Render one chunk in its own browser process (also used by distributed
+ * workers)
+ * @param {Object} options - See renderToMp4Chunked(), plus:
+ * @param {string} options.url - Video server URL
+ * @param {string} options.segment - Segment file path
+ * @param {{start: number, end: number}} options.chunk - Frame range
+ * @param {boolean} options.mixAudio - Add the soundtrack to this segment
+ */
+export async function renderChunk(options) {
+  const {
+    url,
+    width,
+    height,
+    fps,
+    transparent,
+    segment,
+    chunk,
+    mixAudio,
+    beginFrame = false,
+  } = options
+
+  const gpuConfig = await getOptimalChromiumConfig()
+  const launchOptions = {
+    headless: gpuConfig.headless,
+    args: gpuConfig.args,
+  }
+  if (gpuConfig.channel) {
+    launchOptions.channel = gpuConfig.channel
+  }
+  const browser = await chromium.launch(
+    beginFrame ? beginFrameLaunchOptions(gpuConfig) : launchOptions,
+  )
+  let frames = null
+
+  try {
+    const context = await browser.newContext({
+      viewport: { width, height },
+      deviceScaleFactor: 1,
+    })
+    if (beginFrame) {
+      frames = await openBeginFramePage(context, { fps, transparent })
+    }
+    const page = frames ? frames.page : await context.newPage()
+
+    await page.goto(url, { waitUntil: 'networkidle' })
+    await page.waitForFunction(() => window.__VUESEQ_READY__ === true, {
+      timeout: 30000,
+    })
+
+    // Give Vue a moment to mount and GSAP to set up timelines
+    await page.waitForTimeout(100)
+
+    await encodePageToMp4(page, {
+      ...options,
+      output: segment,
+      mixAudio,
+      startFrame: chunk.start,
+      endFrame: chunk.end,
+      captureFrame: frames?.captureFrame,
+    })
+  } finally {
+    await frames?.close()
+    await browser.close()
+  }
+}
+
+/**
+ * Render a Vue component to video in chunks, one browser process each
+ * @param {Object} options - Same as renderToMp4(), plus:
+ * @param {number} [options.workers] - Number of chunks rendered at once
+ *   (default: CPU cores)
+ * @param {boolean} [options.resume=false] - Keep finished segments in a
+ *   work directory and skip the ones a previous run left there
+ * @param {string} [options.workDir] - Root of the work directories
+ *   (default: vueseq-work in the OS temp directory)
+ * @param {Function} [options.onResume] - Called with { workDir, skipped,
+ *   total } (chunks) before rendering, when resuming
+ * @returns {Promise<string>} - Path to the output video
+ */
+export async function renderToMp4Chunked(options) {
+  options = await applyCompositionMetadata(options)
+  const {
+    input,
+    output = './output.mp4',
+    fps = 30,
+    duration: providedDuration,
+    width = 1920,
+    height = 1080,
+    props,
+    codec: requestedCodec,
+    transparent = false,
+    viteConfig,
+    setup,
+    workers,
+    resume = false,
+    workDir,
+    onResume,
+    onProgress,
+  } = options
+
+  // Reject unknown containers/codecs before starting anything
+  const { format, formatOptions, codec } = resolveOutputFormat(
+    output,
+    requestedCodec,
+    { transparent },
+  )
+  const encoding = resolveEncodingSettings({ ...options, codec, width, height })
+
+  // ProRes is encoded by FFmpeg from screenshots, not in the browser
+  if (codec === 'prores') {
+    if (resume) {
+      throw new Error('ProRes renders cannot be resumed; use .mp4, .webm or .mkv')
+    }
+    return await renderToMp4(options)
+  }
+
+  // Auto-detect duration if not provided
+  let duration = providedDuration
+  if (!duration || duration <= 0) {
+    duration = await getTimelineDuration({
+      input,
+      width,
+      height,
+      props,
+      viteConfig,
+      setup,
+      fps,
+    })
+    if (!duration || duration <= 0) {
+      throw new Error(
+        'Could not auto-detect duration. Specify duration manually.',
+      )
+    }
+  }
+
+  const totalFrames = Math.ceil(duration * fps)
+  const keyframeInterval =
+    encoding.keyFrameInterval ?? DEFAULT_KEYFRAME_INTERVAL
+  const concurrency = workers ? parseInt(workers, 10) : DEFAULT_WORKERS
+  // Resumable renders use short chunks that don't depend on the number of
+  // workers, so a run with another --workers still finds its segments
+  const chunkCount = resume
+    ? Math.ceil(duration / RESUME_CHUNK_SECONDS)
+    : concurrency
+  const chunks = splitFrameChunks(
+    totalFrames,
+    chunkCount,
+    Math.ceil(keyframeInterval * fps),
+  )
+
+  // One server; every browser process loads the composition from it
+  const {
+    url,
+    listModuleFiles,
+    cleanup: cleanupServer,
+  } = await createVideoServer({
+    input,
+    width,
+    height,
+    props,
+    transparent,
+    viteConfig,
+    setup,
+    fps,
+  })
+
+  // Segments of a resumable render are kept where the next run finds them
+  const { path: segmentsDir } = resume
+    ? await openWorkDir({
+        ...options,
+        output,
+        fps,
+        duration,
+        width,
+        height,
+        codec,
+        encoding,
+        transparent,
+        files: await listModuleFiles(),
+        workDir,
+      })
+    : { path: await mkdtemp(join(tmpdir(), 'vueseq-chunks-')) }
+  const segments = chunks.map((chunk) => ({
+    ...segmentFiles(segmentsDir, chunk, extname(output)),
+    start: chunk.start / fps,
+  }))
+
+  // Chunks a previous run finished count as rendered
+  const pending = []
+  let rendered = 0
+  for (const [index, chunk] of chunks.entries()) {
+    if (existsSync(segments[index].path)) rendered += chunk.end - chunk.start
+    else pending.push({ chunk, index })
+  }
+  if (resume && onResume) {
+    onResume({
+      workDir: segmentsDir,
+      skipped: chunks.length - pending.length,
+      total: chunks.length,
+    })
+  }
+
+  const reportProgress = ({ frame, timeInSeconds }, chunkIndex) => {
+    rendered++
+    if (onProgress) {
+      onProgress({
+        frame,
+        total: totalFrames,
+        timeInSeconds,
+        percent: Math.round((rendered / totalFrames) * 100),
+        workerId: chunkIndex,
+      })
+    }
+  }
+
+  // Each runner takes the next pending chunk; chunks already rendering
+  // finish when one fails, so a resumed run keeps them
+  let failed = false
+  const runner = async () => {
+    while (pending.length > 0 && !failed) {
+      const { chunk, index } = pending.shift()
+      const { path, partial } = segments[index]
+      try {
+        await renderChunk({
+          ...options,
+          url,
+          fps,
+          duration,
+          width,
+          height,
+          codec,
+          transparent,
+          segment: partial,
+          chunk,
+          mixAudio: index === 0,
+          onProgress: (progress) => reportProgress(progress, index),
+        })
+        await rename(partial, path)
+      } catch (error) {
+        failed = true
+        await rm(partial, { force: true })
+        throw error
+      }
+    }
+  }
+
+  let joined = false
+  try {
+    const results = await Promise.allSettled(
+      Array.from({ length: Math.min(concurrency, pending.length) }, runner),
+    )
+    const failure = results.find(({ status }) => status === 'rejected')
+    if (failure) throw failure.reason
+
+    await concatSegments({
+      segments,
+      output,
+      format,
+      formatOptions,
+      fps,
+    })
+    joined = true
+    return output
+  } finally {
+    // A resumable render keeps its segments until the video is joined
+    if (!resume || joined) {
+      await rm(segmentsDir, { recursive: true, force: true })
+    }
+    await cleanupServer()
+  }
+}
@@ -13,14 +13,19 @@
 
 import { chromium } from 'playwright'
 import { createVideoServer } from '../bundler/vite.js'
-import { readFile, writeFile } from 'fs/promises'
-import { getTimelineDuration } from './render.js'
+import { readFile } from 'fs/promises'
+import { getTimelineDuration, applyCompositionMetadata } from './render.js'
 import { join } from 'path'
 import { getOptimalChromiumConfig } from './gpu.js'
+import { prepareAudio } from './audio.js'
+import { streamOutputToFile } from './stream.js'
+import { resolveEncodingSettings } from './encoding.js'
+import { resolveOutputFormat, assertVideoCodecSupported } from './format.js'
 import {
     injectCaptureInfrastructure,
     captureAndEncodeDirect,
     cleanupCapture,
+    withRealTimers,
 } from './capture.js'
 
 // Default batch size - larger batches = better GPU saturation
@@ -30,6 +35,10 @@ const DEFAULT_BATCH_SIZE = 30
  * Inject Mediabunny library into the page
  */
 async function injectMediabunny(page) {
+    // A composition with <VideoClip> has loaded it already, without
+    // withRealTimers(); see getMediabunny() in VideoClip.js for why that's safe
+    if (await page.evaluate(() => Boolean(window.Mediabunny))) return
+
     const libPath = join(
         process.cwd(),
         'node_modules',
@@ -39,27 +48,23 @@ async function injectMediabunny(page) {
         'mediabunny.cjs',
     )
     const libCode = await readFile(libPath, 'utf-8')
-    await page.addScriptTag({ content: libCode })
+    await page.addScriptTag({ content: withRealTimers(libCode, 'Mediabunny') })
 }
 
 /**
  * Initialize Mediabunny encoder with optimized settings
  */
-async function initializeEncoder(page, { width, height, fps }) {
+async function initializeEncoder(page, { width, height, fps, format, formatOptions, codec, encoding, transparent }) {
     await page.evaluate(
-        async ({ width, height, fps }) => {
-            const {
-                Output,
-                Mp4OutputFormat,
-                BufferTarget,
-                QUALITY_HIGH,
-                CanvasSource,
-            } = window.Mediabunny
-
-            // Create output with MP4 format
+        async ({ width, height, fps, format, formatOptions, codec, encoding, transparent }) => {
+            const { Output, CanvasSource } = window.Mediabunny
+            const OutputFormat = window.Mediabunny[format]
+
+            // Create output in the container picked from the file extension,
+            // streamed to the output file (see stream.js)
             window.__VUESEQ_OUTPUT__ = new Output({
-                format: new Mp4OutputFormat(),
-                target: new BufferTarget(),
+                format: new OutputFormat(formatOptions),
+                target: window.__VUESEQ_CREATE_TARGET__(),
             })
 
             // Create encoding canvas
@@ -68,19 +73,25 @@ async function initializeEncoder(page, { width, height, fps }) {
             canvas.height = height
             window.__VUESEQ_CANVAS__ = canvas
 
-            // Create CanvasSource with high quality encoding
+            // Create CanvasSource with the resolved bitrate/encoder settings
             // Note: WebCodecs will automatically use hardware acceleration when available
             window.__VUESEQ_VIDEO_SOURCE__ = new CanvasSource(canvas, {
-                codec: 'avc',
-                bitrate: QUALITY_HIGH,
+                codec,
+                ...encoding,
+                alpha: transparent ? 'keep' : 'discard',
             })
 
             window.__VUESEQ_OUTPUT__.addVideoTrack(window.__VUESEQ_VIDEO_SOURCE__)
             window.__VUESEQ_FPS__ = fps
 
+            // Soundtrack mixed by prepareAudio(), if the composition has one
+            const writeAudio = await window.__VUESEQ_ATTACH_AUDIO__?.(
+                window.__VUESEQ_OUTPUT__,
+            )
             await window.__VUESEQ_OUTPUT__.start()
+            await writeAudio?.()
         },
-        { width, height, fps },
+        { width, height, fps, format, formatOptions, codec, encoding, transparent },
     )
 }
 
@@ -96,10 +107,13 @@ async function captureAndEncodeFrame(page, timestamp, fps) {
             const ctx = encodingCanvas.getContext('2d')
             const options = window.__VUESEQ_CAPTURE_OPTIONS__
 
-            // Capture DOM to canvas using html2canvas
+            // Capture DOM to canvas using html2canvas (it paints over the
+            // previous frame, which shows through transparent areas)
+            captureCanvas.getContext('2d').clearRect(0, 0, captureCanvas.width, captureCanvas.height)
             await html2canvas(document.body, options)
 
             // Draw captured content to encoding canvas
+            ctx.clearRect(0, 0, encodingCanvas.width, encodingCanvas.height)
             ctx.drawImage(captureCanvas, 0, 0)
 
             // Add frame to video source
@@ -111,28 +125,18 @@ async function captureAndEncodeFrame(page, timestamp, fps) {
 }
 
 /**
- * Finalize encoding and retrieve the MP4 buffer
+ * Finalize encoding; the last chunks are flushed to the output file
  */
 async function finalizeEncoding(page) {
-    console.log('  Transferring video data (Base64)...')
-    return await page.evaluate(async () => {
+    await page.evaluate(async () => {
         window.__VUESEQ_VIDEO_SOURCE__.close()
         await window.__VUESEQ_OUTPUT__.finalize()
-        const buffer = window.__VUESEQ_OUTPUT__.target.buffer
 
         // Cleanup
         delete window.__VUESEQ_OUTPUT__
         delete window.__VUESEQ_CANVAS__
         delete window.__VUESEQ_VIDEO_SOURCE__
         delete window.__VUESEQ_FPS__
-
-        // Fast conversion via Blob
-        const blob = new Blob([buffer], { type: 'video/mp4' })
-        return new Promise((resolve) => {
-            const reader = new FileReader()
-            reader.onloadend = () => resolve(reader.result)
-            reader.readAsDataURL(blob)
-        })
     })
 }
 
@@ -147,15 +151,28 @@ async function finalizeEncoding(page) {
  * @param {Object} options
  * @param {string} options.input - Path to Video.vue component
  * @param {string} [options.output='./output.mp4'] - Output file path
+ *   (.mp4, .webm, .mov or .mkv selects the container)
+ * @param {string} [options.codec] - Video codec: avc, hevc, vp9 or av1
+ * @param {boolean} [options.transparent=false] - Keep the alpha channel
+ * @param {string} [options.quality='high'] - low, medium, high or very-high
+ * @param {string|number} [options.bitrate] - e.g. '8M' (overrides quality)
+ * @param {number} [options.keyframeInterval] - Seconds between key frames
+ * @param {string} [options.bitrateMode] - constant or variable
+ * @param {string} [options.latencyMode] - quality or realtime
  * @param {number} [options.fps=30] - Frames per second
  * @param {number} options.duration - Duration in seconds
  * @param {number} [options.width=1920] - Video width
  * @param {number} [options.height=1080] - Video height
  * @param {number} [options.batchSize=30] - Frames per batch
+ * @param {Object} [options.props] - Props passed to the root component
+ * @param {string} [options.audio] - Background audio file, starts at 0
  * @param {function} [options.onProgress] - Progress callback
+ * @param {string|false} [options.viteConfig] - See createVideoServer()
+ * @param {string} [options.setup] - See createVideoServer()
  * @returns {Promise<string>} - Path to output video
  */
 export async function renderToMp4Optimized(options) {
+    options = await applyCompositionMetadata(options)
     const {
         input,
         output = './output.mp4',
@@ -164,13 +181,37 @@ export async function renderToMp4Optimized(options) {
         width = 1920,
         height = 1080,
         batchSize = DEFAULT_BATCH_SIZE,
+        props,
+        audio,
+        codec: requestedCodec,
+        transparent = false,
+        viteConfig,
+        setup,
         onProgress,
     } = options
 
+    // Reject unknown containers/codecs before starting anything
+    const { format, formatOptions, codec } = resolveOutputFormat(output, requestedCodec, { transparent })
+    const encoding = resolveEncodingSettings({ ...options, codec, width, height })
+
+    // ProRes is encoded by FFmpeg from screenshots, not in the browser
+    if (codec === 'prores') {
+        const { renderToMp4 } = await import('./encode.js')
+        return await renderToMp4(options)
+    }
+
     // Auto-detect duration if not provided
     let duration = providedDuration
     if (!duration || duration <= 0) {
-        duration = await getTimelineDuration({ input, width, height })
+        duration = await getTimelineDuration({
+            input,
+            width,
+            height,
+            props,
+            viteConfig,
+            setup,
+            fps,
+        })
         if (!duration || duration <= 0) {
             throw new Error(
                 'Could not auto-detect duration. Specify duration manually.',
@@ -185,6 +226,11 @@ export async function renderToMp4Optimized(options) {
         input,
         width,
         height,
+        props,
+        transparent,
+        viteConfig,
+        setup,
+        fps,
     })
 
     // Launch browser with optimal GPU config
@@ -204,6 +250,7 @@ export async function renderToMp4Optimized(options) {
     })
 
     const page = await context.newPage()
+    let stream = null
 
     try {
         // Load the page
@@ -216,12 +263,27 @@ export async function renderToMp4Optimized(options) {
 
         await page.waitForTimeout(100)
 
+        // The bridge's virtual clock steps through frames at this rate
+        await page.evaluate(
+            (config) => window.__VUESEQ_SET_CONFIG__(config),
+            { width, height, fps },
+        )
+
         // Inject libraries
         await injectMediabunny(page)
         await injectCaptureInfrastructure(page, { width, height })
 
+        // Fail early with the list of usable codecs
+        await assertVideoCodecSupported(page, { codec, width, height })
+
+        // Mix declared sounds and the background track (if any)
+        await prepareAudio(page, { duration, audio })
+
+        // Encoded chunks are written to the output file as they are produced
+        stream = await streamOutputToFile(page, output)
+
         // Initialize encoder
-        await initializeEncoder(page, { width, height, fps })
+        await initializeEncoder(page, { width, height, fps, format, formatOptions, codec, encoding, transparent })
 
         // Process frames in batches for better GPU saturation
         const totalBatches = Math.ceil(totalFrames / batchSize)
@@ -234,11 +296,8 @@ export async function renderToMp4Optimized(options) {
             for (let frame = batchStart; frame < batchEnd; frame++) {
                 const timeInSeconds = frame / fps
 
-                // Seek GSAP to exact time
-                await page.evaluate(async (t) => {
-                    window.__VUESEQ_SEEK__(t)
-                    await new Promise((resolve) => requestAnimationFrame(resolve))
-                }, timeInSeconds)
+                // Seek GSAP and the virtual clock to exact time (resolves after paint)
+                await page.evaluate((t) => window.__VUESEQ_SEEK__(t), timeInSeconds)
 
                 // Capture and encode directly in browser (no PNG!)
                 await captureAndEncodeFrame(page, timeInSeconds, fps)
@@ -260,15 +319,12 @@ export async function renderToMp4Optimized(options) {
         // Cleanup capture infrastructure
         await cleanupCapture(page)
 
-        // Finalize and get MP4 data (Base64)
-        const base64Data = await finalizeEncoding(page)
-
-        // Write the MP4 file
-        const buffer = Buffer.from(base64Data.split(',')[1], 'base64')
-        await writeFile(output, buffer)
+        // Finalize (flushes the remaining data to the file)
+        await finalizeEncoding(page)
 
         return output
     } finally {
+        await stream?.close()
         await browser.close()
         await cleanupServer()
     }
@@ -2,41 +2,53 @@
  * Parallel Frame Capture Worker (Distributed Capture in Batches)
  *
  * Architecture: Scatter-Gather
- * 1. Workers (xN): Capture DOM -> JPEG DataURL (Fast & Light)
- * 2. Node.js: Aggregates frames buffers
- * 3. Main Page: Receives JPEGs -> Decodes (Parallel) -> Encodes to MP4
+ * 1. Workers (xN): Capture DOM -> JPEG (Fast & Light; PNG when transparent,
+ *    or lossless raw RGBA) -> uploaded as bytes to the frame channel
+ * 2. Node.js: Holds the frames and orders them
+ * 3. Main Page: Fetches frames -> Decodes (Parallel, createImageBitmap) -> Encodes to MP4
  */
 
 import { chromium } from 'playwright'
 import { createVideoServer } from '../bundler/vite.js'
-import { readFile, writeFile } from 'fs/promises'
-import { getTimelineDuration } from './render.js'
+import { readFile } from 'fs/promises'
+import { getTimelineDuration, applyCompositionMetadata } from './render.js'
 import { join } from 'path'
 import { cpus } from 'os'
 import { getOptimalChromiumConfig } from './gpu.js'
-import { getHtml2CanvasScript } from './capture.js'
+import { getHtml2CanvasScript, withRealTimers } from './capture.js'
+import { prepareAudio } from './audio.js'
+import { streamOutputToFile } from './stream.js'
+import { resolveEncodingSettings } from './encoding.js'
+import { resolveOutputFormat, assertVideoCodecSupported } from './format.js'
+import { FRAME_FORMATS, openFrameChannel, installFrameChannel } from './frame-channel.js'
 
-const DEFAULT_WORKERS = Math.max(1, cpus().length)
+export const DEFAULT_WORKERS = Math.max(1, cpus().length)
 
 // In-memory buffer limit (frames)
 // Increased to 300 to absorb bursts (10s at 30fps)
 const MAX_BUFFERED_FRAMES = 300
 
+// In-memory buffer limit (bytes); raw 4K frames are 33 MB each
+const MAX_BUFFERED_BYTES = 512 * 1024 * 1024
+
 /**
  * Inject required libraries into a page
  */
 async function injectLibraries(page, { width, height }) {
-    // Inject Mediabunny
-    const mediabunnyPath = join(
-        process.cwd(),
-        'node_modules',
-        'mediabunny',
-        'dist',
-        'bundles',
-        'mediabunny.cjs',
-    )
-    const mediabunnyCode = await readFile(mediabunnyPath, 'utf-8')
-    await page.addScriptTag({ content: mediabunnyCode })
+    // Inject Mediabunny, unless a composition with <VideoClip> has loaded it
+    // (without withRealTimers(); see getMediabunny() in VideoClip.js)
+    if (!(await page.evaluate(() => Boolean(window.Mediabunny)))) {
+        const mediabunnyPath = join(
+            process.cwd(),
+            'node_modules',
+            'mediabunny',
+            'dist',
+            'bundles',
+            'mediabunny.cjs',
+        )
+        const mediabunnyCode = await readFile(mediabunnyPath, 'utf-8')
+        await page.addScriptTag({ content: withRealTimers(mediabunnyCode, 'Mediabunny') })
+    }
 
     // Inject html2canvas
     const html2canvasScript = await getHtml2CanvasScript()
@@ -62,6 +74,9 @@ async function injectLibraries(page, { width, height }) {
                 imageTimeout: 0,
                 removeContainer: true,
                 foreignObjectRendering: false,
+                // The clone would restart CSS animations; copy this frame's styles
+                onclone: (clonedDocument) =>
+                    window.__VUESEQ_APPLY_ANIMATED_STYLES__?.(clonedDocument),
             }
         },
         { width, height },
@@ -69,30 +84,91 @@ async function injectLibraries(page, { width, height }) {
 }
 
 /**
- * Capture frame and return JPEG Data URL
+ * Open capture worker pages: composition loaded, virtual clock configured
+ * and html2canvas injected. Shared with image sequence export.
+ * @param {import('playwright').BrowserContext} context
+ * @param {Object} options
+ * @param {string} options.url - Video server URL
+ * @param {number} options.count - Number of worker pages
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.fps
+ * @param {Object} options.channel - Frame channel the pages send frames to
+ *   (from openFrameChannel())
+ * @returns {Promise<import('playwright').Page[]>}
  */
-async function captureFrameJPEG(page, timestamp) {
-    return await page.evaluate(
-        async ({ timestamp }) => {
-            // Seek
-            window.__VUESEQ_SEEK__(timestamp)
-            await new Promise((resolve) => requestAnimationFrame(resolve))
-
-            // Capture
-            await html2canvas(document.body, window.__VUESEQ_CAPTURE_OPTIONS__)
+export async function openCapturePages(context, { url, count, width, height, fps, channel }) {
+    const pages = []
+    for (let i = 0; i < count; i++) {
+        const page = await context.newPage()
+        await page.goto(url, { waitUntil: 'networkidle' })
+        await page.waitForFunction(() => window.__VUESEQ_READY__ === true)
+        // Every worker steps its virtual clock through skipped frames,
+        // so all of them reach identical state for a given frame
+        await page.evaluate(
+            (config) => window.__VUESEQ_SET_CONFIG__(config),
+            { width, height, fps },
+        )
+        await injectLibraries(page, { width, height })
+        await installFrameChannel(page, channel)
+        pages.push(page)
+    }
+    return pages
+}
 
+/**
+ * Seek a worker page, capture the frame and upload it to the frame channel
+ * @param {import('playwright').Page} page - Page from openCapturePages()
+ * @param {number} timestamp - Frame time in seconds
+ * @param {Object} options
+ * @param {string} options.id - Frame channel id to store the frame under
+ * @param {string} [options.type='image/jpeg'] - Image MIME type, or 'raw'
+ *   for RGBA pixels
+ * @param {number} [options.quality=0.95] - JPEG/WebP quality (0-1)
+ */
+export async function sendFrameImage(page, timestamp, { id, type = 'image/jpeg', quality = 0.95 }) {
+    await page.evaluate(
+        async ({ timestamp, id, type, quality }) => {
+            // Seek (resolves after paint)
+            await window.__VUESEQ_SEEK__(timestamp)
+
+            // Capture (html2canvas paints over the previous frame)
             const canvas = window.__VUESEQ_CAPTURE_CANVAS__
-            // JPEG 0.95 is visually indistinguishable for video source but much faster/smaller than PNG
-            return canvas.toDataURL('image/jpeg', 0.95)
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height)
+            await html2canvas(document.body, window.__VUESEQ_CAPTURE_OPTIONS__)
+
+            await window.__VUESEQ_SEND_FRAME__(id, canvas, { type, quality })
         },
-        { timestamp },
+        { timestamp, id, type, quality },
     )
 }
 
+/**
+ * Seek a worker page, capture the frame and return its bytes
+ * @param {import('playwright').Page} page - Page from openCapturePages()
+ * @param {number} timestamp - Frame time in seconds
+ * @param {Object} options - Same as sendFrameImage(), without id, plus:
+ * @param {Object} options.channel - The pages' frame channel
+ * @returns {Promise<Buffer>}
+ */
+export async function captureFrameImage(page, timestamp, options) {
+    const { channel } = options
+    const id = channel.createId()
+    await sendFrameImage(page, timestamp, { ...options, id })
+    return channel.take(id)
+}
+
 /**
  * Render to MP4 using parallel frame capture
+ * @param {Object} options - Same as renderToMp4(), plus:
+ * @param {number} [options.workers] - Number of capture pages
+ * @param {string} [options.frameFormat] - How captured frames travel to the
+ *   encoder page: jpeg (default), png (default when transparent), webp or
+ *   raw (lossless RGBA, width × height × 4 bytes per frame)
+ * @returns {Promise<string>} - Path to the output video
  */
 export async function renderToMp4Parallel(options) {
+    options = await applyCompositionMetadata(options)
     const {
         input,
         output = './output.mp4',
@@ -102,9 +178,35 @@ export async function renderToMp4Parallel(options) {
         height = 1080,
         workers: providedWorkers,
         monitorMemory = false,
+        props,
+        audio,
+        codec: requestedCodec,
+        transparent = false,
+        viteConfig,
+        setup,
+        frameFormat = transparent ? 'png' : 'jpeg',
         onProgress,
     } = options
 
+    // Reject unknown containers/codecs before starting anything
+    const { format, formatOptions, codec } = resolveOutputFormat(output, requestedCodec, { transparent })
+    const encoding = resolveEncodingSettings({ ...options, codec, width, height })
+
+    if (!(frameFormat in FRAME_FORMATS)) {
+        throw new Error(
+            `Unknown frame format "${frameFormat}". Use one of: ${Object.keys(FRAME_FORMATS).join(', ')}`,
+        )
+    }
+    if (transparent && frameFormat === 'jpeg') {
+        throw new Error('JPEG frames have no alpha channel; use png, webp or raw with --transparent')
+    }
+
+    // ProRes is encoded by FFmpeg from screenshots, not in the browser
+    if (codec === 'prores') {
+        const { renderToMp4 } = await import('./encode.js')
+        return await renderToMp4(options)
+    }
+
     // Determine Logic
     let numWorkers = providedWorkers ? parseInt(providedWorkers, 10) : DEFAULT_WORKERS
     if (!providedWorkers) {
@@ -115,15 +217,30 @@ export async function renderToMp4Parallel(options) {
     // 1. Setup
     let duration = providedDuration
     if (!duration || duration <= 0) {
-        duration = await getTimelineDuration({ input, width, height })
+        duration = await getTimelineDuration({
+            input,
+            width,
+            height,
+            props,
+            viteConfig,
+            setup,
+            fps,
+        })
         if (!duration) throw new Error('Could not auto-detect duration.')
     }
     const totalFrames = Math.ceil(duration * fps)
 
+    // Props are baked into the entry module, so every worker page mounts
+    // the component with the same data
     const { url, cleanup: cleanupServer } = await createVideoServer({
         input,
         width,
         height,
+        props,
+        transparent,
+        viteConfig,
+        setup,
+        fps,
     })
 
     const gpuConfig = await getOptimalChromiumConfig()
@@ -136,6 +253,10 @@ export async function renderToMp4Parallel(options) {
     }
     // Disable queueing on Node side
     const browser = await chromium.launch(launchOptions)
+    let stream = null
+
+    // Frames travel as bytes: workers upload, the encoder page fetches
+    const channel = await openFrameChannel()
 
     try {
         const context = await browser.newContext({
@@ -149,58 +270,74 @@ export async function renderToMp4Parallel(options) {
         // Create Encoder Page (Main)
         const encoderPage = await context.newPage()
         await encoderPage.goto(url, { waitUntil: 'networkidle' })
+        await encoderPage.waitForFunction(() => window.__VUESEQ_READY__ === true)
         await injectLibraries(encoderPage, { width, height })
+        await installFrameChannel(encoderPage, channel)
         pages.push(encoderPage)
 
+        // Fail early with the list of usable codecs
+        await assertVideoCodecSupported(encoderPage, { codec, width, height })
+
+        // The encoder page mounts the composition too, so it can collect
+        // and mix the declared sounds
+        await prepareAudio(encoderPage, { duration, audio })
+
         // Create Worker Pages
-        for (let i = 0; i < numWorkers; i++) {
-            const page = await context.newPage()
-            await page.goto(url, { waitUntil: 'networkidle' })
-            await page.waitForFunction(() => window.__VUESEQ_READY__ === true)
-            await injectLibraries(page, { width, height })
-            pages.push(page)
-        }
+        pages.push(
+            ...(await openCapturePages(context, { url, count: numWorkers, width, height, fps, channel })),
+        )
+
+        // Encoded chunks are written to the output file as they are produced
+        stream = await streamOutputToFile(encoderPage, output)
 
         // Initialize Encoder on Main Page
-        await encoderPage.evaluate(async ({ width, height, fps }) => {
-            const { Output, Mp4OutputFormat, BufferTarget, QUALITY_HIGH, CanvasSource } = window.Mediabunny
+        await encoderPage.evaluate(async ({ width, height, fps, format, formatOptions, codec, encoding, transparent, frameFormat }) => {
+            const { Output, CanvasSource } = window.Mediabunny
+            const OutputFormat = window.Mediabunny[format]
             window.__VUESEQ_OUTPUT__ = new Output({
-                format: new Mp4OutputFormat(),
-                target: new BufferTarget(),
+                format: new OutputFormat(formatOptions),
+                target: window.__VUESEQ_CREATE_TARGET__(),
             })
             const canvas = document.createElement('canvas')
             canvas.width = width
             canvas.height = height
             window.__VUESEQ_ENCODE_CANVAS__ = canvas
-            window.__VUESEQ_CTX__ = canvas.getContext('2d', { alpha: false })
+            // An opaque context is faster, but would flatten alpha onto black
+            window.__VUESEQ_CTX__ = canvas.getContext('2d', { alpha: transparent })
 
             window.__VUESEQ_VIDEO_SOURCE__ = new CanvasSource(canvas, {
-                codec: 'avc',
-                bitrate: QUALITY_HIGH,
+                codec,
+                ...encoding,
+                alpha: transparent ? 'keep' : 'discard',
             })
             window.__VUESEQ_OUTPUT__.addVideoTrack(window.__VUESEQ_VIDEO_SOURCE__)
+
+            // Soundtrack mixed by prepareAudio(), if the composition has one
+            const writeAudio = await window.__VUESEQ_ATTACH_AUDIO__?.(
+                window.__VUESEQ_OUTPUT__,
+            )
             await window.__VUESEQ_OUTPUT__.start()
+            await writeAudio?.()
 
             // Helper for pipelined loading
+            const raw = frameFormat === 'raw' ? { width, height } : undefined
             window.loadAndEncode = async (frames) => {
-                // 1. Parallel Load (Decode JPEGs)
-                const images = await Promise.all(frames.map(frame => {
-                    return new Promise((resolve) => {
-                        const img = new Image()
-                        img.onload = () => resolve({ img, timestamp: frame.timestamp })
-                        img.src = frame.dataUrl
-                    })
-                }))
+                // 1. Parallel Load (fetch and decode off the main thread)
+                const bitmaps = await Promise.all(
+                    frames.map(({ id }) => window.__VUESEQ_RECEIVE_FRAME__(id, { raw })),
+                )
 
                 // 2. Sequential Encode
                 const ctx = window.__VUESEQ_CTX__
                 const duration = 1 / fps
-                for (const { img, timestamp } of images) {
-                    ctx.drawImage(img, 0, 0)
-                    await window.__VUESEQ_VIDEO_SOURCE__.add(timestamp, duration)
+                for (const [i, bitmap] of bitmaps.entries()) {
+                    ctx.clearRect(0, 0, width, height)
+                    ctx.drawImage(bitmap, 0, 0)
+                    bitmap.close()
+                    await window.__VUESEQ_VIDEO_SOURCE__.add(frames[i].timestamp, duration)
                 }
             }
-        }, { width, height, fps })
+        }, { width, height, fps, format, formatOptions, codec, encoding, transparent, frameFormat })
 
 
         // 3. Orchestrate
@@ -224,7 +361,7 @@ export async function renderToMp4Parallel(options) {
             let lookahead = nextEncodeFrame
             while (frameBuffer.has(lookahead) && batch.length < ENCODE_BATCH_SIZE) {
                 batch.push({
-                    dataUrl: frameBuffer.get(lookahead),
+                    id: frameBuffer.get(lookahead),
                     timestamp: lookahead / fps
                 })
                 frameBuffer.delete(lookahead)
@@ -256,22 +393,29 @@ export async function renderToMp4Parallel(options) {
             const frames = frameAssignments[workerIndex]
 
             for (const frameIndex of frames) {
-                // Flow Control
-                if (frameBuffer.size > MAX_BUFFERED_FRAMES) {
-                    // Log only once per wait cycle to avoid spam
-                    // console.log(`[Worker ${workerIndex}] Buffer full. Waiting...`) 
-                    while (frameBuffer.size > MAX_BUFFERED_FRAMES - ENCODE_BATCH_SIZE) {
-                        // Wait until space clears up roughly one batch
-                        await new Promise(r => setTimeout(r, 50))
-                        // Try to drain queue while waiting (if main thread is free here)
-                        await processEncodeQueue()
-                    }
+                // Flow Control: workers ahead of the encoder wait while the
+                // buffer is full; the one holding the next frame never does
+                while (
+                    (frameBuffer.size > MAX_BUFFERED_FRAMES ||
+                        channel.bufferedBytes > MAX_BUFFERED_BYTES) &&
+                    frameIndex > nextEncodeFrame
+                ) {
+                    await new Promise(r => setTimeout(r, 50))
+                    // Try to drain queue while waiting (if main thread is free here)
+                    await processEncodeQueue()
                 }
 
                 const timestamp = frameIndex / fps
-                const dataUrl = await captureFrameJPEG(page, timestamp)
+                // JPEG 0.95 is visually indistinguishable for video source but much
+                // faster/smaller than PNG; raw RGBA skips image encoding entirely
+                const id = channel.createId()
+                await sendFrameImage(page, timestamp, {
+                    id,
+                    type: FRAME_FORMATS[frameFormat],
+                    quality: 0.95,
+                })
 
-                frameBuffer.set(frameIndex, dataUrl)
+                frameBuffer.set(frameIndex, id)
 
                 // Try to encode available frames
                 await processEncodeQueue()
@@ -289,30 +433,19 @@ export async function renderToMp4Parallel(options) {
             if (encodedCount < totalFrames) await new Promise(r => setTimeout(r, 100))
         }
 
-        console.log(`  Encoding complete. Finalizing MP4...`)
+        console.log(`  Encoding complete. Finalizing ${format.replace('OutputFormat', '').toUpperCase()}...`)
 
-        // Finalize
-        console.log(`  Transferring video data (Base64)...`)
-        const base64Data = await encoderPage.evaluate(async () => {
+        // Finalize (flushes the remaining data to the file)
+        await encoderPage.evaluate(async () => {
             window.__VUESEQ_VIDEO_SOURCE__.close()
             await window.__VUESEQ_OUTPUT__.finalize()
-            const buffer = window.__VUESEQ_OUTPUT__.target.buffer
-
-            // Fast conversion to Base64 via Blob (avoids massive Array serialization overhead)
-            const blob = new Blob([buffer], { type: 'video/mp4' })
-            return new Promise((resolve) => {
-                const reader = new FileReader()
-                reader.onloadend = () => resolve(reader.result)
-                reader.readAsDataURL(blob)
-            })
         })
-
-        const buffer = Buffer.from(base64Data.split(',')[1], 'base64')
-        await writeFile(output, buffer)
         return output
 
     } finally {
+        await stream?.close()
         await browser.close()
+        await channel.close()
         await cleanupServer()
     }
 }
@@ -7,10 +7,19 @@
 
 import { chromium } from 'playwright'
 import { createVideoServer } from '../bundler/vite.js'
-import { readFile, writeFile } from 'fs/promises'
-import { getTimelineDuration } from './render.js'
+import { readFile, writeFile, mkdtemp, rm } from 'fs/promises'
+import { getTimelineDuration, applyCompositionMetadata } from './render.js'
 import { join } from 'path'
+import { tmpdir } from 'os'
 import { getOptimalChromiumConfig, checkGPUAcceleration } from './gpu.js'
+import { withRealTimers } from './capture.js'
+import { prepareAudio } from './audio.js'
+import { resolveOutputFormat, assertVideoCodecSupported } from './format.js'
+import { encodeVideo } from './ffmpeg-encode.js'
+import { streamOutputToFile } from './stream.js'
+import { resolveEncodingSettings } from './encoding.js'
+import { openFrameChannel, installFrameChannel } from './frame-channel.js'
+import { beginFrameLaunchOptions, openBeginFramePage } from './begin-frame.js'
 
 // GPU configuration is now handled by the gpu.js module
 // which auto-detects the best backend for the current system
@@ -20,6 +29,10 @@ import { getOptimalChromiumConfig, checkGPUAcceleration } from './gpu.js'
  * @param {import('playwright').Page} page
  */
 async function injectMediabunny(page) {
+  // A composition with <VideoClip> has loaded it already, without
+  // withRealTimers(); see getMediabunny() in VideoClip.js for why that's safe
+  if (await page.evaluate(() => Boolean(window.Mediabunny))) return
+
   const libPath = join(
     process.cwd(),
     'node_modules',
@@ -29,29 +42,42 @@ async function injectMediabunny(page) {
     'mediabunny.cjs',
   )
   const libCode = await readFile(libPath, 'utf-8')
-  await page.addScriptTag({ content: libCode })
+  await page.addScriptTag({ content: withRealTimers(libCode, 'Mediabunny') })
 }
 
 /**
  * Initialize Mediabunny encoder in the browser context
  * @param {import('playwright').Page} page
  * @param {Object} config
+ * @param {string} config.format - Mediabunny OutputFormat class name
+ * @param {Object} config.formatOptions - OutputFormat constructor options
+ * @param {string} config.codec - Video codec
+ * @param {Object} config.encoding - Bitrate and encoder settings (encoding.js)
+ * @param {boolean} [config.transparent] - Encode the alpha channel
  */
-async function initializeEncoder(page, { width, height, fps }) {
+async function initializeEncoder(
+  page,
+  { width, height, fps, format, formatOptions, codec, encoding, transparent },
+) {
   await page.evaluate(
-    async ({ width, height, fps }) => {
-      const {
-        Output,
-        Mp4OutputFormat,
-        BufferTarget,
-        QUALITY_HIGH,
-        CanvasSource,
-      } = window.Mediabunny
-
-      // Create output with MP4 format
+    async ({
+      width,
+      height,
+      fps,
+      format,
+      formatOptions,
+      codec,
+      encoding,
+      transparent,
+    }) => {
+      const { Output, CanvasSource } = window.Mediabunny
+      const OutputFormat = window.Mediabunny[format]
+
+      // Create output in the container picked from the file extension,
+      // streamed to the output file (see stream.js)
       window.__VUESEQ_OUTPUT__ = new Output({
-        format: new Mp4OutputFormat(),
-        target: new BufferTarget(),
+        format: new OutputFormat(formatOptions),
+        target: window.__VUESEQ_CREATE_TARGET__(),
       })
 
       // Store canvas for reuse
@@ -62,16 +88,31 @@ async function initializeEncoder(page, { width, height, fps }) {
 
       // Create CanvasSource with encoding config
       window.__VUESEQ_VIDEO_SOURCE__ = new CanvasSource(canvas, {
-        codec: 'avc',
-        bitrate: QUALITY_HIGH,
+        codec,
+        ...encoding,
+        alpha: transparent ? 'keep' : 'discard',
       })
 
       window.__VUESEQ_OUTPUT__.addVideoTrack(window.__VUESEQ_VIDEO_SOURCE__)
       window.__VUESEQ_FPS__ = fps
 
+      // Soundtrack mixed by prepareAudio(), if the composition has one
+      const writeAudio = await window.__VUESEQ_ATTACH_AUDIO__?.(
+        window.__VUESEQ_OUTPUT__,
+      )
       await window.__VUESEQ_OUTPUT__.start()
+      await writeAudio?.()
+    },
+    {
+      width,
+      height,
+      fps,
+      format,
+      formatOptions,
+      codec,
+      encoding,
+      transparent,
     },
-    { width, height, fps },
   )
 }
 
@@ -80,67 +121,227 @@ async function initializeEncoder(page, { width, height, fps }) {
  * @param {import('playwright').Page} page
  * @param {Buffer} imageBuffer - PNG image buffer from Playwright
  * @param {number} frameIndex - Current frame index
+ * @param {Object} channel - Frame channel installed in the page
  */
-async function encodeFrame(page, imageBuffer, frameIndex) {
-  // Convert buffer to base64 for transmission to browser
-  const base64Data = imageBuffer.toString('base64')
-  const dataUrl = `data:image/png;base64,${base64Data}`
+async function encodeFrame(page, imageBuffer, frameIndex, channel) {
+  // The PNG crosses to the page as bytes (see frame-channel.js)
+  const id = channel.createId()
+  channel.put(id, imageBuffer)
 
   await page.evaluate(
-    async ({ dataUrl, frameIndex, fps }) => {
-      // Load image
-      const img = new Image()
-      await new Promise((resolve, reject) => {
-        img.onload = resolve
-        img.onerror = reject
-        img.src = dataUrl
-      })
+    async ({ id, frameIndex }) => {
+      const bitmap = await window.__VUESEQ_RECEIVE_FRAME__(id)
 
-      // Draw to canvas
+      // Draw to canvas (cleared first, or transparent areas keep the last frame)
       const canvas = window.__VUESEQ_CANVAS__
       const ctx = canvas.getContext('2d')
-      ctx.drawImage(img, 0, 0)
+      ctx.clearRect(0, 0, canvas.width, canvas.height)
+      ctx.drawImage(bitmap, 0, 0)
+      bitmap.close()
 
       // Add frame to video source
       // Timestamp in seconds
+      const fps = window.__VUESEQ_FPS__
       const timestamp = frameIndex / fps
       const frameDuration = 1 / fps
       await window.__VUESEQ_VIDEO_SOURCE__.add(timestamp, frameDuration)
     },
-    {
-      dataUrl,
-      frameIndex,
-      fps: await page.evaluate(() => window.__VUESEQ_FPS__),
-    },
+    { id, frameIndex },
   )
 }
 
 /**
- * Finalize encoding and retrieve the MP4 buffer
+ * Finalize encoding; the last chunks are flushed to the output file
  * @param {import('playwright').Page} page
- * @returns {Promise<number[]>} - Array of bytes
  */
 async function finalizeEncoding(page) {
-  console.log('  Transferring video data (Base64)...')
-  return await page.evaluate(async () => {
+  await page.evaluate(async () => {
     window.__VUESEQ_VIDEO_SOURCE__.close()
     await window.__VUESEQ_OUTPUT__.finalize()
-    const buffer = window.__VUESEQ_OUTPUT__.target.buffer
 
     // Cleanup
     delete window.__VUESEQ_OUTPUT__
     delete window.__VUESEQ_CANVAS__
     delete window.__VUESEQ_VIDEO_SOURCE__
     delete window.__VUESEQ_FPS__
+  })
+}
+
+/**
+ * Capture transparent PNG frames and encode them to ProRes 4444 with FFmpeg.
+ * WebCodecs has no ProRes encoder, so this path skips Mediabunny.
+ * @param {import('playwright').Page} page - Page with the VueSeq bridge ready
+ * @param {Object} options
+ * @returns {Promise<string>} - Path to the output video
+ */
+async function encodePageToProRes(page, options) {
+  const { output, fps, duration, audio, captureFrame, onProgress } = options
+
+  if (audio) {
+    throw new Error(
+      'Audio is not supported for ProRes output; use .webm for transparent video with sound',
+    )
+  }
+
+  const totalFrames = Math.ceil(duration * fps)
+  const framesDir = await mkdtemp(join(tmpdir(), 'vueseq-frames-'))
+
+  try {
+    for (let frame = 0; frame < totalFrames; frame++) {
+      const timeInSeconds = frame / fps
+
+      await page.evaluate((t) => window.__VUESEQ_SEEK__(t), timeInSeconds)
+
+      const path = join(framesDir, `frame-${String(frame).padStart(5, '0')}.png`)
+      if (captureFrame) {
+        await writeFile(path, await captureFrame())
+      } else {
+        await page.screenshot({ path, type: 'png', omitBackground: true })
+      }
+
+      if (onProgress) {
+        onProgress({
+          frame,
+          total: totalFrames,
+          timeInSeconds,
+          percent: Math.round(((frame + 1) / totalFrames) * 100),
+        })
+      }
+    }
+
+    return await encodeVideo({ framesDir, output, fps, codec: 'prores' })
+  } finally {
+    await rm(framesDir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Capture and encode every frame of an already loaded video page
+ * @param {import('playwright').Page} page - Page with the VueSeq bridge ready
+ * @param {Object} options
+ * @param {string} options.output - Output video file path
+ * @param {number} options.fps - Frames per second
+ * @param {number} options.duration - Duration in seconds
+ * @param {number} options.width - Video width in pixels
+ * @param {number} options.height - Video height in pixels
+ * @param {string} [options.codec] - Video codec (default depends on the container)
+ * @param {boolean} [options.transparent] - Keep the alpha channel (the page
+ *   must be served with a transparent background)
+ * @param {string} [options.quality] - low, medium, high or very-high
+ * @param {string|number} [options.bitrate] - e.g. '8M' (overrides quality)
+ * @param {number} [options.keyframeInterval] - Seconds between key frames
+ * @param {string} [options.bitrateMode] - constant or variable
+ * @param {string} [options.latencyMode] - quality or realtime
+ * @param {string} [options.audio] - Background audio file
+ * @param {boolean} [options.mixAudio=true] - false leaves the audio track
+ *   out (segments of a chunked render other than the first)
+ * @param {number} [options.startFrame=0] - First frame to encode; the
+ *   output's timestamps start at 0 there (one segment of a chunked render)
+ * @param {number} [options.endFrame] - Frame to stop before (default: the
+ *   end of the video)
+ * @param {function} [options.captureFrame] - Returns the seeked frame as a
+ *   PNG Buffer (default: a page screenshot; see openBeginFramePage())
+ * @param {function} [options.onProgress] - Progress callback
+ * @returns {Promise<string>} - Path to the output video
+ */
+export async function encodePageToMp4(page, options) {
+  const {
+    output,
+    fps,
+    duration,
+    width,
+    height,
+    transparent = false,
+    audio,
+    mixAudio = true,
+    captureFrame,
+    onProgress,
+  } = options
+
+  const totalFrames = Math.ceil(duration * fps)
+  const { startFrame = 0, endFrame = totalFrames } = options
+  const { format, formatOptions, codec } = resolveOutputFormat(
+    output,
+    options.codec,
+    { transparent },
+  )
+  const encoding = resolveEncodingSettings({ ...options, codec })
+
+  // The bridge's virtual clock steps through frames at this rate
+  await page.evaluate(
+    (config) => window.__VUESEQ_SET_CONFIG__(config),
+    { width, height, fps },
+  )
+
+  if (codec === 'prores') {
+    return await encodePageToProRes(page, options)
+  }
+
+  // Inject Mediabunny library
+  await injectMediabunny(page)
+
+  // Fail early with the list of usable codecs
+  await assertVideoCodecSupported(page, { codec, width, height })
+
+  // Mix declared sounds and the background track (if any)
+  if (mixAudio) await prepareAudio(page, { duration, audio })
+
+  // Encoded chunks are written to the output file as they are produced
+  const stream = await streamOutputToFile(page, output)
+  const channel = await openFrameChannel()
 
-    // Fast conversion via Blob
-    const blob = new Blob([buffer], { type: 'video/mp4' })
-    return new Promise((resolve) => {
-      const reader = new FileReader()
-      reader.onloadend = () => resolve(reader.result)
-      reader.readAsDataURL(blob)
+  try {
+    await installFrameChannel(page, channel)
+
+    // Initialize encoder
+    await initializeEncoder(page, {
+      width,
+      height,
+      fps,
+      format,
+      formatOptions,
+      codec,
+      encoding,
+      transparent,
     })
-  })
+
+    // Render and encode each frame
+    for (let frame = startFrame; frame < endFrame; frame++) {
+      const timeInSeconds = frame / fps
+
+      // Seek GSAP and the virtual clock to exact time (resolves after paint)
+      await page.evaluate((t) => window.__VUESEQ_SEEK__(t), timeInSeconds)
+
+      // Take screenshot
+      const screenshotBuffer = captureFrame
+        ? await captureFrame()
+        : await page.screenshot({
+            type: 'png',
+            omitBackground: transparent,
+          })
+
+      // Encode the frame
+      await encodeFrame(page, screenshotBuffer, frame - startFrame, channel)
+
+      // Progress callback
+      if (onProgress) {
+        onProgress({
+          frame,
+          total: totalFrames,
+          timeInSeconds,
+          percent: Math.round(((frame + 1) / totalFrames) * 100),
+        })
+      }
+    }
+
+    // Finalize (flushes the remaining data to the file)
+    await finalizeEncoding(page)
+  } finally {
+    await channel.close()
+    await stream.close()
+  }
+
+  return output
 }
 
 /**
@@ -148,14 +349,31 @@ async function finalizeEncoding(page) {
  * @param {Object} options
  * @param {string} options.input - Absolute path to the Video.vue component
  * @param {string} [options.output='./output.mp4'] - Output video file path
+ *   (.mp4, .webm, .mov or .mkv selects the container)
+ * @param {string} [options.codec] - Video codec: avc, hevc, vp9 or av1
+ *   (default: avc, or vp9 for .webm)
+ * @param {boolean} [options.transparent=false] - Keep the alpha channel
+ *   (.webm/.mkv with VP9, or .mov as ProRes 4444 via FFmpeg)
+ * @param {string} [options.quality='high'] - low, medium, high or very-high
+ * @param {string|number} [options.bitrate] - e.g. '8M' (overrides quality)
+ * @param {number} [options.keyframeInterval] - Seconds between key frames
+ * @param {string} [options.bitrateMode] - constant or variable
+ * @param {string} [options.latencyMode] - quality or realtime
  * @param {number} [options.fps=30] - Frames per second
  * @param {number} options.duration - Duration in seconds (auto-detected if not provided)
  * @param {number} [options.width=1920] - Video width in pixels
  * @param {number} [options.height=1080] - Video height in pixels
+ * @param {Object} [options.props] - Props passed to the root component
+ * @param {string} [options.audio] - Background audio file, starts at 0
  * @param {function} [options.onProgress] - Progress callback
+ * @param {string|false} [options.viteConfig] - See createVideoServer()
+ * @param {string} [options.setup] - See createVideoServer()
+ * @param {boolean} [options.beginFrame=false] - Capture each frame through
+ *   Chromium's compositor with HeadlessExperimental.beginFrame (begin-frame.js)
  * @returns {Promise<string>} - Path to the output video
  */
 export async function renderToMp4(options) {
+  options = await applyCompositionMetadata(options)
   const {
     input,
     output = './output.mp4',
@@ -163,13 +381,37 @@ export async function renderToMp4(options) {
     duration: providedDuration,
     width = 1920,
     height = 1080,
+    props,
+    audio,
+    codec,
+    transparent = false,
+    viteConfig,
+    setup,
+    quality,
+    bitrate,
+    keyframeInterval,
+    bitrateMode,
+    latencyMode,
+    beginFrame = false,
     onProgress,
   } = options
 
+  // Reject unknown containers/codecs and encoder settings before starting anything
+  const format = resolveOutputFormat(output, codec, { transparent })
+  resolveEncodingSettings({ ...options, codec: format.codec, width, height })
+
   // Auto-detect duration if not provided
   let duration = providedDuration
   if (!duration || duration <= 0) {
-    duration = await getTimelineDuration({ input, width, height })
+    duration = await getTimelineDuration({
+      input,
+      width,
+      height,
+      props,
+      viteConfig,
+      setup,
+      fps,
+    })
     if (!duration || duration <= 0) {
       throw new Error(
         'Could not auto-detect duration. Specify duration manually.',
@@ -177,13 +419,16 @@ export async function renderToMp4(options) {
     }
   }
 
-  const totalFrames = Math.ceil(duration * fps)
-
   // Start Vite server
   const { url, cleanup: cleanupServer } = await createVideoServer({
     input,
     width,
     height,
+    props,
+    transparent,
+    viteConfig,
+    setup,
+    fps,
   })
 
   // Launch headless browser with optimal GPU config
@@ -197,16 +442,23 @@ export async function renderToMp4(options) {
   if (gpuConfig.channel) {
     launchOptions.channel = gpuConfig.channel
   }
-  const browser = await chromium.launch(launchOptions)
+  const browser = await chromium.launch(
+    beginFrame ? beginFrameLaunchOptions(gpuConfig) : launchOptions,
+  )
+  let frames = null
 
-  const context = await browser.newContext({
-    viewport: { width, height },
-    deviceScaleFactor: 1,
-  })
+  try {
+    const context = await browser.newContext({
+      viewport: { width, height },
+      deviceScaleFactor: 1,
+    })
 
-  const page = await context.newPage()
+    // Frames are drawn on request only, one per seek
+    if (beginFrame) {
+      frames = await openBeginFramePage(context, { fps, transparent })
+    }
+    const page = frames ? frames.page : await context.newPage()
 
-  try {
     // Load the page
     await page.goto(url, { waitUntil: 'networkidle' })
 
@@ -218,48 +470,25 @@ export async function renderToMp4(options) {
     // Give Vue a moment to mount and GSAP to set up timelines
     await page.waitForTimeout(100)
 
-    // Inject Mediabunny library
-    await injectMediabunny(page)
-
-    // Initialize encoder
-    await initializeEncoder(page, { width, height, fps })
-
-    // Render and encode each frame
-    for (let frame = 0; frame < totalFrames; frame++) {
-      const timeInSeconds = frame / fps
-
-      // Seek GSAP to exact time
-      await page.evaluate(async (t) => {
-        window.__VUESEQ_SEEK__(t)
-        await new Promise((resolve) => requestAnimationFrame(resolve))
-      }, timeInSeconds)
-
-      // Take screenshot
-      const screenshotBuffer = await page.screenshot({ type: 'png' })
-
-      // Encode the frame
-      await encodeFrame(page, screenshotBuffer, frame)
-
-      // Progress callback
-      if (onProgress) {
-        onProgress({
-          frame,
-          total: totalFrames,
-          timeInSeconds,
-          percent: Math.round(((frame + 1) / totalFrames) * 100),
-        })
-      }
-    }
-
-    // Finalize and get MP4 data (Base64)
-    const base64Data = await finalizeEncoding(page)
-
-    // Write the MP4 file
-    const buffer = Buffer.from(base64Data.split(',')[1], 'base64')
-    await writeFile(output, buffer)
-
-    return output
+    return await encodePageToMp4(page, {
+      output,
+      fps,
+      duration,
+      width,
+      height,
+      audio,
+      codec,
+      transparent,
+      quality,
+      bitrate,
+      keyframeInterval,
+      bitrateMode,
+      latencyMode,
+      captureFrame: frames?.captureFrame,
+      onProgress,
+    })
   } finally {
+    await frames?.close()
     await browser.close()
     await cleanupServer()
   }
@@ -0,0 +1,137 @@
+/**
+ * Encoding Settings
+ *
+ * Turns the user-facing quality options (--quality, --bitrate,
+ * --keyframe-interval, --bitrate-mode, --latency-mode) into the video
+ * encoding config passed to every Mediabunny CanvasSource.
+ *
+ * Quality presets are resolved to a number here rather than handed to
+ * Mediabunny as QUALITY_* constants, so the bitrate that is reported is
+ * exactly the one the encoder was configured with.
+ */
+
+// Multipliers of the reference bitrate (3 Mbps for 1080p H.264)
+export const QUALITY_PRESETS = {
+  low: 0.6,
+  medium: 1,
+  high: 2,
+  'very-high': 4,
+}
+
+export const BITRATE_MODES = ['constant', 'variable']
+export const LATENCY_MODES = ['quality', 'realtime']
+
+const REFERENCE_BITRATE = 3_000_000
+const REFERENCE_PIXELS = 1920 * 1080
+
+// Newer codecs need fewer bits for the same visual quality
+const CODEC_EFFICIENCY = {
+  avc: 1,
+  hevc: 0.6,
+  vp9: 0.6,
+  av1: 0.4,
+}
+
+/**
+ * Parse a bitrate like "8M", "2500k", "2.5Mbps" (as formatBitrate() prints
+ * it) or 8000000
+ * @param {string|number} value
+ * @returns {number} Bits per second
+ */
+export function parseBitrate(value) {
+  if (typeof value === 'number') {
+    if (Number.isFinite(value) && value > 0) return Math.round(value)
+  } else {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([kmg])?(?:bps)?\s*$/i.exec(String(value))
+    if (match) {
+      const unit = { k: 1e3, m: 1e6, g: 1e9 }[match[2]?.toLowerCase()] ?? 1
+      const bits = Math.round(parseFloat(match[1]) * unit)
+      if (bits > 0) return bits
+    }
+  }
+  throw new Error(
+    `Invalid bitrate "${value}". Use bits per second, e.g. 8M, 2500k or 8000000`,
+  )
+}
+
+/**
+ * Resolve the video encoding config for a render
+ * @param {Object} options
+ * @param {string} options.codec - Video codec
+ * @param {number} options.width - Video width in pixels
+ * @param {number} options.height - Video height in pixels
+ * @param {string} [options.quality='high'] - low, medium, high or very-high
+ * @param {string|number} [options.bitrate] - Explicit bitrate (overrides quality)
+ * @param {number} [options.keyframeInterval] - Seconds between key frames
+ * @param {string} [options.bitrateMode] - constant or variable
+ * @param {string} [options.latencyMode] - quality or realtime
+ * @returns {{bitrate: number, keyFrameInterval?: number, bitrateMode?: string, latencyMode?: string}}
+ *   Mediabunny VideoEncodingConfig fields
+ */
+export function resolveEncodingSettings(options) {
+  const {
+    codec,
+    width,
+    height,
+    quality = 'high',
+    bitrate,
+    keyframeInterval,
+    bitrateMode,
+    latencyMode,
+  } = options
+
+  if (!(quality in QUALITY_PRESETS)) {
+    throw new Error(
+      `Unknown quality "${quality}". Use one of: ${Object.keys(QUALITY_PRESETS).join(', ')}`,
+    )
+  }
+
+  if (bitrateMode !== undefined && !BITRATE_MODES.includes(bitrateMode)) {
+    throw new Error(
+      `Unknown bitrate mode "${bitrateMode}". Use one of: ${BITRATE_MODES.join(', ')}`,
+    )
+  }
+
+  if (latencyMode !== undefined && !LATENCY_MODES.includes(latencyMode)) {
+    throw new Error(
+      `Unknown latency mode "${latencyMode}". Use one of: ${LATENCY_MODES.join(', ')}`,
+    )
+  }
+
+  if (
+    keyframeInterval !== undefined &&
+    !(Number.isFinite(keyframeInterval) && keyframeInterval >= 0)
+  ) {
+    throw new Error('Keyframe interval must be a non-negative number of seconds')
+  }
+
+  let videoBitrate
+  if (bitrate !== undefined) {
+    videoBitrate = parseBitrate(bitrate)
+  } else {
+    // Scales slightly sub-linearly with the pixel count
+    const scale = Math.pow((width * height) / REFERENCE_PIXELS, 0.95)
+    const bits =
+      REFERENCE_BITRATE *
+      scale *
+      (CODEC_EFFICIENCY[codec] ?? 1) *
+      QUALITY_PRESETS[quality]
+    videoBitrate = Math.ceil(bits / 1000) * 1000
+  }
+
+  const settings = { bitrate: videoBitrate }
+  if (keyframeInterval !== undefined) settings.keyFrameInterval = keyframeInterval
+  if (bitrateMode !== undefined) settings.bitrateMode = bitrateMode
+  if (latencyMode !== undefined) settings.latencyMode = latencyMode
+  return settings
+}
+
+/**
+ * Format a bitrate for logs, e.g. 8000000 -> "8.0 Mbps"
+ * @param {number} bitrate - Bits per second
+ * @returns {string}
+ */
+export function formatBitrate(bitrate) {
+  if (bitrate >= 1e6) return `${(bitrate / 1e6).toFixed(1)} Mbps`
+  return `${Math.round(bitrate / 1e3)} kbps`
+}
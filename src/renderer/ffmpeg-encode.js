@@ -2,7 +2,8 @@
  * FFmpeg Encoder (Legacy)
  *
  * Kept for backward compatibility. WebCodecs is now the default.
- * Requires FFmpeg to be installed on the system.
+ * Still used for outputs WebCodecs can't produce (ProRes, GIF, animated
+ * WebP, APNG). Requires FFmpeg to be installed on the system.
  */
 
 import { spawn } from 'child_process'
@@ -14,30 +15,59 @@ import { join } from 'path'
  * @param {string} options.framesDir - Directory containing frame-XXXXX.png files
  * @param {string} options.output - Output video file path
  * @param {number} [options.fps=30] - Frames per second
+ * @param {string} [options.codec='avc'] - 'avc' (H.264) or 'prores' (ProRes 4444 with alpha)
  * @returns {Promise<string>} - Path to the output video
- * @deprecated Use WebCodecs-based encoding instead
+ * @deprecated Use WebCodecs-based encoding instead (still used for ProRes,
+ *   which WebCodecs can't encode)
  */
-export function encodeVideo({ framesDir, output, fps = 30 }) {
-  console.warn('FFmpeg encoding is deprecated. WebCodecs is now the default.')
+export function encodeVideo({ framesDir, output, fps = 30, codec = 'avc' }) {
+  if (codec !== 'prores') {
+    console.warn('FFmpeg encoding is deprecated. WebCodecs is now the default.')
+  }
 
-  return new Promise((resolve, reject) => {
-    const args = [
+  const codecArgs =
+    codec === 'prores'
+      ? [
+          '-c:v',
+          'prores_ks',
+          '-profile:v',
+          '4444',
+          '-pix_fmt',
+          'yuva444p10le', // Keeps the PNG alpha channel
+        ]
+      : [
+          '-c:v',
+          'libx264',
+          '-pix_fmt',
+          'yuv420p', // Compatibility with most players
+          '-preset',
+          'fast',
+          '-crf',
+          '18', // High quality (lower = better, 18-23 is good range)
+        ]
+
+  return runFFmpeg(
+    [
       '-y', // Overwrite output file without asking
       '-framerate',
       String(fps),
       '-i',
       join(framesDir, 'frame-%05d.png'),
-      '-c:v',
-      'libx264',
-      '-pix_fmt',
-      'yuv420p', // Compatibility with most players
-      '-preset',
-      'fast',
-      '-crf',
-      '18', // High quality (lower = better, 18-23 is good range)
+      ...codecArgs,
       output,
-    ]
+    ],
+    output,
+  )
+}
 
+/**
+ * Run FFmpeg and resolve with the output path
+ * @param {string[]} args - FFmpeg arguments
+ * @param {string} output - Output file path (resolved on success)
+ * @returns {Promise<string>}
+ */
+export function runFFmpeg(args, output) {
+  return new Promise((resolve, reject) => {
     const ffmpeg = spawn('ffmpeg', args, {
       stdio: ['ignore', 'pipe', 'pipe'],
     })
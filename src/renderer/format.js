@@ -0,0 +1,121 @@
+/**
+ * Output Formats
+ *
+ * Maps the output file extension to a Mediabunny container format and
+ * validates the requested video codec against the container and the
+ * browser's WebCodecs encoders.
+ *
+ * Transparent output needs a codec that carries alpha: VP9 in WebM/MKV
+ * (encoded with WebCodecs) or ProRes 4444 in MOV (encoded by FFmpeg from
+ * PNG frames, since WebCodecs has no ProRes encoder).
+ */
+
+import { extname } from 'path'
+
+/**
+ * Video codecs VueSeq can encode (Mediabunny codec names)
+ */
+export const VIDEO_CODECS = ['avc', 'hevc', 'vp9', 'av1']
+
+// ISOBMFF muxers would otherwise keep the whole file in memory to put the
+// moov atom first; output is streamed to disk, so it goes at the end
+const STREAMING_ISOBMFF = { fastStart: false }
+
+// Containers by output extension; alphaCodecs[0] is the transparent default
+const CONTAINERS = {
+  '.mp4': { format: 'Mp4OutputFormat', formatOptions: STREAMING_ISOBMFF, codecs: VIDEO_CODECS, defaultCodec: 'avc', alphaCodecs: [] },
+  '.mov': { format: 'MovOutputFormat', formatOptions: STREAMING_ISOBMFF, codecs: VIDEO_CODECS, defaultCodec: 'avc', alphaCodecs: ['prores'] },
+  '.mkv': { format: 'MkvOutputFormat', formatOptions: {}, codecs: VIDEO_CODECS, defaultCodec: 'avc', alphaCodecs: ['vp9'] },
+  '.webm': { format: 'WebMOutputFormat', formatOptions: {}, codecs: ['vp9', 'av1'], defaultCodec: 'vp9', alphaCodecs: ['vp9'] },
+}
+
+/**
+ * Resolve container and codec for an output path
+ * @param {string} output - Output file path (extension selects the container)
+ * @param {string} [codec] - Requested codec (default depends on the container)
+ * @param {Object} [options]
+ * @param {boolean} [options.transparent=false] - Keep the alpha channel
+ * @returns {{container: string, format: string, formatOptions: Object, codec: string}}
+ *   format is the Mediabunny OutputFormat class name, formatOptions its
+ *   constructor options; codec is 'prores' for transparent MOV, which is
+ *   encoded by FFmpeg instead
+ */
+export function resolveOutputFormat(output, codec, { transparent = false } = {}) {
+  const ext = extname(output).toLowerCase()
+  const container = CONTAINERS[ext]
+
+  if (!container) {
+    throw new Error(
+      `Unsupported output extension "${ext || output}". Use one of: ${Object.keys(CONTAINERS).join(', ')}`,
+    )
+  }
+
+  if (transparent) {
+    if (container.alphaCodecs.length === 0) {
+      throw new Error(
+        `${ext} files can't carry an alpha channel. Use .webm (VP9) or .mov (ProRes 4444) for transparent output`,
+      )
+    }
+    const alphaCodec = codec ?? container.alphaCodecs[0]
+    if (!container.alphaCodecs.includes(alphaCodec)) {
+      throw new Error(
+        `Transparent ${ext} output needs codec ${container.alphaCodecs.join(' or ')} (got "${alphaCodec}")`,
+      )
+    }
+    return {
+      container: ext.slice(1),
+      format: container.format,
+      formatOptions: container.formatOptions,
+      codec: alphaCodec,
+    }
+  }
+
+  const videoCodec = codec ?? container.defaultCodec
+
+  if (!VIDEO_CODECS.includes(videoCodec)) {
+    throw new Error(
+      `Unknown codec "${videoCodec}". Use one of: ${VIDEO_CODECS.join(', ')}`,
+    )
+  }
+
+  if (!container.codecs.includes(videoCodec)) {
+    throw new Error(
+      `Codec "${videoCodec}" can't be stored in ${ext} files. Use one of: ${container.codecs.join(', ')}`,
+    )
+  }
+
+  return {
+    container: ext.slice(1),
+    format: container.format,
+    formatOptions: container.formatOptions,
+    codec: videoCodec,
+  }
+}
+
+/**
+ * Fail before rendering if the browser can't encode the codec at this size.
+ * Mediabunny's canEncodeVideo() checks VideoEncoder.isConfigSupported().
+ * Requires Mediabunny to be injected into the page.
+ * @param {import('playwright').Page} page
+ * @param {Object} options
+ * @param {string} options.codec
+ * @param {number} options.width
+ * @param {number} options.height
+ */
+export async function assertVideoCodecSupported(page, { codec, width, height }) {
+  const available = await page.evaluate(
+    async ({ codec, codecs, width, height }) => {
+      const { canEncodeVideo, getEncodableVideoCodecs } = window.Mediabunny
+      if (await canEncodeVideo(codec, { width, height })) return null
+      return await getEncodableVideoCodecs(codecs, { width, height })
+    },
+    { codec, codecs: VIDEO_CODECS, width, height },
+  )
+
+  if (available) {
+    throw new Error(
+      `This browser can't encode ${codec} at ${width}x${height}. ` +
+        `Available codecs: ${available.length > 0 ? available.join(', ') : 'none'}`,
+    )
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Binary Frame Channel
+ *
+ * Moves frames between Node and the browser as bytes over a loopback HTTP
+ * server. Passed through page.evaluate(), a frame has to be a base64 string:
+ * a third larger, encoded and decoded on both sides, and decoded again as an
+ * <img> on the page's main thread. Here a page fetch()es a frame as a Blob
+ * and decodes it with createImageBitmap(), or uploads canvas pixels with a
+ * PUT.
+ *
+ * Key design decisions:
+ * - Plain HTTP on 127.0.0.1 rather than a WebSocket: fetch() sends and
+ *   receives Blobs and typed arrays as they are, and requests are
+ *   independent, so capture pages and the encoder page share one channel
+ * - A frame is held once, in Node, and released when a page reads it
+ * - URLs include a random token, so other local processes can't read or
+ *   inject frames
+ * - 'raw' frames are RGBA straight from getImageData(): lossless without a
+ *   PNG encode, at the cost of width × height × 4 bytes per frame
+ */
+
+import { createServer } from 'http'
+import { randomBytes } from 'crypto'
+
+// Frame formats a page can send, as canvas MIME types
+export const FRAME_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  raw: 'raw',
+}
+
+/**
+ * Open a frame channel
+ * @returns {Promise<{url: string, createId: () => string,
+ *   put: (id: string, data: Buffer) => void, take: (id: string) => Buffer,
+ *   bufferedBytes: number, close: () => Promise<void>}>}
+ */
+export async function openFrameChannel() {
+  const token = randomBytes(16).toString('hex')
+  const prefix = `/${token}/frames/`
+  const frames = new Map()
+  let bufferedBytes = 0
+  let nextId = 0
+
+  const store = (id, data) => {
+    bufferedBytes += data.length - (frames.get(id)?.length ?? 0)
+    frames.set(id, data)
+  }
+  const remove = (id) => {
+    const data = frames.get(id)
+    if (!data) return null
+    frames.delete(id)
+    bufferedBytes -= data.length
+    return data
+  }
+
+  const server = createServer((req, res) => {
+    // Pages are served by Vite on another port
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+
+    if (!req.url.startsWith(prefix)) {
+      res.writeHead(404).end()
+      return
+    }
+    const id = decodeURIComponent(req.url.slice(prefix.length))
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end()
+    } else if (req.method === 'GET') {
+      const data = remove(id)
+      if (!data) {
+        res.writeHead(404).end()
+        return
+      }
+      res.writeHead(200, {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': data.length,
+      })
+      res.end(data)
+    } else if (req.method === 'PUT') {
+      const parts = []
+      req.on('data', (part) => parts.push(part))
+      req.on('end', () => {
+        store(id, Buffer.concat(parts))
+        res.writeHead(204).end()
+      })
+      req.on('error', () => res.destroy())
+    } else {
+      res.writeHead(405).end()
+    }
+  })
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(0, '127.0.0.1', resolve)
+  })
+  const { port } = server.address()
+
+  return {
+    url: `http://127.0.0.1:${port}${prefix.slice(0, -1)}`,
+    createId: () => String(nextId++),
+    // Frame for a page to fetch once
+    put: store,
+    // Frame a page has uploaded
+    take(id) {
+      const data = remove(id)
+      if (!data) throw new Error(`Frame ${id} was not received`)
+      return data
+    },
+    get bufferedBytes() {
+      return bufferedBytes
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.close(() => resolve())
+        server.closeAllConnections()
+      }),
+  }
+}
+
+/**
+ * Install the channel's page side:
+ * - window.__VUESEQ_RECEIVE_FRAME__(id, { raw }) fetches a frame as an
+ *   ImageBitmap ({ raw: { width, height } } for RGBA frames)
+ * - window.__VUESEQ_SEND_FRAME__(id, canvas, { type, quality }) uploads a
+ *   canvas as an image (a FRAME_FORMATS MIME type) or raw RGBA ('raw')
+ * @param {import('playwright').Page} page
+ * @param {{url: string}} channel - From openFrameChannel()
+ */
+export async function installFrameChannel(page, channel) {
+  await page.evaluate((url) => {
+    window.__VUESEQ_RECEIVE_FRAME__ = async (id, { raw } = {}) => {
+      const response = await fetch(`${url}/${id}`)
+      if (!response.ok) {
+        throw new Error(`Frame ${id} could not be fetched (${response.status})`)
+      }
+      if (raw) {
+        const pixels = new Uint8ClampedArray(await response.arrayBuffer())
+        return await createImageBitmap(
+          new ImageData(pixels, raw.width, raw.height),
+        )
+      }
+      // Decoded off the main thread, unlike an <img>
+      return await createImageBitmap(await response.blob())
+    }
+
+    window.__VUESEQ_SEND_FRAME__ = async (id, canvas, { type, quality }) => {
+      // Pixels go up wrapped in a Blob: Chromium uploads a typed array body
+      // several times slower
+      const body =
+        type === 'raw'
+          ? new Blob([
+              canvas
+                .getContext('2d')
+                .getImageData(0, 0, canvas.width, canvas.height).data,
+            ])
+          : await new Promise((resolve, reject) => {
+              canvas.toBlob(
+                (blob) =>
+                  blob
+                    ? resolve(blob)
+                    : reject(new Error('The canvas could not be encoded')),
+                type,
+                quality,
+              )
+            })
+      const response = await fetch(`${url}/${id}`, { method: 'PUT', body })
+      if (!response.ok) {
+        throw new Error(`Frame ${id} could not be sent (${response.status})`)
+      }
+    }
+  }, channel.url)
+}
@@ -0,0 +1,100 @@
+/**
+ * Image Output
+ *
+ * Format selection and capture helpers for renders that write image files
+ * (image sequences, stills) instead of encoding a video.
+ */
+
+import { extname } from 'path'
+
+// Image formats by file extension
+const IMAGE_FORMATS = {
+  '.png': { type: 'png', mimeType: 'image/png' },
+  '.jpg': { type: 'jpeg', mimeType: 'image/jpeg' },
+  '.jpeg': { type: 'jpeg', mimeType: 'image/jpeg' },
+  '.webp': { type: 'webp', mimeType: 'image/webp' },
+}
+
+// Chromium DevTools sessions, for screenshot formats Playwright lacks
+const cdpSessions = new WeakMap()
+
+/**
+ * Resolve the image format for an output path
+ * @param {string} path - Output path (extension selects the format)
+ * @param {Object} [options]
+ * @param {boolean} [options.transparent=false] - Alpha channel required
+ * @returns {{type: string, mimeType: string}}
+ */
+export function resolveImageFormat(path, { transparent = false } = {}) {
+  const ext = extname(path).toLowerCase()
+  const format = IMAGE_FORMATS[ext]
+
+  if (!format) {
+    throw new Error(
+      `Unsupported image extension "${ext || path}". Use one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`,
+    )
+  }
+
+  if (transparent && format.type === 'jpeg') {
+    throw new Error(
+      'JPEG has no alpha channel. Use .png or .webp for transparent output',
+    )
+  }
+
+  return format
+}
+
+/**
+ * Check an image quality setting
+ * @param {number} quality - 0-100 (JPEG and WebP only)
+ */
+export function assertImageQuality(quality) {
+  if (!(Number.isFinite(quality) && quality >= 0 && quality <= 100)) {
+    throw new Error('Image quality must be a number from 0 to 100')
+  }
+}
+
+/**
+ * Screenshot the page in the given format
+ * @param {import('playwright').Page} page
+ * @param {Object} options
+ * @param {string} options.type - png, jpeg or webp
+ * @param {number} [options.quality=90] - 0-100 (JPEG and WebP only)
+ * @param {boolean} [options.transparent=false] - Keep the alpha channel
+ * @returns {Promise<Buffer>}
+ */
+export async function captureScreenshot(page, options) {
+  const { type, quality = 90, transparent = false } = options
+
+  if (type !== 'webp') {
+    return await page.screenshot({
+      type,
+      quality: type === 'jpeg' ? quality : undefined,
+      omitBackground: transparent,
+    })
+  }
+
+  // Playwright only writes PNG/JPEG; Chromium itself can encode WebP
+  let session = cdpSessions.get(page)
+  if (!session) {
+    session = await page.context().newCDPSession(page)
+    cdpSessions.set(page, session)
+  }
+
+  if (transparent) {
+    await session.send('Emulation.setDefaultBackgroundColorOverride', {
+      color: { r: 0, g: 0, b: 0, a: 0 },
+    })
+  }
+  try {
+    const { data } = await session.send('Page.captureScreenshot', {
+      format: 'webp',
+      quality,
+    })
+    return Buffer.from(data, 'base64')
+  } finally {
+    if (transparent) {
+      await session.send('Emulation.setDefaultBackgroundColorOverride', {})
+    }
+  }
+}
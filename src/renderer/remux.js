@@ -0,0 +1,165 @@
+/**
+ * Segment Concatenation
+ *
+ * Joins video segments encoded separately (chunked and distributed
+ * rendering) into one file by copying their encoded packets, without
+ * decoding or re-encoding. Each segment starts with a key frame, so the
+ * joined stream decodes exactly like one encoded in a single pass.
+ *
+ * Runs in Node with Mediabunny's file sources; the audio track, if any,
+ * is taken whole from the first segment.
+ */
+
+import { open } from 'fs/promises'
+import * as Mediabunny from 'mediabunny'
+
+const {
+  Input,
+  Output,
+  ALL_FORMATS,
+  FilePathSource,
+  EncodedPacketSink,
+  EncodedVideoPacketSource,
+  EncodedAudioPacketSource,
+  StreamTarget,
+} = Mediabunny
+
+// Codec description (e.g. avcC) as bytes, or null if there is none
+function descriptionBytes({ description }) {
+  if (!description) return null
+  return ArrayBuffer.isView(description)
+    ? Buffer.from(
+        description.buffer,
+        description.byteOffset,
+        description.byteLength,
+      )
+    : Buffer.from(description)
+}
+
+// Same decoder configuration, or packets of one segment can't be decoded
+// with the parameters of another
+function sameDecoderConfig(a, b) {
+  if (a.codec !== b.codec) return false
+  const descriptionA = descriptionBytes(a)
+  const descriptionB = descriptionBytes(b)
+  if (!descriptionA || !descriptionB) return descriptionA === descriptionB
+  return descriptionA.equals(descriptionB)
+}
+
+// Packets of every segment in order, shifted to their place in the video
+async function* videoPackets(segments) {
+  for (const { track, start } of segments) {
+    for await (const packet of new EncodedPacketSink(track).packets()) {
+      yield packet.clone({ timestamp: packet.timestamp + start })
+    }
+  }
+}
+
+/**
+ * Concatenate encoded segments into one video
+ * @param {Object} options
+ * @param {Array<{path: string, start: number}>} options.segments - Segment
+ *   files in order, with the video time (seconds) each one starts at
+ * @param {string} options.output - Output file path
+ * @param {string} options.format - Mediabunny OutputFormat class name
+ *   (see format.js)
+ * @param {Object} [options.formatOptions] - OutputFormat constructor options
+ * @param {number} [options.fps] - Frame rate written to the container
+ * @returns {Promise<string>} - Path to the output video
+ */
+export async function concatSegments(options) {
+  const { segments, output, format, formatOptions = {}, fps } = options
+
+  const inputs = segments.map(
+    ({ path }) =>
+      new Input({ source: new FilePathSource(path), formats: ALL_FORMATS }),
+  )
+  const handle = await open(output, 'w')
+
+  try {
+    const tracks = []
+    for (const [index, input] of inputs.entries()) {
+      const track = await input.getPrimaryVideoTrack()
+      if (!track) {
+        throw new Error(`Segment ${segments[index].path} has no video track`)
+      }
+      tracks.push({
+        track,
+        start: segments[index].start,
+        decoderConfig: await track.getDecoderConfig(),
+      })
+    }
+
+    const [first] = tracks
+    for (const [index, { decoderConfig }] of tracks.entries()) {
+      if (!sameDecoderConfig(first.decoderConfig, decoderConfig)) {
+        throw new Error(
+          `Segment ${segments[index].path} was encoded with different codec parameters; render without chunks`,
+        )
+      }
+    }
+
+    const writable = new WritableStream({
+      async write({ data, position }) {
+        await handle.write(data, 0, data.length, position)
+      },
+    })
+    const out = new Output({
+      format: new Mediabunny[format](formatOptions),
+      target: new StreamTarget(writable, { chunked: true }),
+    })
+
+    const videoSource = new EncodedVideoPacketSource(first.track.codec)
+    out.addVideoTrack(videoSource, fps ? { frameRate: fps } : {})
+
+    const audioTrack = await inputs[0].getPrimaryAudioTrack()
+    let audioSource = null
+    let audioDecoderConfig = null
+    if (audioTrack) {
+      audioSource = new EncodedAudioPacketSource(audioTrack.codec)
+      audioDecoderConfig = await audioTrack.getDecoderConfig()
+      out.addAudioTrack(audioSource)
+    }
+
+    await out.start()
+
+    // Interleave the tracks by timestamp, as the muxer writes them
+    const video = videoPackets(tracks)
+    const audio = audioTrack
+      ? new EncodedPacketSink(audioTrack).packets()
+      : null
+    let nextVideo = await video.next()
+    let nextAudio = audio ? await audio.next() : { done: true }
+    let firstVideo = true
+    let firstAudio = true
+
+    while (!nextVideo.done || !nextAudio.done) {
+      const takeVideo =
+        nextAudio.done ||
+        (!nextVideo.done &&
+          nextVideo.value.timestamp <= nextAudio.value.timestamp)
+
+      if (takeVideo) {
+        await videoSource.add(
+          nextVideo.value,
+          firstVideo ? { decoderConfig: first.decoderConfig } : undefined,
+        )
+        firstVideo = false
+        nextVideo = await video.next()
+      } else {
+        await audioSource.add(
+          nextAudio.value,
+          firstAudio ? { decoderConfig: audioDecoderConfig } : undefined,
+        )
+        firstAudio = false
+        nextAudio = await audio.next()
+      }
+    }
+
+    await out.finalize()
+    return output
+  } finally {
+    for (const input of inputs) input.dispose?.()
+    await handle.close()
+  }
+}
@@ -3,8 +3,8 @@
  *
  * The core rendering loop that captures each frame using Playwright.
  * For each frame:
- *   1. Seek GSAP globalTimeline to the exact time
- *   2. Wait for requestAnimationFrame to ensure DOM is painted
+ *   1. Seek GSAP globalTimeline and the virtual clock to the exact time
+ *   2. Wait for a real animation frame to ensure DOM is painted
  *   3. Take a screenshot
  */
 
@@ -17,18 +17,68 @@ import { getOptimalChromiumConfig } from './gpu.js'
 // GPU configuration is now handled by the gpu.js module
 // which auto-detects the best backend for the current system
 
+// Options a composition may declare with defineOptions({ vueseq }) or a
+// named `vueseq` export
+const METADATA_OPTIONS = {
+  width: (value) => Number.isInteger(value) && value > 0,
+  height: (value) => Number.isInteger(value) && value > 0,
+  fps: (value) => Number.isFinite(value) && value > 0,
+  duration: (value) => Number.isFinite(value) && value > 0,
+  durationFromLabel: (value) => typeof value === 'string' && value !== '',
+}
+
 /**
- * Get the timeline duration from a Vue component
- * @param {Object} options
- * @param {string} options.input - Absolute path to the Video.vue component
- * @param {number} [options.width=1920] - Video width in pixels
- * @param {number} [options.height=1080] - Video height in pixels
- * @returns {Promise<number|null>} Duration in seconds, or null if not detectable
+ * Check the metadata a composition declares
+ * @param {Object|null} metadata - The component's `vueseq` option or export
+ * @param {string} input - Component path, for error messages
+ * @returns {Object} The declared options (empty if there are none)
  */
-export async function getTimelineDuration(options) {
-  const { input, width = 1920, height = 1080 } = options
+export function normalizeCompositionMetadata(metadata, input) {
+  if (metadata === null || metadata === undefined) return {}
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error(`${input}: vueseq metadata must be an object`)
+  }
+  for (const [key, value] of Object.entries(metadata)) {
+    const isValid = METADATA_OPTIONS[key]
+    if (!isValid) {
+      throw new Error(
+        `${input}: unknown vueseq metadata "${key}". Use one of: ${Object.keys(METADATA_OPTIONS).join(', ')}`,
+      )
+    }
+    if (!isValid(value)) {
+      throw new Error(`${input}: invalid vueseq metadata ${key}: ${value}`)
+    }
+  }
+  if (metadata.duration && metadata.durationFromLabel) {
+    throw new Error(
+      `${input}: declare either duration or durationFromLabel, not both`,
+    )
+  }
+  return { ...metadata }
+}
 
-  const { url, cleanup } = await createVideoServer({ input, width, height })
+// Open the composition in a page and read what it declares and how long
+// its timeline is
+async function probeComposition(options) {
+  const {
+    input,
+    width = 1920,
+    height = 1080,
+    fps,
+    props,
+    viteConfig,
+    setup,
+  } = options
+
+  const { url, cleanup } = await createVideoServer({
+    input,
+    width,
+    height,
+    props,
+    viteConfig,
+    setup,
+    fps,
+  })
 
   // Get optimal GPU configuration for this system
   const gpuConfig = await getOptimalChromiumConfig()
@@ -55,16 +105,153 @@ export async function getTimelineDuration(options) {
     // Give Vue/GSAP a moment to set up timelines
     await page.waitForTimeout(100)
 
+    const metadata = normalizeCompositionMetadata(
+      await page.evaluate(() => window.__VUESEQ_METADATA__),
+      input,
+    )
     const duration = await page.evaluate(() =>
       window.__VUESEQ_GET_DURATION__?.(),
     )
-    return duration
+    return { metadata, duration: duration ?? null }
   } finally {
     await browser.close()
     await cleanup()
   }
 }
 
+/**
+ * Read the metadata a Vue component declares, with
+ * `defineOptions({ vueseq: { width, height, fps, duration, durationFromLabel } })`
+ * or a named `export const vueseq = {...}`, and its timeline duration
+ * @param {Object} options
+ * @param {string} options.input - Absolute path to the Video.vue component
+ * @param {number} [options.width=1920] - Page width in pixels
+ * @param {number} [options.height=1080] - Page height in pixels
+ * @param {number} [options.fps] - Frames per second, passed to setup
+ * @param {Object} [options.props] - Props passed to the root component
+ * @param {string|false} [options.viteConfig] - See createVideoServer()
+ * @param {string} [options.setup] - See createVideoServer()
+ * @returns {Promise<{width?: number, height?: number, fps?: number, durationFromLabel?: string, duration: number|null}>}
+ *   The declared options; duration is the declared one, the time of the
+ *   durationFromLabel label, or detected from the timeline (null if it
+ *   can't be)
+ */
+export async function getCompositionMetadata(options) {
+  const { metadata, duration } = await probeComposition(options)
+  return { ...metadata, duration }
+}
+
+// Page globals that don't exist in Node
+const BROWSER_GLOBALS = new Set([
+  'window',
+  'self',
+  'document',
+  'navigator',
+  'location',
+  'history',
+  'screen',
+  'localStorage',
+  'sessionStorage',
+  'matchMedia',
+  'getComputedStyle',
+  'requestAnimationFrame',
+  'cancelAnimationFrame',
+  'customElements',
+  'HTMLElement',
+  'Element',
+  'Node',
+  'Image',
+  'ResizeObserver',
+  'IntersectionObserver',
+  'MutationObserver',
+  'devicePixelRatio',
+  'innerWidth',
+  'innerHeight',
+])
+
+/**
+ * Whether a module failed to load in Node because it uses the page at
+ * import time
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function needsBrowser(error) {
+  const match =
+    error instanceof ReferenceError &&
+    /^(\S+) is not defined$/.exec(error.message)
+  return Boolean(match) && BROWSER_GLOBALS.has(match[1])
+}
+
+/**
+ * Read only the metadata a composition declares, without a browser: the
+ * component module is loaded in Node through Vite's server-side build. A
+ * module that needs a browser to load (top-level window or document
+ * access) is read from a page instead; other load errors, such as a
+ * missing import, are thrown.
+ * @param {Object} options - See getCompositionMetadata()
+ * @returns {Promise<{width?: number, height?: number, fps?: number,
+ *   duration?: number, durationFromLabel?: string}>}
+ */
+export async function readCompositionMetadata(options) {
+  const { input, props, viteConfig, setup } = options
+
+  const server = await createVideoServer({
+    input,
+    width: options.width ?? 1920,
+    height: options.height ?? 1080,
+    props,
+    viteConfig,
+    setup,
+  })
+  let declared
+  try {
+    declared = await server.loadMetadata()
+  } catch (error) {
+    // Resolve and compile errors fail here, not after a page timeout
+    if (!needsBrowser(error)) throw error
+    declared = undefined
+  } finally {
+    await server.cleanup()
+  }
+
+  if (declared === undefined) {
+    return (await probeComposition(options)).metadata
+  }
+  return normalizeCompositionMetadata(declared, input)
+}
+
+/**
+ * Fill in the width, height and fps a render call leaves out with the ones
+ * the composition declares (see readCompositionMetadata()); given options
+ * win, and without either the renderers' defaults apply
+ * @param {Object} options - Render options
+ * @returns {Promise<Object>} The options, completed
+ */
+export async function applyCompositionMetadata(options) {
+  const missing = ['width', 'height', 'fps'].filter(
+    (key) => options[key] === undefined,
+  )
+  if (missing.length === 0) return options
+
+  const metadata = await readCompositionMetadata(options)
+  const completed = { ...options }
+  for (const key of missing) {
+    if (metadata[key] !== undefined) completed[key] = metadata[key]
+  }
+  return completed
+}
+
+/**
+ * Get the timeline duration from a Vue component
+ * @param {Object} options - See getCompositionMetadata()
+ * @returns {Promise<number|null>} Duration in seconds (the declared one if
+ *   the component has vueseq metadata), or null if not detectable
+ */
+export async function getTimelineDuration(options) {
+  const { duration } = await getCompositionMetadata(options)
+  return duration
+}
+
 /**
  * Render frames from a Vue component
  * @param {Object} options
@@ -73,22 +260,43 @@ export async function getTimelineDuration(options) {
  * @param {number} [options.duration] - Duration in seconds (auto-detected if not provided)
  * @param {number} [options.width=1920] - Video width in pixels
  * @param {number} [options.height=1080] - Video height in pixels
+ * @param {Object} [options.props] - Props passed to the root component
+ * @param {boolean} [options.transparent=false] - Capture with an alpha channel
+ * @param {number} [options.step=1] - Capture every Nth frame; the virtual
+ *   clock still steps through the skipped ones
  * @param {function} [options.onProgress] - Progress callback
+ * @param {string|false} [options.viteConfig] - See createVideoServer()
+ * @param {string} [options.setup] - See createVideoServer()
  * @returns {Promise<{framesDir: string, totalFrames: number, cleanup: () => Promise<void>}>}
+ *   totalFrames is the number of frame files written
  */
 export async function renderFrames(options) {
+  options = await applyCompositionMetadata(options)
   let {
     input,
     fps = 30,
     duration,
     width = 1920,
     height = 1080,
+    props,
+    transparent = false,
+    viteConfig,
+    setup,
+    step = 1,
     onProgress,
   } = options
 
   // Auto-detect duration if not provided
   if (!duration) {
-    duration = await getTimelineDuration({ input, width, height })
+    duration = await getTimelineDuration({
+      input,
+      width,
+      height,
+      props,
+      viteConfig,
+      setup,
+      fps,
+    })
     if (!duration || duration <= 0) {
       throw new Error(
         'Could not auto-detect duration. Specify -d/--duration manually.',
@@ -96,13 +304,18 @@ export async function renderFrames(options) {
     }
   }
 
-  const totalFrames = Math.ceil(duration * fps)
+  const totalFrames = Math.ceil(Math.ceil(duration * fps) / step)
 
   // Start Vite server
   const { url, tempDir, cleanup } = await createVideoServer({
     input,
     width,
     height,
+    props,
+    transparent,
+    viteConfig,
+    setup,
+    fps,
   })
 
   const framesDir = join(tempDir, 'frames')
@@ -138,16 +351,18 @@ export async function renderFrames(options) {
     // Give Vue a moment to mount and GSAP to set up timelines
     await page.waitForTimeout(100)
 
+    // The bridge's virtual clock steps through frames at this rate
+    await page.evaluate(
+      (config) => window.__VUESEQ_SET_CONFIG__(config),
+      { width, height, fps },
+    )
+
     // Render each frame
     for (let frame = 0; frame < totalFrames; frame++) {
-      const timeInSeconds = frame / fps
+      const timeInSeconds = (frame * step) / fps
 
-      // Seek GSAP to exact time and wait for paint
-      await page.evaluate(async (t) => {
-        window.__VUESEQ_SEEK__(t)
-        // Wait for next animation frame to ensure DOM is painted
-        await new Promise((resolve) => requestAnimationFrame(resolve))
-      }, timeInSeconds)
+      // Seek GSAP and the virtual clock to exact time (resolves after paint)
+      await page.evaluate((t) => window.__VUESEQ_SEEK__(t), timeInSeconds)
 
       // Take screenshot
       const framePath = join(
@@ -157,6 +372,7 @@ export async function renderFrames(options) {
       await page.screenshot({
         path: framePath,
         type: 'png',
+        omitBackground: transparent,
       })
 
       // Progress callback
@@ -0,0 +1,83 @@
+/**
+ * Renderer Selection
+ *
+ * Picks the render function for a set of options, so the CLI and the API
+ * (render()) turn the same config or profile into the same render:
+ * sequence, animated image, chunked, parallel, optimized or standard.
+ */
+
+import { resolveRenderOptions } from '../config.js'
+import { renderToMp4, renderToMp4Optimized } from './encode.js'
+import { renderToMp4Parallel } from './encode-parallel.js'
+import { renderToMp4Chunked } from './encode-chunked.js'
+import {
+  isAnimatedImageOutput,
+  renderToAnimatedImage,
+} from './animated-image.js'
+import { renderSequence } from './sequence.js'
+import { clearGPUCache, detectBestGPUConfig } from './gpu.js'
+
+/**
+ * Choose the renderer for a set of render options
+ * @param {Object} options - Render options
+ * @param {string} [options.sequence] - Image sequence pattern (renderSequence)
+ * @param {string} [options.output] - .gif/.webp/.apng select
+ *   renderToAnimatedImage
+ * @param {boolean} [options.chunked] - renderToMp4Chunked (also with resume)
+ * @param {boolean} [options.parallel] - renderToMp4Parallel
+ * @param {boolean} [options.optimized] - renderToMp4Optimized
+ * @returns {{method: string, renderer: (options: Object) => Promise<*>, options: Object}}
+ *   The renderer and the options to call it with
+ */
+export function selectRenderer(options) {
+  const { sequence, output, chunked, resume, parallel, optimized } = options
+
+  if (sequence) {
+    return {
+      method: 'sequence',
+      renderer: renderSequence,
+      options: { ...options, output: sequence },
+    }
+  }
+  if (output && isAnimatedImageOutput(output)) {
+    return {
+      method: 'animated-image',
+      renderer: renderToAnimatedImage,
+      options,
+    }
+  }
+  // Resumable renders are chunked: finished segments are what's kept
+  if (chunked || resume) {
+    return { method: 'chunked', renderer: renderToMp4Chunked, options }
+  }
+  if (parallel) {
+    return { method: 'parallel', renderer: renderToMp4Parallel, options }
+  }
+  if (optimized) {
+    return { method: 'optimized', renderer: renderToMp4Optimized, options }
+  }
+  return { method: 'standard', renderer: renderToMp4, options }
+}
+
+/**
+ * Render with the options of a config file or profile, as the CLI does:
+ * merges them with resolveRenderOptions(), applies gpuBackend and picks
+ * the renderer with selectRenderer()
+ * @param {Object} options - Render options, plus config and profile (see
+ *   resolveRenderOptions())
+ * @param {string} [options.gpuBackend='auto'] - GPU backend to prefer
+ * @returns {Promise<*>} What the selected renderer returns
+ */
+export async function render(options) {
+  const resolved = await resolveRenderOptions(options)
+
+  const { gpuBackend = 'auto' } = resolved
+  if (gpuBackend !== 'auto') {
+    // Re-detect with the preferred backend; renderers read the result
+    await clearGPUCache()
+    await detectBestGPUConfig({ preferBackend: gpuBackend })
+  }
+
+  const { renderer, options: rendererOptions } = selectRenderer(resolved)
+  return await renderer(rendererOptions)
+}
@@ -0,0 +1,286 @@
+/**
+ * Image Sequence Export
+ *
+ * Writes one PNG, JPEG or WebP file per frame, named from a printf-style
+ * pattern such as "out/frame-%05d.png", for compositors and editors that
+ * take image sequences. Frames are either screenshotted from one page or
+ * captured by the parallel worker pool used by renderToMp4Parallel().
+ */
+
+import { chromium } from 'playwright'
+import { mkdir, writeFile } from 'fs/promises'
+import { dirname, resolve } from 'path'
+import { createVideoServer } from '../bundler/vite.js'
+import { getTimelineDuration, applyCompositionMetadata } from './render.js'
+import { getOptimalChromiumConfig } from './gpu.js'
+import {
+  DEFAULT_WORKERS,
+  openCapturePages,
+  captureFrameImage,
+} from './encode-parallel.js'
+import { openFrameChannel } from './frame-channel.js'
+import {
+  resolveImageFormat,
+  assertImageQuality,
+  captureScreenshot,
+} from './image.js'
+
+// A frame number (%d, %5d, %05d) or a literal percent sign (%%)
+const PATTERN_TOKEN = /%(?:(%)|(0?)(\d*)d)/g
+
+/**
+ * Expand a sequence pattern for one frame number, as printf does
+ * @param {string} pattern - e.g. "out/frame-%05d.png"
+ * @param {number} number - File number
+ * @returns {string}
+ */
+export function formatSequencePath(pattern, number) {
+  return pattern.replace(PATTERN_TOKEN, (_, percent, zero, width) =>
+    percent
+      ? '%'
+      : String(number).padStart(Number(width) || 0, zero ? '0' : ' '),
+  )
+}
+
+const hasFrameNumber = (pattern) =>
+  [...pattern.matchAll(PATTERN_TOKEN)].some(([, percent]) => !percent)
+
+/**
+ * Parse a frame range like "120-240" (inclusive), "120-" or "90"
+ * @param {string|number[]} [spec] - Range string or [start, end]
+ * @param {number} totalFrames - Frames in the composition
+ * @returns {{start: number, end: number}} Inclusive frame indices
+ */
+export function parseFrameRange(spec, totalFrames) {
+  const last = totalFrames - 1
+  if (spec === undefined || spec === null || spec === '') {
+    return { start: 0, end: last }
+  }
+
+  let start
+  let end
+  if (Array.isArray(spec)) {
+    ;[start, end = last] = spec
+  } else {
+    const match = /^\s*(\d+)\s*(?:(-)\s*(\d*))?\s*$/.exec(String(spec))
+    if (!match) {
+      throw new Error(
+        `Invalid frame range "${spec}". Use e.g. 120-240, 120- or 90`,
+      )
+    }
+    start = Number(match[1])
+    end = match[2] ? (match[3] ? Number(match[3]) : last) : start
+  }
+
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start > end) {
+    throw new Error(`Invalid frame range "${spec}"`)
+  }
+  if (end > last) {
+    throw new Error(
+      `Frame range "${spec}" ends after the last frame (${last})`,
+    )
+  }
+
+  return { start, end }
+}
+
+/**
+ * Render a Vue component to an image sequence
+ * @param {Object} options
+ * @param {string} options.input - Absolute path to the Video.vue component
+ * @param {string} options.output - File pattern with a frame number, e.g.
+ *   "out/frame-%05d.png"; the extension selects PNG, JPEG or WebP
+ * @param {number} [options.fps=30] - Frames per second
+ * @param {number} [options.duration] - Duration in seconds (auto-detected if not provided)
+ * @param {number} [options.width=1920] - Width in pixels
+ * @param {number} [options.height=1080] - Height in pixels
+ * @param {Object} [options.props] - Props passed to the root component
+ * @param {boolean} [options.transparent=false] - Keep the alpha channel (PNG/WebP)
+ * @param {string|number[]} [options.frames] - Inclusive range, e.g. "120-240"
+ * @param {number} [options.startNumber] - File number of the first frame
+ *   written (default: its frame index)
+ * @param {number} [options.imageQuality=90] - JPEG/WebP quality (0-100)
+ * @param {boolean} [options.parallel=false] - Use the parallel worker pool
+ * @param {number} [options.workers] - Number of parallel workers
+ * @param {function} [options.onProgress] - Progress callback
+ * @param {string|false} [options.viteConfig] - See createVideoServer()
+ * @param {string} [options.setup] - See createVideoServer()
+ * @returns {Promise<{start: number, end: number, files: string[]}>}
+ */
+export async function renderSequence(options) {
+  options = await applyCompositionMetadata(options)
+  const {
+    input,
+    output,
+    fps = 30,
+    duration: providedDuration,
+    width = 1920,
+    height = 1080,
+    props,
+    transparent = false,
+    viteConfig,
+    setup,
+    frames,
+    startNumber,
+    imageQuality = 90,
+    parallel = false,
+    workers,
+    onProgress,
+  } = options
+
+  if (!hasFrameNumber(output)) {
+    throw new Error(
+      `Sequence pattern "${output}" needs a frame number placeholder such as %05d`,
+    )
+  }
+  const { type, mimeType } = resolveImageFormat(output, { transparent })
+  assertImageQuality(imageQuality)
+  if (
+    startNumber !== undefined &&
+    !(Number.isInteger(startNumber) && startNumber >= 0)
+  ) {
+    throw new Error('Start number must be a non-negative whole number')
+  }
+
+  // Auto-detect duration if not provided
+  let duration = providedDuration
+  if (!duration || duration <= 0) {
+    duration = await getTimelineDuration({
+      input,
+      width,
+      height,
+      props,
+      viteConfig,
+      setup,
+      fps,
+    })
+    if (!duration || duration <= 0) {
+      throw new Error(
+        'Could not auto-detect duration. Specify duration manually.',
+      )
+    }
+  }
+
+  const { start, end } = parseFrameRange(frames, Math.ceil(duration * fps))
+  const total = end - start + 1
+  const fileNumberOffset = (startNumber ?? start) - start
+  const files = []
+  for (let frame = start; frame <= end; frame++) {
+    files.push(resolve(formatSequencePath(output, frame + fileNumberOffset)))
+  }
+
+  for (const dir of new Set(files.map((file) => dirname(file)))) {
+    await mkdir(dir, { recursive: true })
+  }
+
+  const { url, cleanup: cleanupServer } = await createVideoServer({
+    input,
+    width,
+    height,
+    props,
+    transparent,
+    viteConfig,
+    setup,
+    fps,
+  })
+
+  const gpuConfig = await getOptimalChromiumConfig()
+  const launchOptions = {
+    headless: gpuConfig.headless,
+    args: gpuConfig.args,
+  }
+  if (gpuConfig.channel) {
+    launchOptions.channel = gpuConfig.channel
+  }
+  const browser = await chromium.launch(launchOptions)
+
+  // Parallel workers upload their images over a frame channel
+  const channel = parallel ? await openFrameChannel() : null
+
+  // Like the video renderers, frame counts from 0 to total - 1 (parallel
+  // workers finish frames out of order, so it's the number written)
+  let written = 0
+  const reportProgress = (frame) => {
+    written++
+    if (onProgress) {
+      onProgress({
+        frame: written - 1,
+        total,
+        timeInSeconds: frame / fps,
+        percent: Math.round((written / total) * 100),
+      })
+    }
+  }
+
+  try {
+    const context = await browser.newContext({
+      viewport: { width, height },
+      deviceScaleFactor: 1,
+    })
+
+    if (parallel) {
+      // Frames are independent files, so workers write them as they go
+      const numWorkers = workers ? parseInt(workers, 10) : DEFAULT_WORKERS
+      const pages = await openCapturePages(context, {
+        url,
+        count: numWorkers,
+        width,
+        height,
+        fps,
+        channel,
+      })
+
+      await Promise.all(
+        pages.map(async (page, workerIndex) => {
+          for (
+            let frame = start + workerIndex;
+            frame <= end;
+            frame += numWorkers
+          ) {
+            const image = await captureFrameImage(page, frame / fps, {
+              channel,
+              type: mimeType,
+              quality: imageQuality / 100,
+            })
+            await writeFile(files[frame - start], image)
+            reportProgress(frame)
+          }
+        }),
+      )
+    } else {
+      const page = await context.newPage()
+      await page.goto(url, { waitUntil: 'networkidle' })
+      await page.waitForFunction(() => window.__VUESEQ_READY__ === true, {
+        timeout: 30000,
+      })
+
+      // Give Vue a moment to mount and GSAP to set up timelines
+      await page.waitForTimeout(100)
+
+      // The bridge's virtual clock steps through frames at this rate
+      await page.evaluate(
+        (config) => window.__VUESEQ_SET_CONFIG__(config),
+        { width, height, fps },
+      )
+
+      for (let frame = start; frame <= end; frame++) {
+        // Seek GSAP and the virtual clock to exact time (resolves after paint)
+        await page.evaluate((t) => window.__VUESEQ_SEEK__(t), frame / fps)
+
+        const image = await captureScreenshot(page, {
+          type,
+          quality: imageQuality,
+          transparent,
+        })
+        await writeFile(files[frame - start], image)
+        reportProgress(frame)
+      }
+    }
+  } finally {
+    await browser.close()
+    await channel?.close()
+    await cleanupServer()
+  }
+
+  return { start, end, files }
+}
@@ -0,0 +1,168 @@
+/**
+ * Still Export
+ *
+ * Renders a single frame of a composition to PNG, JPEG or WebP, for
+ * thumbnails and social preview images. The page is loaded, seeked once
+ * and screenshotted; no encoder is set up.
+ */
+
+import { chromium } from 'playwright'
+import { mkdir, writeFile } from 'fs/promises'
+import { dirname, resolve } from 'path'
+import { createVideoServer } from '../bundler/vite.js'
+import { getOptimalChromiumConfig } from './gpu.js'
+import { applyCompositionMetadata } from './render.js'
+import {
+  resolveImageFormat,
+  assertImageQuality,
+  captureScreenshot,
+} from './image.js'
+
+/**
+ * Parse a time like "3.0s", "1500ms" or "3" (seconds)
+ * @param {string|number} value
+ * @returns {number} Seconds
+ */
+export function parseTime(value) {
+  if (typeof value === 'number') {
+    if (Number.isFinite(value) && value >= 0) return value
+  } else {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(s|ms)?\s*$/.exec(String(value))
+    if (match) {
+      const amount = parseFloat(match[1])
+      return match[2] === 'ms' ? amount / 1000 : amount
+    }
+  }
+  throw new Error(`Invalid time "${value}". Use seconds, e.g. 3.0s or 1500ms`)
+}
+
+/**
+ * Render one frame of a Vue component to an image
+ * @param {Object} options
+ * @param {string} options.input - Absolute path to the Video.vue component
+ * @param {string} options.output - Output path; .png, .jpg/.jpeg or .webp
+ * @param {number} [options.frame] - Frame index to render
+ * @param {string|number} [options.time] - Time to render instead of a frame,
+ *   e.g. 3.0 or "3.0s"
+ * @param {number} [options.fps=30] - Frames per second (frame index and
+ *   virtual clock steps)
+ * @param {number} [options.width=1920] - Width in CSS pixels
+ * @param {number} [options.height=1080] - Height in CSS pixels
+ * @param {number} [options.scale=1] - Device pixel ratio; 2 writes a
+ *   3840x2160 image of a 1920x1080 composition
+ * @param {Object} [options.props] - Props passed to the root component
+ * @param {boolean} [options.transparent=false] - Keep the alpha channel (PNG/WebP)
+ * @param {number} [options.imageQuality=90] - JPEG/WebP quality (0-100)
+ * @param {string|false} [options.viteConfig] - See createVideoServer()
+ * @param {string} [options.setup] - See createVideoServer()
+ * @returns {Promise<{output: string, time: number, width: number, height: number}>}
+ *   Written path, the rendered time and the image size in pixels
+ */
+export async function renderStill(options) {
+  options = await applyCompositionMetadata(options)
+  const {
+    input,
+    output,
+    frame,
+    time,
+    fps = 30,
+    width = 1920,
+    height = 1080,
+    scale = 1,
+    props,
+    transparent = false,
+    viteConfig,
+    setup,
+    imageQuality = 90,
+  } = options
+
+  const { type } = resolveImageFormat(output, { transparent })
+  assertImageQuality(imageQuality)
+
+  if (frame !== undefined && time !== undefined) {
+    throw new Error('Specify either a frame or a time, not both')
+  }
+  if (frame !== undefined && !(Number.isInteger(frame) && frame >= 0)) {
+    throw new Error('Frame must be a non-negative whole number')
+  }
+  if (!(Number.isFinite(scale) && scale > 0)) {
+    throw new Error('Scale must be a positive number')
+  }
+
+  const timeInSeconds =
+    time !== undefined ? parseTime(time) : (frame ?? 0) / fps
+
+  const outputPath = resolve(output)
+  await mkdir(dirname(outputPath), { recursive: true })
+
+  const { url, cleanup: cleanupServer } = await createVideoServer({
+    input,
+    width,
+    height,
+    props,
+    transparent,
+    viteConfig,
+    setup,
+    fps,
+  })
+
+  const gpuConfig = await getOptimalChromiumConfig()
+  const launchOptions = {
+    headless: gpuConfig.headless,
+    args: gpuConfig.args,
+  }
+  if (gpuConfig.channel) {
+    launchOptions.channel = gpuConfig.channel
+  }
+  const browser = await chromium.launch(launchOptions)
+
+  try {
+    const context = await browser.newContext({
+      viewport: { width, height },
+      deviceScaleFactor: scale,
+    })
+    const page = await context.newPage()
+
+    await page.goto(url, { waitUntil: 'networkidle' })
+    await page.waitForFunction(() => window.__VUESEQ_READY__ === true, {
+      timeout: 30000,
+    })
+
+    // Give Vue a moment to mount and GSAP to set up timelines
+    await page.waitForTimeout(100)
+
+    const duration = await page.evaluate(() =>
+      window.__VUESEQ_GET_DURATION__?.(),
+    )
+    if (duration > 0 && timeInSeconds > duration) {
+      throw new Error(
+        `Time ${timeInSeconds}s is past the end of the timeline (${duration}s)`,
+      )
+    }
+
+    // The virtual clock steps through the frames before the seek target,
+    // so the still matches the same frame of a video render
+    await page.evaluate(
+      (config) => window.__VUESEQ_SET_CONFIG__(config),
+      { width, height, fps },
+    )
+    await page.evaluate((t) => window.__VUESEQ_SEEK__(t), timeInSeconds)
+
+    const image = await captureScreenshot(page, {
+      type,
+      quality: imageQuality,
+      transparent,
+    })
+    await writeFile(outputPath, image)
+  } finally {
+    await browser.close()
+    await cleanupServer()
+  }
+
+  return {
+    output: outputPath,
+    time: timeInSeconds,
+    width: Math.round(width * scale),
+    height: Math.round(height * scale),
+  }
+}
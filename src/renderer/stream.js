@@ -0,0 +1,63 @@
+/**
+ * Streaming Output
+ *
+ * Writes the encoded file to disk while Mediabunny produces it, instead of
+ * holding the whole video in browser memory. In the page, a StreamTarget
+ * hands each chunk to a binding exposed by Node, which writes it at its
+ * byte position (muxers seek back to patch headers). Each write is awaited
+ * by the page, so memory stays bounded by one chunk.
+ */
+
+import { open } from 'fs/promises'
+
+// Bytes collected in the page before a chunk is sent to Node
+const CHUNK_SIZE = 8 * 1024 * 1024
+
+/**
+ * Open the output file and install window.__VUESEQ_CREATE_TARGET__(),
+ * which returns a StreamTarget writing to it. Call before the encoder is
+ * initialized; Mediabunny must be injected before the target is created.
+ * @param {import('playwright').Page} page
+ * @param {string} output - Output file path
+ * @returns {Promise<{close: () => Promise<void>}>} - Close after finalize()
+ */
+export async function streamOutputToFile(page, output) {
+  const handle = await open(output, 'w')
+
+  await page.exposeBinding(
+    '__VUESEQ_WRITE_CHUNK__',
+    async (_source, base64, position) => {
+      const data = Buffer.from(base64, 'base64')
+      await handle.write(data, 0, data.length, position)
+    },
+  )
+
+  await page.evaluate(
+    ({ chunkSize }) => {
+      // Binary can't cross the binding directly, so chunks travel as base64
+      const toBase64 = (bytes) =>
+        new Promise((resolve, reject) => {
+          const reader = new FileReader()
+          reader.onloadend = () =>
+            resolve(reader.result.slice(reader.result.indexOf(',') + 1))
+          reader.onerror = () => reject(reader.error)
+          reader.readAsDataURL(new Blob([bytes]))
+        })
+
+      window.__VUESEQ_CREATE_TARGET__ = () => {
+        const { StreamTarget } = window.Mediabunny
+        const writable = new WritableStream({
+          async write({ data, position }) {
+            await window.__VUESEQ_WRITE_CHUNK__(await toBase64(data), position)
+          },
+        })
+        return new StreamTarget(writable, { chunked: true, chunkSize })
+      }
+    },
+    { chunkSize: CHUNK_SIZE },
+  )
+
+  return {
+    close: () => handle.close(),
+  }
+}
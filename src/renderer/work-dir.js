@@ -0,0 +1,255 @@
+/**
+ * Resumable Render Work Directories
+ *
+ * With `resume`, chunked and distributed renders keep every finished
+ * segment in a work directory until the video is joined. The directory is
+ * named after a hash of what decides the frames: the composition and every
+ * project file it imports, the setup file, Vite config and audio (their
+ * contents), the props and the render settings. A later run with the same key finds the segments and only
+ * renders the missing chunks.
+ *
+ * Key design decisions:
+ * - Segments are written under a partial name and renamed once complete,
+ *   so a crash never leaves a segment that looks finished
+ * - Segment names carry their frame range; a segment is only reused for
+ *   exactly that range
+ * - Imports are taken from Vite's module graph (listModuleFiles() of the
+ *   video server), so aliases, dynamic imports, CSS and assets count too
+ * - Work directories live in the OS temp directory, not in the project
+ */
+
+import { createHash } from 'crypto'
+import { createReadStream, existsSync } from 'fs'
+import { mkdir, readdir, readFile, rm, stat, writeFile } from 'fs/promises'
+import { extname, join, resolve } from 'path'
+import { tmpdir } from 'os'
+import { findViteConfig } from '../bundler/vite.js'
+
+export const WORK_ROOT = join(tmpdir(), 'vueseq-work')
+
+// Bump when the segment layout changes, so old directories are not reused
+const WORK_DIR_VERSION = 2
+
+// Unused work directories older than this are stale (ms)
+const STALE_AGE = 7 * 24 * 60 * 60 * 1000
+
+const MANIFEST = 'render.json'
+
+// Work directory names: the first 16 hex digits of the settings hash
+const KEY_PATTERN = /^[0-9a-f]{16}$/
+
+// SHA-256 of a file's contents, or null if it doesn't exist
+async function hashFile(path) {
+  if (!path || !existsSync(path)) return null
+  const hash = createHash('sha256')
+  for await (const data of createReadStream(path)) hash.update(data)
+  return hash.digest('hex')
+}
+
+// JSON with sorted object keys, so equal props give equal hashes
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    return `{${entries.join(',')}}`
+  }
+  return JSON.stringify(value) ?? 'null'
+}
+
+/**
+ * Open the work directory for a render, creating it if needed
+ * @param {Object} options - Resolved render settings
+ * @param {string} options.input - Path to the Video.vue component
+ * @param {string} options.output - Output path (only its extension counts)
+ * @param {number} options.fps
+ * @param {number} options.duration
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {string} options.codec - Resolved codec
+ * @param {Object} options.encoding - resolveEncodingSettings() result
+ * @param {Object} [options.props]
+ * @param {boolean} [options.transparent]
+ * @param {boolean} [options.beginFrame]
+ * @param {string} [options.audio]
+ * @param {string} [options.setup]
+ * @param {string|false} [options.viteConfig]
+ * @param {string[]} options.files - Project files the composition imports
+ *   (listModuleFiles() of createVideoServer())
+ * @param {string} [options.workDir] - Root of the work directories
+ *   (default: vueseq-work in the OS temp directory)
+ * @returns {Promise<{path: string, key: string}>}
+ */
+export async function openWorkDir(options) {
+  const { input, setup, audio, files, workDir = WORK_ROOT } = options
+  const viteConfig =
+    options.viteConfig === undefined
+      ? findViteConfig(input)
+      : options.viteConfig && resolve(options.viteConfig)
+
+  const inputHash = await hashFile(resolve(input))
+  const settings = {
+    version: WORK_DIR_VERSION,
+    input: resolve(input),
+    inputHash,
+    setup: setup ? resolve(setup) : null,
+    setupHash: await hashFile(setup && resolve(setup)),
+    viteConfig: viteConfig || null,
+    viteConfigHash: await hashFile(viteConfig),
+    audio: audio ? resolve(audio) : null,
+    audioHash: await hashFile(audio && resolve(audio)),
+    sources: await Promise.all(
+      files.map(async (file) => [file, await hashFile(file)]),
+    ),
+    props: options.props ?? {},
+    fps: options.fps,
+    duration: options.duration,
+    width: options.width,
+    height: options.height,
+    codec: options.codec,
+    encoding: options.encoding,
+    transparent: Boolean(options.transparent),
+    // Left out when off, so earlier work directories keep their keys
+    beginFrame: options.beginFrame || undefined,
+    container: extname(options.output).toLowerCase(),
+  }
+  const key = createHash('sha256')
+    .update(stableStringify(settings))
+    .digest('hex')
+    .slice(0, 16)
+
+  const path = join(resolve(workDir), key)
+  await mkdir(path, { recursive: true })
+
+  // Read by `vueseq clean`; rewritten on every run to mark it in use
+  const manifestPath = join(path, MANIFEST)
+  let createdAt = new Date().toISOString()
+  if (existsSync(manifestPath)) {
+    try {
+      createdAt = JSON.parse(await readFile(manifestPath, 'utf-8')).createdAt
+    } catch {
+      // Rewritten below
+    }
+  }
+  await writeFile(
+    manifestPath,
+    JSON.stringify(
+      {
+        key,
+        input: settings.input,
+        inputHash,
+        createdAt,
+        usedAt: new Date().toISOString(),
+        settings,
+      },
+      null,
+      2,
+    ),
+  )
+
+  return { path, key }
+}
+
+/**
+ * Path of a chunk's segment file
+ * @param {string} dir - Work (or temp) directory
+ * @param {{start: number, end: number}} chunk - Frame range, end exclusive
+ * @param {string} extension - Container extension, e.g. '.mp4'
+ * @returns {{path: string, partial: string}} Final path, and the path the
+ *   segment is written to until it is complete (same extension, so the
+ *   container is picked the same way)
+ */
+export function segmentFiles(dir, { start, end }, extension) {
+  const name = `segment-${String(start).padStart(7, '0')}-${String(end).padStart(7, '0')}`
+  return {
+    path: join(dir, `${name}${extension}`),
+    partial: join(dir, `${name}.partial${extension}`),
+  }
+}
+
+async function directorySize(path) {
+  let size = 0
+  for (const entry of await readdir(path, { withFileTypes: true })) {
+    if (entry.isFile()) size += (await stat(join(path, entry.name))).size
+  }
+  return size
+}
+
+/**
+ * List work directories. Only directories named after a key, with a
+ * manifest for that key, count; anything else under the root (which may be
+ * a project directory, given --work-dir) is never listed, so never removed.
+ * @param {string} [root] - Root of the work directories
+ * @returns {Promise<Array<{path: string, key: string, input: string|null,
+ *   inputHash: string|null, usedAt: Date, size: number}>>}
+ */
+export async function listWorkDirs(root = WORK_ROOT) {
+  if (!existsSync(root)) return []
+  const dirs = []
+  for (const entry of await readdir(root, { withFileTypes: true })) {
+    if (!entry.isDirectory() || !KEY_PATTERN.test(entry.name)) continue
+    const path = join(root, entry.name)
+    let manifest
+    try {
+      manifest = JSON.parse(await readFile(join(path, MANIFEST), 'utf-8'))
+    } catch {
+      continue
+    }
+    if (manifest?.key !== entry.name) continue
+
+    const usedAt = manifest.usedAt
+      ? new Date(manifest.usedAt)
+      : (await stat(path)).mtime
+    dirs.push({
+      path,
+      key: entry.name,
+      input: manifest.input ?? null,
+      inputHash: manifest.inputHash ?? null,
+      usedAt,
+      size: await directorySize(path),
+    })
+  }
+  return dirs
+}
+
+/**
+ * Remove work directories. Without options only stale ones go: their
+ * composition is gone or has changed since, or they are unused for a week.
+ * @param {Object} [options]
+ * @param {string} [options.input] - Remove every directory of this
+ *   composition instead
+ * @param {boolean} [options.all=false] - Remove every directory
+ * @param {string} [options.workDir] - Root of the work directories
+ * @returns {Promise<Array<{path: string, input: string|null, size: number,
+ *   reason: string}>>} Removed directories
+ */
+export async function cleanWorkDirs(options = {}) {
+  const { input, all = false, workDir = WORK_ROOT } = options
+  const target = input && resolve(input)
+
+  const removed = []
+  for (const dir of await listWorkDirs(resolve(workDir))) {
+    let reason = null
+    if (all) {
+      reason = 'removed with --all'
+    } else if (target) {
+      if (dir.input === target) reason = 'removed for this composition'
+    } else if (!dir.input || !existsSync(dir.input)) {
+      reason = 'composition no longer exists'
+    } else if ((await hashFile(dir.input)) !== dir.inputHash) {
+      reason = 'composition has changed'
+    } else if (Date.now() - dir.usedAt.getTime() > STALE_AGE) {
+      reason = 'unused for over a week'
+    }
+
+    if (reason) {
+      await rm(dir.path, { recursive: true, force: true })
+      removed.push({ path: dir.path, input: dir.input, size: dir.size, reason })
+    }
+  }
+  return removed
+}
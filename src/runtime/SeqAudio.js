@@ -0,0 +1,44 @@
+/**
+ * SeqAudio - Browser Runtime Component
+ *
+ * Declares a sound on the video timeline. Renders nothing; the renderer
+ * mixes every declared sound into the output's audio track.
+ *
+ * Usage:
+ *   <SeqAudio :src="whoosh" :at="2.5" :volume="0.8" />
+ *
+ * Sounds are collected when encoding starts: SeqAudio must be mounted with
+ * the composition or inside a <Sequence> (whose content the renderer visits
+ * to find them), not inside a v-if that turns on later. Inside a Sequence,
+ * `at` is scene time and the sound is cut off at the end of the scene.
+ */
+
+import { defineComponent, inject, onBeforeUnmount } from 'vue'
+import { registerAudio } from './audio.js'
+import { SCENE_KEY } from './scenes.js'
+
+export const SeqAudio = defineComponent({
+  name: 'SeqAudio',
+  props: {
+    // Audio URL; import the file so Vite serves it (import sfx from './sfx.mp3')
+    src: { type: String, required: true },
+    // Time (seconds) at which the sound starts: video time, or scene time
+    // inside a <Sequence>
+    at: { type: Number, default: 0 },
+    // Gain (1 = original level)
+    volume: { type: Number, default: 1 },
+  },
+  setup(props) {
+    const scene = inject(SCENE_KEY, null)
+
+    // Registered during setup so the sound is known right after mount
+    const unregister = registerAudio({
+      ...props,
+      at: (scene?.start ?? 0) + props.at,
+      end: scene?.end,
+    })
+    onBeforeUnmount(unregister)
+
+    return () => null
+  },
+})
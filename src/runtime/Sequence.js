@@ -0,0 +1,148 @@
+/**
+ * Sequence & Series - Browser Runtime Components
+ *
+ * Compose long videos from separate scene components. A Sequence mounts
+ * its content only during its time window; GSAP animations its content
+ * creates start at the Sequence's start, so each scene is written as if
+ * it were a video of its own. Series plays Sequences back to back.
+ *
+ * Usage:
+ *   <Sequence :from="3" :duration="5"><Intro /></Sequence>
+ *
+ *   <Series>
+ *     <Sequence :duration="4"><Intro /></Sequence>
+ *     <Sequence :duration="6" :from="-0.5"><Features /></Sequence>
+ *     <Sequence :duration="3"><Outro /></Sequence>
+ *   </Series>
+ *
+ * A Sequence with a duration spans it on the timeline even while its
+ * content is unmounted, so duration auto-detection sees every scene.
+ *
+ * The content is mounted inside a <Suspense> of its own. The root one has
+ * resolved long before a later scene mounts, so async components in the
+ * scene hold rendering through this one (with delayRender()).
+ */
+
+import {
+  defineComponent,
+  h,
+  ref,
+  inject,
+  provide,
+  cloneVNode,
+  Fragment,
+  Suspense,
+  onBeforeUnmount,
+} from 'vue'
+import gsap from 'gsap'
+import { SCENE_KEY, registerScene } from './scenes.js'
+import { delayRender, continueRender } from './readiness.js'
+
+export const Sequence = defineComponent({
+  name: 'Sequence',
+  props: {
+    // Start in seconds, relative to the enclosing Sequence (or the video).
+    // Inside a Series: offset from the end of the previous Sequence
+    from: { type: Number, default: 0 },
+    // Length in seconds; without one the content stays mounted to the end
+    duration: { type: Number, default: Infinity },
+    // GSAP label at the start (shown as a marker in the preview)
+    name: { type: String, default: undefined },
+  },
+  setup(props, { slots }) {
+    const parent = inject(SCENE_KEY, null)
+    const parentTimeline = parent?.timeline ?? gsap.globalTimeline
+    const start = (parent?.start ?? 0) + props.from
+    const end = start + props.duration
+
+    // Animations of the content are added to this timeline (see scenes.js)
+    const timeline = gsap.timeline()
+    parentTimeline.add(timeline, props.from)
+
+    // An empty tween at the end makes the timeline span the duration
+    if (Number.isFinite(props.duration)) {
+      timeline.set({}, {}, props.duration)
+    }
+    const spacer = timeline.getChildren(false, true, true)[0] ?? null
+    if (props.name) parentTimeline.addLabel(props.name, props.from)
+
+    const isActive = (time) => time >= start && time < end
+    const active = ref(isActive(gsap.globalTimeline.time()))
+
+    // Held while async components in the content are pending
+    let suspended = null
+    const release = () => {
+      if (suspended !== null) continueRender(suspended)
+      suspended = null
+    }
+
+    const scene = {
+      start,
+      // Content is unmounted at the end of this scene or of its parent
+      end: Math.min(end, parent?.end ?? Infinity),
+      timeline,
+      update(time) {
+        const next = isActive(time)
+        if (active.value && !next) {
+          // The unmounted content's animations would outlive it
+          for (const child of timeline.getChildren(false, true, true)) {
+            if (child !== spacer) child.kill()
+          }
+          // Content unmounted while pending never resolves
+          release()
+        }
+        active.value = next
+      },
+    }
+    provide(SCENE_KEY, scene)
+
+    const unregister = registerScene(scene)
+    onBeforeUnmount(() => {
+      release()
+      unregister()
+      timeline.kill()
+      if (props.name) parentTimeline.removeLabel(props.name)
+    })
+
+    const label = props.name ? `<Sequence name="${props.name}">` : '<Sequence>'
+    return () =>
+      active.value
+        ? h(
+            Suspense,
+            {
+              onPending: () => {
+                suspended ??= delayRender(label)
+              },
+              onResolve: release,
+            },
+            { default: () => h(Fragment, slots.default?.() ?? []) },
+          )
+        : null
+  },
+})
+
+// Child vnodes, with v-for fragments flattened
+function flattenChildren(vnodes) {
+  return vnodes.flatMap((vnode) =>
+    vnode.type === Fragment && Array.isArray(vnode.children)
+      ? flattenChildren(vnode.children)
+      : [vnode],
+  )
+}
+
+export const Series = defineComponent({
+  name: 'Series',
+  setup(_, { slots }) {
+    return () => {
+      let cursor = 0
+      return flattenChildren(slots.default?.() ?? []).map((vnode) => {
+        if (vnode.type !== Sequence) return vnode
+
+        const from = cursor + (vnode.props?.from ?? 0)
+        const duration = vnode.props?.duration ?? Infinity
+        cursor = from + duration
+        return cloneVNode(vnode, { from })
+      })
+    }
+  },
+})
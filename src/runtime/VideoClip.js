@@ -0,0 +1,140 @@
+/**
+ * VideoClip - Browser Runtime Component
+ *
+ * Frame-accurate embedded video. A plain <video> element plays on its own
+ * clock; VideoClip instead decodes the source with Mediabunny and draws
+ * the exact frame for the current video time onto a <canvas> before each
+ * capture, so it works in the screenshot and html2canvas render paths.
+ *
+ * Usage:
+ *   <VideoClip :src="broll" :start-at="2" :playback-rate="1" class="clip" />
+ */
+
+import { defineComponent, h, ref, watch, onMounted, onBeforeUnmount } from 'vue'
+import * as Mediabunny from 'mediabunny'
+import { onFrame } from './frame-hooks.js'
+
+// One Mediabunny per page: the encoders use this copy instead of injecting
+// their own, and one already on the page is used here. Unlike the injected
+// copy it runs on the virtual clock, which is safe: its only timers are
+// UrlSource's retry delays, and openClip() turns retries off
+function getMediabunny() {
+  window.Mediabunny ??= Mediabunny
+  return window.Mediabunny
+}
+
+/**
+ * Open a video source and prepare a frame sink
+ * @param {string} src - URL of the video (e.g. an imported asset)
+ */
+async function openClip(src) {
+  const { Input, UrlSource, ALL_FORMATS, CanvasSink } = getMediabunny()
+  const input = new Input({
+    // Clips come from the local server; a retry would wait on the virtual
+    // clock, so a failed request fails the clip instead
+    source: new UrlSource(src, { getRetryDelay: () => null }),
+    formats: ALL_FORMATS,
+  })
+
+  const track = await input.getPrimaryVideoTrack()
+  if (!track) {
+    throw new Error(`VideoClip: no video track found in ${src}`)
+  }
+
+  return {
+    input,
+    sink: new CanvasSink(track, { poolSize: 2 }),
+    firstTimestamp: await track.getFirstTimestamp(),
+    endTimestamp: await track.computeDuration(),
+  }
+}
+
+/**
+ * Source timestamp of the frame shown at a video time
+ * @param {number} timeInSeconds - Video time
+ * @param {Object} clip
+ * @param {number} clip.startAt - Video time at which the clip starts playing
+ * @param {number} clip.playbackRate - Source seconds per video second
+ * @param {number} clip.firstTimestamp - Timestamp of the source's first frame
+ * @param {number} clip.endTimestamp - Timestamp at which the source ends
+ * @returns {number|null} null before the clip starts and after it ends
+ */
+export function getSourceTime(
+  timeInSeconds,
+  { startAt, playbackRate, firstTimestamp, endTimestamp },
+) {
+  const sourceTime = firstTimestamp + (timeInSeconds - startAt) * playbackRate
+  if (sourceTime < firstTimestamp || sourceTime >= endTimestamp) return null
+  return sourceTime
+}
+
+export const VideoClip = defineComponent({
+  name: 'VideoClip',
+  props: {
+    // Video URL; import the file so Vite serves it (import clip from './clip.mp4')
+    src: { type: String, required: true },
+    // Video time (seconds) at which the clip starts playing
+    startAt: { type: Number, default: 0 },
+    // Source seconds per video second
+    playbackRate: { type: Number, default: 1 },
+  },
+  setup(props) {
+    const canvasRef = ref(null)
+    let clipPromise = null
+    let unregister = null
+
+    const load = () => {
+      const previous = clipPromise
+      clipPromise = openClip(props.src)
+      previous?.then((clip) => clip.input.dispose?.()).catch(() => {})
+    }
+
+    async function drawFrame(timeInSeconds) {
+      const canvas = canvasRef.value
+      if (!canvas) return
+
+      const { sink, firstTimestamp, endTimestamp } = await clipPromise
+      const ctx = canvas.getContext('2d')
+
+      // Nothing to show before the clip starts or after it ends
+      const sourceTime = getSourceTime(timeInSeconds, {
+        startAt: props.startAt,
+        playbackRate: props.playbackRate,
+        firstTimestamp,
+        endTimestamp,
+      })
+      if (sourceTime === null) {
+        ctx.clearRect(0, 0, canvas.width, canvas.height)
+        return
+      }
+
+      const frame = await sink.getCanvas(sourceTime)
+      if (!frame) return
+
+      if (
+        canvas.width !== frame.canvas.width ||
+        canvas.height !== frame.canvas.height
+      ) {
+        canvas.width = frame.canvas.width
+        canvas.height = frame.canvas.height
+      }
+      ctx.clearRect(0, 0, canvas.width, canvas.height)
+      ctx.drawImage(frame.canvas, 0, 0)
+    }
+
+    load()
+    watch(() => props.src, load)
+
+    onMounted(() => {
+      unregister = onFrame(drawFrame)
+    })
+
+    onBeforeUnmount(() => {
+      unregister?.()
+      clipPromise?.then((clip) => clip.input.dispose?.()).catch(() => {})
+    })
+
+    // Class and style fall through to the canvas, so it can be sized with CSS
+    return () => h('canvas', { ref: canvasRef, class: 'vueseq-video-clip' })
+  },
+})
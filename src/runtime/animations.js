@@ -0,0 +1,125 @@
+/**
+ * CSS & Web Animations - Browser Runtime
+ *
+ * Keeps CSS @keyframes, CSS transitions (including Vue <Transition>
+ * classes) and element.animate() in step with the GSAP timeline.
+ *
+ * Key design decisions:
+ * - Every animation is paused and positioned explicitly on each frame
+ * - An animation's start is the video time at which it was first seen,
+ *   so animations created after mount begin at their own local time 0
+ * - html2canvas re-creates the DOM in an iframe, where animations would
+ *   restart; animated elements are tagged so their current styles can be
+ *   copied onto the clone
+ */
+
+// Video time (seconds) at which each animation was first seen
+const animationStarts = new WeakMap()
+
+// Tagged animated elements, by data-vueseq-animated id
+const animatedElements = new Map()
+let nextElementId = 1
+
+const TIMING_KEYS = new Set(['offset', 'computedOffset', 'easing', 'composite'])
+
+function toCssProperty(name) {
+  if (name.startsWith('--')) return name
+  if (name === 'cssFloat') return 'float'
+  return name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)
+}
+
+/**
+ * CSS properties animated by an animation's keyframes
+ * @param {Animation} animation
+ * @returns {string[]}
+ */
+function getAnimatedProperties(animation) {
+  const properties = new Set()
+  for (const keyframe of animation.effect?.getKeyframes?.() ?? []) {
+    for (const key of Object.keys(keyframe)) {
+      if (!TIMING_KEYS.has(key)) properties.add(toCssProperty(key))
+    }
+  }
+  // CSS transitions list their property as transitionProperty
+  if (animation.transitionProperty) {
+    properties.add(animation.transitionProperty)
+  }
+  return [...properties]
+}
+
+/**
+ * Pause every document animation and move it to the given video time
+ * @param {number} timeInSeconds
+ */
+export function syncAnimations(timeInSeconds) {
+  for (const animation of document.getAnimations()) {
+    // Scroll-driven and other custom timelines aren't time based
+    if (animation.timeline && animation.timeline !== document.timeline) {
+      continue
+    }
+
+    if (!animationStarts.has(animation)) {
+      animationStarts.set(animation, timeInSeconds)
+    }
+
+    animation.pause()
+    animation.currentTime =
+      (timeInSeconds - animationStarts.get(animation)) * 1000
+
+    const target = animation.effect?.target
+    if (target && !target.dataset.vueseqAnimated) {
+      const id = String(nextElementId++)
+      target.dataset.vueseqAnimated = id
+      animatedElements.set(id, target)
+    }
+  }
+
+  // Forget elements that have left the document
+  for (const [id, element] of animatedElements) {
+    if (!element.isConnected) animatedElements.delete(id)
+  }
+}
+
+/**
+ * End time of the longest finite animation, in video seconds
+ * @returns {number} 0 if there are no finite animations
+ */
+export function getAnimationsEndTime() {
+  let end = 0
+  for (const animation of document.getAnimations()) {
+    const endTime = animation.effect?.getComputedTiming?.().endTime
+    // Skip infinite iteration counts
+    if (!Number.isFinite(endTime)) continue
+
+    const start = animationStarts.get(animation) ?? 0
+    end = Math.max(end, start + endTime / 1000)
+  }
+  return end
+}
+
+/**
+ * Copy the current animated styles onto a cloned document (html2canvas
+ * onclone), so the clone shows this frame instead of restarting animations
+ * @param {Document} clonedDocument
+ */
+export function applyAnimatedStyles(clonedDocument) {
+  for (const clone of clonedDocument.querySelectorAll('[data-vueseq-animated]')) {
+    const original = animatedElements.get(clone.dataset.vueseqAnimated)
+    if (!original?.isConnected) continue
+
+    const computed = getComputedStyle(original)
+    for (const animation of original.getAnimations()) {
+      // Pseudo-element animations can't be reached through inline styles
+      if (animation.effect?.pseudoElement) continue
+
+      // !important inline styles win over the clone's own animations
+      for (const property of getAnimatedProperties(animation)) {
+        clone.style.setProperty(
+          property,
+          computed.getPropertyValue(property),
+          'important',
+        )
+      }
+    }
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Audio Registry - Browser Runtime
+ *
+ * Compositions declare sounds on the video timeline; the renderer collects
+ * them, mixes them offline and muxes the result as an audio track.
+ *
+ * Like frame hooks, the registry lives on window so the bridge and
+ * 'vueseq/runtime' always share it.
+ */
+
+import { getSceneStarts } from './scenes.js'
+
+function getRegistry() {
+  window.__VUESEQ_AUDIO__ ??= new Set()
+  return window.__VUESEQ_AUDIO__
+}
+
+/**
+ * Place a sound on the video timeline
+ * @param {Object} track
+ * @param {string} track.src - Audio URL (import the file so Vite serves it)
+ * @param {number} [track.at=0] - Video time in seconds at which it starts
+ * @param {number} [track.volume=1] - Gain (1 = original level)
+ * @param {number} [track.end=Infinity] - Video time in seconds at which it
+ *   is cut off
+ * @returns {() => void} Unregister function
+ */
+export function registerAudio({ src, at = 0, volume = 1, end = Infinity }) {
+  const entry = { src: new URL(src, location.href).href, at, volume, end }
+  const registry = getRegistry()
+  registry.add(entry)
+  return () => registry.delete(entry)
+}
+
+/**
+ * All registered sounds (called by the bridge)
+ * @returns {Array<{src: string, at: number, volume: number, end: number}>}
+ */
+export function getAudioTracks() {
+  return [...getRegistry()]
+}
+
+/**
+ * Every sound of the video, including those declared inside <Sequence>
+ * content, which is only mounted during its scene: seeks to each scene's
+ * start in turn and keeps what registered there. Nested scenes are found
+ * as their parents mount.
+ *
+ * This moves the page through the video, so the renderer runs it in a page
+ * of its own, never in one that captures frames.
+ * @param {(timeInSeconds: number) => Promise<void>} seek
+ * @returns {Promise<Array<{src: string, at: number, volume: number, end: number}>>}
+ */
+export async function collectAudioTracks(seek) {
+  const tracks = new Set(getAudioTracks())
+  let time = 0
+  while (true) {
+    const later = getSceneStarts().filter(
+      (start) => start > time && Number.isFinite(start),
+    )
+    if (later.length === 0) return [...tracks]
+
+    time = Math.min(...later)
+    await seek(time)
+    for (const track of getAudioTracks()) tracks.add(track)
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Frame Hooks - Browser Runtime
+ *
+ * Lets runtime components do async work for each rendered frame (decode a
+ * video frame, draw a canvas) before the frame is captured.
+ *
+ * Hooks live on window rather than in module state, so the bridge and a
+ * component importing 'vueseq/runtime' share them even if Vite serves the
+ * runtime from a pre-bundled copy.
+ */
+
+function getHooks() {
+  window.__VUESEQ_FRAME_HOOKS__ ??= new Set()
+  return window.__VUESEQ_FRAME_HOOKS__
+}
+
+/**
+ * Register a callback that runs for every rendered frame. The renderer
+ * waits for the returned promise before capturing.
+ * @param {(timeInSeconds: number) => Promise<void>|void} callback
+ * @returns {() => void} Unregister function
+ */
+export function onFrame(callback) {
+  const hooks = getHooks()
+  hooks.add(callback)
+  return () => hooks.delete(callback)
+}
+
+/**
+ * Run all frame hooks for a video time (called by the bridge)
+ * @param {number} timeInSeconds
+ * @returns {Promise<void>}
+ */
+export async function runFrameHooks(timeInSeconds) {
+  await Promise.all([...getHooks()].map((callback) => callback(timeInSeconds)))
+}
@@ -7,10 +7,30 @@
  * Key design decisions:
  * - We pause globalTimeline to freeze ALL animations
  * - seek() with suppressEvents=true prevents callbacks from firing
+ * - A virtual clock freezes rAF, timers, Date, performance.now() and
+ *   Math.random so non-GSAP code is just as deterministic
+ * - CSS animations and Web Animations are paused and positioned alongside
+ * - Frames wait for fonts, images, <Suspense> and delayRender() handles
+ * - <Sequence> scenes mount with their time window and own a timeline
  * - The user writes standard GSAP code; no special composables needed
  */
 
 import gsap from 'gsap'
+import { installVirtualClock } from './virtual-clock.js'
+import {
+  syncAnimations,
+  getAnimationsEndTime,
+  applyAnimatedStyles,
+} from './animations.js'
+import { runFrameHooks } from './frame-hooks.js'
+import { getAudioTracks, collectAudioTracks } from './audio.js'
+import { waitForRender } from './readiness.js'
+import {
+  installSceneAdoption,
+  updateScenes,
+  takeAdoptedAnimations,
+  getSceneStarts,
+} from './scenes.js'
 
 // 1. Pause all animations immediately
 gsap.globalTimeline.pause()
@@ -18,36 +38,134 @@ gsap.globalTimeline.pause()
 // 2. Disable lag smoothing (ensures consistent timing)
 gsap.ticker.lagSmoothing(0)
 
-// 3. Expose seek function to Playwright
-// This is the core function that enables deterministic rendering
-window.__VUESEQ_SEEK__ = (timeInSeconds) => {
+// Animations created inside a <Sequence> belong to its timeline
+installSceneAdoption(gsap)
+
+// 3. Freeze every other time source until the renderer seeks.
+// This runs before the user's component module is evaluated.
+const clock = installVirtualClock()
+
+// The renderer's own waiting (paint, injected libraries) needs real time
+window.__VUESEQ_REAL_TIMERS__ = clock.real
+
+// Let Vue's scheduler and other microtask work land in the DOM
+function flushPendingUpdates() {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel()
+    channel.port1.onmessage = () => resolve()
+    channel.port2.postMessage(null)
+  })
+}
+
+// Bring every time source to one video frame
+async function applyFrame(timeInSeconds) {
+  // <Sequence> content for this time mounts with the next Vue update
+  updateScenes(timeInSeconds)
+
   // suppressEvents = true prevents onComplete/onUpdate callbacks from firing
   gsap.globalTimeline.seek(timeInSeconds, true)
+
+  // CSS animations only exist once styles are recalculated for new DOM
+  await flushPendingUpdates()
+
+  // Scenes mounted by this update created animations after the seek
+  if (takeAdoptedAnimations()) {
+    gsap.globalTimeline.render(timeInSeconds, true, true)
+  }
+  syncAnimations(timeInSeconds)
+}
+
+// 4. Expose seek function to Playwright
+// This is the core function that enables deterministic rendering.
+// Resolves after the browser has painted the new state.
+window.__VUESEQ_SEEK__ = async (timeInSeconds) => {
+  // Timers and rAF fire first so their side effects land in this frame;
+  // GSAP and CSS animations follow the clock through every visited frame
+  await clock.advanceTo(
+    timeInSeconds,
+    window.__VUESEQ_CONFIG__?.fps,
+    applyFrame,
+  )
+
+  // Async per-frame work from runtime components (e.g. <VideoClip> decoding)
+  await runFrameHooks(timeInSeconds)
+
+  // Fonts and images the new frame uses, <Suspense> and delayRender()
+  await waitForRender()
+
+  // Wait for a real animation frame to ensure the DOM is painted
+  await new Promise((resolve) => clock.real.requestAnimationFrame(resolve))
 }
 
-// 4. Signal ready state
+// html2canvas onclone hook: keep animated styles in the cloned DOM
+window.__VUESEQ_APPLY_ANIMATED_STYLES__ = applyAnimatedStyles
+
+// 5. Signal ready state. The entry module sets it once the app is mounted,
+// which may be after an async setup file, and the page is ready to render.
 window.__VUESEQ_READY__ = false
+window.__VUESEQ_WAIT_FOR_RENDER__ = waitForRender
 
-// 5. Store video config for external access
+// 6. Store video config for external access (fps drives the virtual clock)
 window.__VUESEQ_CONFIG__ = null
 
 window.__VUESEQ_SET_CONFIG__ = (config) => {
   window.__VUESEQ_CONFIG__ = config
 }
 
-// 6. Expose timeline duration for auto-detection
+// 7. Expose timeline duration for auto-detection. A duration the
+// composition declares (see __VUESEQ_METADATA__ in the entry module) wins,
+// which is the only way to render timelines with repeat: -1.
 window.__VUESEQ_GET_DURATION__ = () => {
+  const { duration: declared, durationFromLabel } =
+    window.__VUESEQ_METADATA__ ?? {}
+  if (declared > 0) return declared
+  if (durationFromLabel) {
+    const label = window
+      .__VUESEQ_GET_LABELS__()
+      .find(({ name }) => name === durationFromLabel)
+    if (!label) {
+      throw new Error(
+        `durationFromLabel: no GSAP timeline has a label "${durationFromLabel}"`,
+      )
+    }
+    return label.time
+  }
+
   const duration = gsap.globalTimeline.duration()
   // Return null for infinite timelines (repeat: -1)
   if (duration === Infinity || duration > 3600) {
     return null
   }
-  return duration
+  // The longest finite CSS/Web Animation can outlast the GSAP timeline
+  return Math.max(duration, getAnimationsEndTime())
 }
 
-// 7. Mark as ready after a microtask to ensure Vue is mounted
-queueMicrotask(() => {
-  window.__VUESEQ_READY__ = true
-})
+// 8. Expose GSAP labels of every nested timeline, in globalTimeline time
+// (preview markers). A timeline's local time t is at offset + t * scale.
+function collectLabels(timeline, offset, scale, labels) {
+  for (const [name, time] of Object.entries(timeline.labels ?? {})) {
+    labels.push({ name, time: offset + time * scale })
+  }
+  for (const child of timeline.getChildren(false, false, true)) {
+    collectLabels(
+      child,
+      offset + child.startTime() * scale,
+      scale / child.timeScale(),
+      labels,
+    )
+  }
+  return labels
+}
+
+window.__VUESEQ_GET_LABELS__ = () =>
+  collectLabels(gsap.globalTimeline, 0, 1, []).sort((a, b) => a.time - b.time)
+
+// 9. Expose declared sounds (<SeqAudio>, registerAudio) for mixing. Sounds
+// inside <Sequence> content are only found by visiting the scenes, which
+// moves the page through the video (see collectAudioTracks()).
+window.__VUESEQ_GET_AUDIO__ = getAudioTracks
+window.__VUESEQ_HAS_SCENES__ = () => getSceneStarts().length > 0
+window.__VUESEQ_COLLECT_AUDIO__ = () =>
+  collectAudioTracks((time) => window.__VUESEQ_SEEK__(time))
 
 export { gsap }
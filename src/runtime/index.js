@@ -0,0 +1,13 @@
+/**
+ * VueSeq - Browser Runtime API
+ *
+ * Components and helpers for use inside video compositions:
+ *   import { VideoClip } from 'vueseq/runtime'
+ */
+
+export { VideoClip } from './VideoClip.js'
+export { SeqAudio } from './SeqAudio.js'
+export { Sequence, Series } from './Sequence.js'
+export { onFrame } from './frame-hooks.js'
+export { registerAudio } from './audio.js'
+export { delayRender, continueRender } from './readiness.js'
@@ -0,0 +1,57 @@
+/**
+ * Preview Hot Updates - Browser Runtime
+ *
+ * Loaded into the composition page when it runs inside the preview player.
+ * Keeps hot module replacement compatible with the paused, seek-driven
+ * timeline and tells the player when to restore its position.
+ *
+ * Key design decisions:
+ * - The composition is rewound to 0 before an update, so timelines
+ *   re-created by a remount start where they would on first mount
+ * - Timelines whose targets were all removed by the remount are killed,
+ *   so they no longer count towards the duration
+ * - Full reloads happen immediately: Vite debounces them with setTimeout,
+ *   which the virtual clock holds
+ */
+
+import gsap from 'gsap'
+
+// Kill top-level animations that only target elements no longer in the DOM
+function pruneDetachedAnimations() {
+  for (const child of gsap.globalTimeline.getChildren(false, true, true)) {
+    const tweens = child.getChildren
+      ? child.getChildren(true, true, false)
+      : [child]
+    const targets = tweens.flatMap((tween) => tween.targets())
+    const detached =
+      targets.length > 0 &&
+      targets.every(
+        (target) => target instanceof Element && !target.isConnected,
+      )
+    if (detached) child.kill()
+  }
+}
+
+/**
+ * Install the hot update handlers
+ * @param {Object} hot - The entry module's import.meta.hot
+ */
+export function installPreviewHot(hot) {
+  hot.on('vite:beforeUpdate', () => {
+    // The time sources move synchronously, before the new modules load
+    window.__VUESEQ_SEEK__(0)
+  })
+
+  hot.on('vite:afterUpdate', async () => {
+    // Let Vue finish remounting before looking for orphaned timelines
+    await new Promise((resolve) =>
+      window.__VUESEQ_REAL_TIMERS__.requestAnimationFrame(resolve),
+    )
+    pruneDetachedAnimations()
+    window.parent.postMessage({ type: 'vueseq:hot-updated' }, location.origin)
+  })
+
+  hot.on('vite:beforeFullReload', () => {
+    location.reload()
+  })
+}
@@ -0,0 +1,275 @@
+/**
+ * Preview Player - Browser Runtime
+ *
+ * The `vueseq preview` page. The composition runs unchanged in an iframe
+ * at its video size (so viewport units and fixed positioning behave as in
+ * a render), scaled to fit the window. The player drives it only through
+ * the bridge: __VUESEQ_SEEK__ for every frame shown, __VUESEQ_GET_DURATION__
+ * and __VUESEQ_GET_LABELS__ for the scrubber.
+ *
+ * Key design decisions:
+ * - The player page has no virtual clock; playback follows real time and
+ *   drops frames when seeking can't keep up
+ * - Seeks are serialized and coalesced, the newest target wins
+ * - The frame position lives in the player, so hot updates and reloads of
+ *   the composition return to it (and sessionStorage keeps it across
+ *   reloads of the player itself)
+ */
+
+const STORAGE_KEY = 'vueseq:preview-frame'
+
+const STYLES = `
+  html, body { margin: 0; height: 100%; background: #18181b; color: #e4e4e7;
+    font: 13px/1.4 system-ui, sans-serif; }
+  .vs-player { display: flex; flex-direction: column; height: 100%; }
+  .vs-viewport { flex: 1; min-height: 0; display: flex; align-items: center;
+    justify-content: center; overflow: hidden; padding: 16px; }
+  .vs-stage { position: relative; flex: none; box-shadow: 0 0 0 1px #3f3f46; }
+  .vs-stage.vs-transparent { background: repeating-conic-gradient(#3f3f46 0 25%,
+    #27272a 0 50%) 0 0 / 20px 20px; }
+  .vs-stage iframe { position: absolute; top: 0; left: 0; border: 0;
+    transform-origin: 0 0; }
+  .vs-controls { display: flex; align-items: center; gap: 12px;
+    padding: 10px 16px 14px; background: #09090b; }
+  .vs-play { width: 36px; height: 28px; border: 0; border-radius: 4px;
+    background: #3f3f46; color: inherit; font-size: 14px; cursor: pointer; }
+  .vs-track { position: relative; flex: 1; padding-top: 14px; }
+  .vs-scrubber { width: 100%; margin: 0; }
+  .vs-markers { position: absolute; top: 0; left: 0; right: 0; height: 14px; }
+  .vs-marker { position: absolute; top: 0; width: 2px; height: 12px;
+    transform: translateX(-1px); padding: 0; border: 0; background: #f59e0b;
+    cursor: pointer; }
+  .vs-readout, .vs-info { font-variant-numeric: tabular-nums;
+    white-space: nowrap; color: #a1a1aa; }
+`
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60)
+  const rest = (seconds - minutes * 60).toFixed(2).padStart(5, '0')
+  return `${String(minutes).padStart(2, '0')}:${rest}`
+}
+
+function createElement(tag, className, parent) {
+  const element = document.createElement(tag)
+  if (className) element.className = className
+  parent?.append(element)
+  return element
+}
+
+/**
+ * Start the preview player
+ * @param {Object} options
+ * @param {string} options.src - Composition page URL
+ * @param {number} options.width - Video width in pixels
+ * @param {number} options.height - Video height in pixels
+ * @param {number} options.fps - Frames per second
+ * @param {number} [options.duration] - Duration in seconds (overrides the
+ *   detected timeline duration)
+ * @param {boolean} [options.transparent=false] - Show a checkerboard
+ *   behind the composition
+ */
+export function startPreview(options) {
+  const { src, width, height, fps, duration, transparent = false } = options
+
+  // ─── Layout ───────────────────────────────────────────────────────────
+
+  createElement('style', null, document.head).textContent = STYLES
+
+  const player = createElement('div', 'vs-player', document.body)
+  const viewport = createElement('div', 'vs-viewport', player)
+  const stage = createElement('div', 'vs-stage', viewport)
+  stage.classList.toggle('vs-transparent', transparent)
+
+  const iframe = createElement('iframe', null, stage)
+  iframe.width = width
+  iframe.height = height
+
+  const controls = createElement('div', 'vs-controls', player)
+  const playButton = createElement('button', 'vs-play', controls)
+  playButton.title = 'Play/pause (space)'
+  const track = createElement('div', 'vs-track', controls)
+  const markers = createElement('div', 'vs-markers', track)
+  const scrubber = createElement('input', 'vs-scrubber', track)
+  scrubber.type = 'range'
+  scrubber.min = 0
+  scrubber.step = 1
+  const readout = createElement('span', 'vs-readout', controls)
+  createElement('span', 'vs-info', controls).textContent =
+    `${width}×${height} · ${fps} fps`
+
+  function fitStage() {
+    const scale = Math.min(
+      (viewport.clientWidth - 32) / width,
+      (viewport.clientHeight - 32) / height,
+      1,
+    )
+    stage.style.width = `${width * scale}px`
+    stage.style.height = `${height * scale}px`
+    iframe.style.transform = `scale(${scale})`
+  }
+  window.addEventListener('resize', fitStage)
+  fitStage()
+
+  // ─── State ────────────────────────────────────────────────────────────
+
+  let frame = Number(sessionStorage.getItem(STORAGE_KEY)) || 0
+  let totalFrames = 1
+  let playing = false
+  let composition = null // The iframe's window once the bridge is ready
+  let connection = 0 // Counts composition page loads
+
+  function render() {
+    scrubber.max = totalFrames - 1
+    scrubber.value = frame
+    playButton.textContent = playing ? '❚❚' : '▶'
+    readout.textContent =
+      `${formatTime(frame / fps)} · frame ${frame} / ${totalFrames - 1}`
+  }
+
+  // ─── Seeking ──────────────────────────────────────────────────────────
+
+  let pendingFrame = null
+  let seeking = null
+
+  async function runSeeks(loaded) {
+    // Stops when the page reloads; its last seek may never resolve
+    while (loaded === connection && pendingFrame !== null) {
+      const next = pendingFrame
+      pendingFrame = null
+      await composition.__VUESEQ_SEEK__(next / fps)
+    }
+  }
+
+  // Show a frame; overlapping requests collapse into the newest
+  function seekTo(target) {
+    frame = Math.min(Math.max(0, Math.round(target)), totalFrames - 1)
+    sessionStorage.setItem(STORAGE_KEY, String(frame))
+    render()
+
+    pendingFrame = frame
+    if (composition && !seeking) {
+      const current = runSeeks(connection).finally(() => {
+        if (seeking === current) seeking = null
+      })
+      seeking = current
+    }
+    return seeking
+  }
+
+  // ─── Timeline ─────────────────────────────────────────────────────────
+
+  function readTimeline() {
+    let detected = null
+    try {
+      detected = composition.__VUESEQ_GET_DURATION__?.()
+    } catch (error) {
+      // e.g. a durationFromLabel label that was just renamed
+      console.error(error)
+    }
+    const seconds = duration || detected || 10
+    totalFrames = Math.max(1, Math.ceil(seconds * fps))
+
+    markers.replaceChildren()
+    const labels = composition.__VUESEQ_GET_LABELS__?.() ?? []
+    for (const { name, time } of labels) {
+      const labelFrame = Math.round(time * fps)
+      if (labelFrame < 0 || labelFrame >= totalFrames) continue
+      const marker = createElement('button', 'vs-marker', markers)
+      marker.title = `${name} (${formatTime(time)}, frame ${labelFrame})`
+      marker.style.left = `${(labelFrame / Math.max(1, totalFrames - 1)) * 100}%`
+      marker.addEventListener('click', () => {
+        pause()
+        seekTo(labelFrame)
+      })
+    }
+  }
+
+  async function connect() {
+    const loaded = ++connection
+    composition = null
+    seeking = null
+
+    const frameWindow = iframe.contentWindow
+    while (frameWindow.__VUESEQ_READY__ !== true) {
+      await new Promise((resolve) => requestAnimationFrame(resolve))
+      // Reloaded again while waiting
+      if (loaded !== connection) return
+    }
+
+    // Same frame stepping as a render, so timers and rAF code match it
+    frameWindow.__VUESEQ_SET_CONFIG__({ width, height, fps })
+    composition = frameWindow
+    readTimeline()
+    await seekTo(frame)
+  }
+
+  // A full reload of the composition page (hot update that can't be applied)
+  iframe.addEventListener('load', connect)
+
+  // Hot update applied in place: the composition rewound itself to 0
+  window.addEventListener('message', (event) => {
+    if (event.source !== iframe.contentWindow) return
+    if (event.data?.type !== 'vueseq:hot-updated' || !composition) return
+    readTimeline()
+    seekTo(frame)
+  })
+
+  // ─── Playback ─────────────────────────────────────────────────────────
+
+  let playStart = 0
+  let playStartFrame = 0
+
+  function play() {
+    if (playing) return
+    playing = true
+    if (frame >= totalFrames - 1) seekTo(0)
+    playStart = performance.now()
+    playStartFrame = frame
+    render()
+    requestAnimationFrame(tick)
+  }
+
+  function pause() {
+    playing = false
+    render()
+  }
+
+  function tick(now) {
+    if (!playing) return
+    const elapsed = (now - playStart) / 1000
+    let target = playStartFrame + Math.floor(elapsed * fps)
+    if (target >= totalFrames) {
+      // Loop from the start
+      playStart = now
+      playStartFrame = 0
+      target = 0
+    }
+    // Only seek when the last one has finished; slow frames are skipped
+    if (target !== frame && !seeking) seekTo(target)
+    requestAnimationFrame(tick)
+  }
+
+  playButton.addEventListener('click', () => (playing ? pause() : play()))
+
+  scrubber.addEventListener('input', () => {
+    pause()
+    seekTo(Number(scrubber.value))
+  })
+
+  window.addEventListener('keydown', (event) => {
+    if (event.target instanceof HTMLInputElement && event.target !== scrubber) {
+      return
+    }
+    if (event.key === ' ') {
+      event.preventDefault()
+      playing ? pause() : play()
+    } else if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+      event.preventDefault()
+      pause()
+      seekTo(frame + (event.key === 'ArrowLeft' ? -1 : 1))
+    }
+  })
+
+  render()
+  iframe.src = src
+}
@@ -0,0 +1,149 @@
+/**
+ * Render Readiness - Browser Runtime
+ *
+ * Holds frame capture until the page has what it needs: web fonts, image
+ * decoding and any work a composition announces with delayRender() (data
+ * fetched in setup, async components behind <Suspense>).
+ *
+ * Usage:
+ *   const handle = delayRender('Loading stats')
+ *   stats.value = await fetch('/stats.json').then((r) => r.json())
+ *   continueRender(handle)
+ *
+ * Handles live on window rather than in module state, so the bridge and a
+ * component importing 'vueseq/runtime' share them even if Vite serves the
+ * runtime from a pre-bundled copy.
+ */
+
+// Below the renderers' 30s wait for the page, so the error that fails the
+// render names the handle instead of being a generic timeout
+const DEFAULT_TIMEOUT = 20000
+
+function getState() {
+  window.__VUESEQ_DELAYS__ ??= {
+    nextHandle: 1,
+    pending: new Map(),
+    waiters: new Set(),
+  }
+  return window.__VUESEQ_DELAYS__
+}
+
+// Real timers: the virtual clock's setTimeout only fires when seeking
+function realTimers() {
+  return window.__VUESEQ_REAL_TIMERS__
+}
+
+function wake(state) {
+  for (const resolve of state.waiters) resolve()
+  state.waiters.clear()
+}
+
+/**
+ * Hold rendering until continueRender() is called with the returned handle
+ *
+ * The video's clock stands still while rendering is held (before the first
+ * frame too), so setTimeout(), setInterval() and requestAnimationFrame()
+ * callbacks never fire in the meantime. Wait on the work itself, such as a
+ * fetch() or a promise, and not on a timer.
+ * @param {string} [label] - Shown in the error if it is never continued
+ * @param {Object} [options]
+ * @param {number} [options.timeout=20000] - Milliseconds before the render
+ *   fails
+ * @returns {number} Handle for continueRender()
+ */
+export function delayRender(label = 'delayRender()', options = {}) {
+  const { timeout = DEFAULT_TIMEOUT } = options
+  const state = getState()
+  const handle = state.nextHandle++
+  state.pending.set(handle, {
+    label,
+    deadline: realTimers().now() + timeout,
+    timeout,
+  })
+  return handle
+}
+
+/**
+ * Release a handle returned by delayRender()
+ * @param {number} handle
+ */
+export function continueRender(handle) {
+  const state = getState()
+  if (!state.pending.delete(handle)) {
+    throw new Error(`continueRender(): unknown or released handle ${handle}`)
+  }
+  wake(state)
+}
+
+// Resolves once no <img> is still loading; broken images don't block
+function imagesDecoded() {
+  const loading = [...document.images].filter(
+    (img) => !img.complete && img.loading !== 'lazy',
+  )
+  return Promise.all(loading.map((img) => img.decode().catch(() => {})))
+}
+
+/**
+ * Wait for fonts, images and every delayRender() handle (called by the
+ * bridge after mount and after each seek)
+ * @param {Object} [options]
+ * @param {number} [options.timeout=20000] - Milliseconds to wait for fonts
+ *   and images
+ * @returns {Promise<void>} Rejects naming what didn't become ready
+ */
+export async function waitForRender(options = {}) {
+  const { timeout = DEFAULT_TIMEOUT } = options
+  const real = realTimers()
+  const state = getState()
+  const deadline = real.now() + timeout
+
+  while (true) {
+    // Layout starts loading the fonts new text uses
+    void document.body?.offsetHeight
+
+    let timer
+    const assets = Promise.all([document.fonts.ready, imagesDecoded()])
+    const expired = new Promise((resolve) => {
+      timer = real.setTimeout(resolve, deadline - real.now(), 'expired')
+    })
+    const result = await Promise.race([assets, expired])
+    real.clearTimeout(timer)
+    if (result === 'expired') {
+      throw new Error(`Fonts or images were not ready within ${timeout}ms`)
+    }
+
+    const now = real.now()
+    const handles = [...state.pending.values()]
+    for (const { label, deadline: handleDeadline, timeout } of handles) {
+      if (now >= handleDeadline) {
+        throw new Error(
+          `delayRender("${label}") was not continued within ${timeout}ms. Timers and requestAnimationFrame() don't run while rendering is held; continueRender() must not wait on them`,
+        )
+      }
+    }
+
+    // Settled, unless finishing the work changed the DOM again
+    if (handles.length === 0) {
+      const settled =
+        document.fonts.status === 'loaded' &&
+        [...document.images].every(
+          (img) => img.complete || img.loading === 'lazy',
+        )
+      if (settled) return
+      await new Promise((resolve) => real.requestAnimationFrame(resolve))
+      continue
+    }
+
+    // Wake on the next continueRender() or the earliest handle deadline
+    const nextDeadline = Math.min(...handles.map((entry) => entry.deadline))
+    await new Promise((resolve) => {
+      const timer = real.setTimeout(wakeUp, nextDeadline - now)
+      function wakeUp() {
+        real.clearTimeout(timer)
+        state.waiters.delete(wakeUp)
+        resolve()
+      }
+      state.waiters.add(wakeUp)
+    })
+  }
+}
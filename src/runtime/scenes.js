@@ -0,0 +1,88 @@
+/**
+ * Scene Registry - Browser Runtime
+ *
+ * Backs <Sequence> and <Series>: every mounted Sequence registers a scene
+ * with its time window and GSAP timeline. The bridge activates scenes for
+ * each frame, and animations created by components inside a scene are
+ * moved into the scene's timeline, so their time 0 is the scene's start.
+ *
+ * Like frame hooks, the registry lives on window so the bridge and
+ * 'vueseq/runtime' always share it.
+ */
+
+import { getCurrentInstance, inject } from 'vue'
+
+export const SCENE_KEY = Symbol.for('vueseq:scene')
+
+// gsap methods that create top-level animations
+const CREATE_METHODS = ['to', 'from', 'fromTo', 'set', 'timeline', 'delayedCall']
+
+function getState() {
+  window.__VUESEQ_SCENES__ ??= { scenes: new Set(), adopted: false }
+  return window.__VUESEQ_SCENES__
+}
+
+/**
+ * Register a scene
+ * @param {{ update: (timeInSeconds: number) => void }} scene
+ * @returns {() => void} Unregister function
+ */
+export function registerScene(scene) {
+  const { scenes } = getState()
+  scenes.add(scene)
+  return () => scenes.delete(scene)
+}
+
+/**
+ * Start times of the mounted scenes (a nested Sequence is only known once
+ * its parent's content is mounted)
+ * @returns {number[]} Video times in seconds
+ */
+export function getSceneStarts() {
+  return [...getState().scenes].map((scene) => scene.start)
+}
+
+/**
+ * Mount and unmount scene contents for a video time (called by the bridge
+ * before it seeks, so Vue renders the change with the frame)
+ * @param {number} timeInSeconds
+ */
+export function updateScenes(timeInSeconds) {
+  for (const scene of getState().scenes) scene.update(timeInSeconds)
+}
+
+/**
+ * Whether animations were moved into a scene since the last call. They
+ * were created after the seek, so the frame has to be rendered again.
+ * @returns {boolean}
+ */
+export function takeAdoptedAnimations() {
+  const state = getState()
+  const adopted = state.adopted
+  state.adopted = false
+  return adopted
+}
+
+/**
+ * Move animations that components inside a <Sequence> create at the top
+ * level into the Sequence's timeline, positioned as if the scene mounted
+ * exactly at its start (a worker that jumps into the middle of a scene
+ * renders the same frame)
+ * @param {Object} gsap
+ */
+export function installSceneAdoption(gsap) {
+  for (const method of CREATE_METHODS) {
+    const create = gsap[method]
+    gsap[method] = function (...args) {
+      const animation = create.apply(this, args)
+      // Only from setup and lifecycle hooks is the creating component known
+      const scene = getCurrentInstance() ? inject(SCENE_KEY, null) : null
+      if (scene && animation.parent === gsap.globalTimeline) {
+        // The delay is kept: add() offsets the position by it
+        scene.timeline.add(animation, 0)
+        getState().adopted = true
+      }
+      return animation
+    }
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * Virtual Clock - Browser Runtime
+ *
+ * Replaces the page's time sources with a clock that only moves when the
+ * renderer seeks, so code driven by requestAnimationFrame, timers, Date,
+ * performance.now() or Math.random() renders the same on every run and in
+ * every parallel worker.
+ *
+ * Key design decisions:
+ * - Time starts at 0 and stays frozen until advanceTo() is called
+ * - When the frame rate is known, the clock steps through every skipped
+ *   frame, so a worker jumping from frame 3 to frame 7 runs the same
+ *   callbacks as one that rendered frames 4, 5 and 6
+ * - The real functions stay available for the renderer's own waiting
+ */
+
+// Fixed wall-clock origin for Date (2024-01-01T00:00:00Z)
+const DEFAULT_EPOCH = 1704067200000
+const DEFAULT_SEED = 0x5eed
+
+// Guard against timers that keep rescheduling themselves at the same time
+const MAX_TIMERS_PER_ADVANCE = 100000
+
+/**
+ * Small, fast seeded PRNG (mulberry32)
+ * @param {number} seed
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Install the virtual clock on window
+ * @param {Object} [options]
+ * @param {number} [options.epoch] - Date.now() value at time 0
+ * @param {number} [options.seed] - Math.random seed
+ * @returns {{ now: () => number, advanceTo: (timeInSeconds: number, fps?: number, onFrame?: function) => Promise<void>, real: Object }}
+ */
+export function installVirtualClock(options = {}) {
+  const { epoch = DEFAULT_EPOCH, seed = DEFAULT_SEED } = options
+
+  const real = {
+    Date: window.Date,
+    now: performance.now.bind(performance),
+    random: Math.random,
+    setTimeout: window.setTimeout.bind(window),
+    clearTimeout: window.clearTimeout.bind(window),
+    setInterval: window.setInterval.bind(window),
+    clearInterval: window.clearInterval.bind(window),
+    requestAnimationFrame: window.requestAnimationFrame.bind(window),
+    cancelAnimationFrame: window.cancelAnimationFrame.bind(window),
+  }
+
+  // Current virtual time in milliseconds since the start of the video
+  let now = 0
+  let started = false
+  let nextId = 1
+  const timers = new Map()
+  let frameCallbacks = new Map()
+
+  // ─── Timers ───────────────────────────────────────────────────────────
+
+  function addTimer(handler, delay, args, repeat) {
+    const callback =
+      typeof handler === 'function' ? handler : () => (0, eval)(String(handler))
+    const interval = Math.max(0, Number(delay) || 0)
+    const id = nextId++
+    timers.set(id, {
+      id,
+      callback,
+      args,
+      time: now + interval,
+      // Zero-delay intervals would never let time move forward
+      interval: repeat ? Math.max(interval, 1) : null,
+    })
+    return id
+  }
+
+  window.setTimeout = (handler, delay, ...args) =>
+    addTimer(handler, delay, args, false)
+  window.setInterval = (handler, delay, ...args) =>
+    addTimer(handler, delay, args, true)
+  window.clearTimeout = (id) => {
+    timers.delete(id)
+  }
+  window.clearInterval = window.clearTimeout
+
+  function nextDueTimer(limit) {
+    let next = null
+    for (const timer of timers.values()) {
+      if (timer.time > limit) continue
+      if (
+        !next ||
+        timer.time < next.time ||
+        (timer.time === next.time && timer.id < next.id)
+      ) {
+        next = timer
+      }
+    }
+    return next
+  }
+
+  function runTimersUntil(limit) {
+    let fired = 0
+    let timer
+    while ((timer = nextDueTimer(limit))) {
+      if (++fired > MAX_TIMERS_PER_ADVANCE) {
+        throw new Error(
+          'VueSeq virtual clock: too many timers fired in one frame (runaway setTimeout/setInterval loop?)',
+        )
+      }
+
+      now = timer.time
+      if (timer.interval !== null) {
+        timer.time += timer.interval
+      } else {
+        timers.delete(timer.id)
+      }
+
+      try {
+        timer.callback(...timer.args)
+      } catch (error) {
+        reportError(error)
+      }
+    }
+  }
+
+  // ─── Animation frames ─────────────────────────────────────────────────
+
+  window.requestAnimationFrame = (callback) => {
+    const id = nextId++
+    frameCallbacks.set(id, callback)
+    return id
+  }
+  window.cancelAnimationFrame = (id) => {
+    frameCallbacks.delete(id)
+  }
+
+  function runAnimationFrame() {
+    // Callbacks requested during this frame run on the next one
+    const callbacks = frameCallbacks
+    frameCallbacks = new Map()
+    for (const callback of callbacks.values()) {
+      try {
+        callback(now)
+      } catch (error) {
+        reportError(error)
+      }
+    }
+  }
+
+  // ─── Date, performance.now, Math.random ───────────────────────────────
+
+  const RealDate = real.Date
+  function VirtualDate(...args) {
+    // Date() called as a function returns a string
+    if (!new.target) return new RealDate(epoch + now).toString()
+    return args.length === 0 ? new RealDate(epoch + now) : new RealDate(...args)
+  }
+  VirtualDate.prototype = RealDate.prototype
+  VirtualDate.now = () => epoch + now
+  VirtualDate.parse = RealDate.parse
+  VirtualDate.UTC = RealDate.UTC
+  window.Date = VirtualDate
+
+  Object.defineProperty(performance, 'now', {
+    value: () => now,
+    configurable: true,
+    writable: true,
+  })
+
+  Math.random = createRandom(seed)
+
+  // ─── Advancing ────────────────────────────────────────────────────────
+
+  function stepTo(target) {
+    runTimersUntil(target)
+    now = target
+    started = true
+    runAnimationFrame()
+  }
+
+  /**
+   * Move the clock to an exact video time, firing due timers in order and
+   * one animation frame per video frame
+   * @param {number} timeInSeconds
+   * @param {number} [fps] - Frame rate used to step through skipped frames
+   * @param {(timeInSeconds: number) => Promise<void>|void} [onFrame] - Called
+   *   after every visited frame so other time sources can follow the clock
+   */
+  async function advanceTo(timeInSeconds, fps, onFrame) {
+    const target = timeInSeconds * 1000
+
+    if (target < now) {
+      // Seeking backwards (e.g. scrubbing): jump without replaying timers
+      now = target
+      runAnimationFrame()
+      await onFrame?.(timeInSeconds)
+      return
+    }
+
+    if (fps > 0) {
+      // Visit every skipped frame at exactly the time a sequential render
+      // would have used, so all workers reach the same state
+      const fromFrame = started
+        ? Math.floor(Math.round((now / 1000) * fps * 1e6) / 1e6)
+        : -1
+      const toFrame = Math.ceil(Math.round(timeInSeconds * fps * 1e6) / 1e6)
+      for (let frame = fromFrame + 1; frame < toFrame; frame++) {
+        stepTo((frame / fps) * 1000)
+        await onFrame?.(frame / fps)
+      }
+    }
+
+    stepTo(target)
+    await onFrame?.(timeInSeconds)
+  }
+
+  return {
+    now: () => now,
+    advanceTo,
+    real,
+  }
+}
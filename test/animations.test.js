@@ -0,0 +1,162 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  syncAnimations,
+  getAnimationsEndTime,
+  applyAnimatedStyles,
+} from '../src/runtime/animations.js'
+
+// A document whose animations the tests add and remove
+let animations = []
+globalThis.document = {
+  timeline: {},
+  getAnimations: () => animations,
+}
+globalThis.getComputedStyle = (element) => ({
+  getPropertyValue: (property) => element.computed[property] ?? '',
+})
+
+function createElement(computed = {}) {
+  const element = {
+    dataset: {},
+    isConnected: true,
+    computed,
+    getAnimations: () =>
+      animations.filter((animation) => animation.effect.target === element),
+  }
+  return element
+}
+
+// Stands in for CSSAnimation, CSSTransition and element.animate()
+function createAnimation({
+  target = createElement(),
+  keyframes = [],
+  endTime = 1000,
+  timeline = document.timeline,
+  ...rest
+} = {}) {
+  const animation = {
+    timeline,
+    paused: false,
+    currentTime: null,
+    effect: {
+      target,
+      getKeyframes: () => keyframes,
+      getComputedTiming: () => ({ endTime }),
+    },
+    pause() {
+      this.paused = true
+    },
+    ...rest,
+  }
+  animations.push(animation)
+  return animation
+}
+
+beforeEach(() => {
+  animations = []
+})
+
+test('animations are paused at the video time', () => {
+  const first = createAnimation()
+  syncAnimations(0)
+  assert.equal(first.paused, true)
+  assert.equal(first.currentTime, 0)
+
+  syncAnimations(1.5)
+  assert.equal(first.currentTime, 1500)
+
+  // Created after mount: its local time starts where it was first seen
+  const later = createAnimation()
+  syncAnimations(2)
+  assert.equal(first.currentTime, 2000)
+  assert.equal(later.currentTime, 0)
+
+  syncAnimations(2.25)
+  assert.equal(later.currentTime, 250)
+
+  // Seeking back keeps each start
+  syncAnimations(2.125)
+  assert.equal(first.currentTime, 2125)
+  assert.equal(later.currentTime, 125)
+})
+
+test('animations on other timelines are left alone', () => {
+  const scroll = createAnimation({ timeline: { type: 'scroll' } })
+  const unattached = createAnimation({ timeline: null })
+  syncAnimations(1)
+  assert.equal(scroll.paused, false)
+  assert.equal(scroll.currentTime, null)
+  // No timeline (e.g. not yet attached) is still seeked
+  assert.equal(unattached.currentTime, 0)
+})
+
+test('the longest finite animation sets the end time', () => {
+  assert.equal(getAnimationsEndTime(), 0)
+
+  createAnimation({ endTime: 2000 })
+  createAnimation({ endTime: Infinity })
+  syncAnimations(0)
+  assert.equal(getAnimationsEndTime(), 2)
+
+  // One second long, but first seen at 3 s
+  createAnimation({ endTime: 1000 })
+  syncAnimations(3)
+  assert.equal(getAnimationsEndTime(), 4)
+
+  // Not seen yet: counted from the start of the video
+  createAnimation({ endTime: 5000 })
+  assert.equal(getAnimationsEndTime(), 5)
+})
+
+test('animated styles are copied onto the html2canvas clone', () => {
+  const box = createElement({
+    opacity: '0.5',
+    'background-color': 'red',
+    transform: 'scale(2)',
+    color: 'blue',
+  })
+  createAnimation({
+    target: box,
+    keyframes: [
+      { offset: 0, easing: 'linear', opacity: '0', backgroundColor: 'white' },
+      { offset: 1, easing: 'linear', opacity: '1', backgroundColor: 'red' },
+    ],
+  })
+  // A CSS transition names its property
+  createAnimation({ target: box, transitionProperty: 'transform' })
+  // Styles of ::before can't be set inline
+  const pseudo = createAnimation({
+    target: box,
+    keyframes: [{ color: 'blue' }],
+  })
+  pseudo.effect.pseudoElement = '::before'
+
+  const gone = createElement({ opacity: '0.1' })
+  createAnimation({ target: gone, keyframes: [{ opacity: '0' }] })
+  syncAnimations(0.5)
+  gone.isConnected = false
+
+  const createClone = (source) => {
+    const styles = {}
+    return {
+      dataset: { ...source.dataset },
+      styles,
+      style: {
+        setProperty: (property, value, priority) => {
+          styles[property] = [value, priority]
+        },
+      },
+    }
+  }
+  const boxClone = createClone(box)
+  const goneClone = createClone(gone)
+  applyAnimatedStyles({ querySelectorAll: () => [boxClone, goneClone] })
+
+  assert.deepEqual(boxClone.styles, {
+    opacity: ['0.5', 'important'],
+    'background-color': ['red', 'important'],
+    transform: ['scale(2)', 'important'],
+  })
+  assert.deepEqual(goneClone.styles, {})
+})
@@ -0,0 +1,82 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  parseCsv,
+  formatOutputPath,
+  renderBatch,
+} from '../src/renderer/batch.js'
+
+test('CSV rows are keyed by the header', () => {
+  assert.deepEqual(parseCsv('id,name\n1,Ada\n2,Grace\n'), [
+    { id: '1', name: 'Ada' },
+    { id: '2', name: 'Grace' },
+  ])
+})
+
+test('quoted CSV fields keep commas, quotes and newlines', () => {
+  const text = 'id,quote\n1,"Hello, ""world"""\n2,"two\nlines"\n'
+  assert.deepEqual(parseCsv(text), [
+    { id: '1', quote: 'Hello, "world"' },
+    { id: '2', quote: 'two\nlines' },
+  ])
+})
+
+test('CSV with CRLF line endings and blank lines', () => {
+  const text = ' id , name \r\n1,Ada\r\n\r\n2,"Grace\r\nHopper"\r\n3'
+  assert.deepEqual(parseCsv(text), [
+    { id: '1', name: 'Ada' },
+    { id: '2', name: 'Grace\r\nHopper' },
+    { id: '3', name: '' },
+  ])
+  assert.deepEqual(parseCsv('\r\n\r\n'), [])
+})
+
+test('output paths are filled from the row', () => {
+  assert.equal(
+    formatOutputPath('out/{id}-{index}.mp4', { id: 'ada' }, 3),
+    'out/ada-3.mp4',
+  )
+  assert.equal(formatOutputPath('out/{n}.mp4', { n: 0 }, 1), 'out/0.mp4')
+})
+
+test('row values cannot leave the output directory', () => {
+  assert.equal(
+    formatOutputPath('out/{name}.mp4', { name: '../../etc/pass:wd*?' }, 0),
+    'out/.._.._etc_pass_wd__.mp4',
+  )
+})
+
+test('a missing output path value names the row and key', () => {
+  for (const row of [{}, { id: '' }, { id: null }]) {
+    assert.throws(
+      () => formatOutputPath('out/{id}.mp4', row, 4),
+      /Row 4 has no value for "\{id\}" in output path/,
+    )
+  }
+})
+
+test('rows rendering to the same file stop the batch', async () => {
+  await assert.rejects(
+    renderBatch({
+      input: 'Video.vue',
+      width: 320,
+      height: 180,
+      fps: 30,
+      rows: [{ id: 'a' }, { id: 'b' }, { id: 'a' }],
+      output: 'out/{id}.mp4',
+    }),
+    /Rows 0 and 2 both render to .*a\.mp4/,
+  )
+  // Sanitizing can make two values collide
+  await assert.rejects(
+    renderBatch({
+      input: 'Video.vue',
+      width: 320,
+      height: 180,
+      fps: 30,
+      rows: [{ id: 'a/b' }, { id: 'a:b' }],
+      output: 'out/{id}.mp4',
+    }),
+    /Rows 0 and 1 both render to/,
+  )
+})
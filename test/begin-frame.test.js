@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { chromium } from 'playwright'
+import {
+  beginFrameLaunchOptions,
+  openBeginFramePage,
+} from '../src/renderer/begin-frame.js'
+
+// Needs Chromium's headless shell (npx playwright install chromium)
+let browser = null
+before(async () => {
+  try {
+    browser = await chromium.launch(
+      beginFrameLaunchOptions({ headless: true, args: [] }),
+    )
+  } catch {
+    browser = null
+  }
+})
+
+after(async () => {
+  await browser?.close()
+})
+
+// Width and height from a PNG's IHDR chunk
+const pngSize = (png) => [png.readUInt32BE(16), png.readUInt32BE(20)]
+
+test('each capture is one composited frame of the current state', async (t) => {
+  if (!browser) return t.skip('no Chromium headless shell')
+  const context = await browser.newContext({
+    viewport: { width: 64, height: 48 },
+  })
+  const frames = await openBeginFramePage(context, { fps: 30 })
+  try {
+    await frames.page.setContent(
+      '<body style="margin:0;background:rgb(255,0,0)"></body>',
+    )
+    const red = await frames.captureFrame()
+    assert.equal(red.subarray(1, 4).toString(), 'PNG')
+    assert.deepEqual(pngSize(red), [64, 48])
+
+    // Nothing changed: the same image (Chromium may leave it out)
+    assert.deepEqual(await frames.captureFrame(), red)
+
+    await frames.page.evaluate(() => {
+      document.body.style.background = 'rgb(0,0,255)'
+    })
+    const blue = await frames.captureFrame()
+    assert.notDeepEqual(blue, red)
+  } finally {
+    await frames.close()
+    await context.close()
+  }
+})
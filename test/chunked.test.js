@@ -0,0 +1,129 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'fs/promises'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import {
+  ALL_FORMATS,
+  EncodedPacket,
+  EncodedPacketSink,
+  EncodedVideoPacketSource,
+  FilePathSource,
+  FilePathTarget,
+  Input,
+  Mp4OutputFormat,
+  Output,
+} from 'mediabunny'
+import { splitFrameChunks } from '../src/renderer/encode-chunked.js'
+import { concatSegments } from '../src/renderer/remux.js'
+
+const FPS = 30
+
+test('chunks start on key frames and cover every frame', () => {
+  assert.deepEqual(splitFrameChunks(300, 4, 30), [
+    { start: 0, end: 90 },
+    { start: 90, end: 180 },
+    { start: 180, end: 270 },
+    { start: 270, end: 300 },
+  ])
+})
+
+test('the last chunk holds the remaining frames', () => {
+  assert.deepEqual(splitFrameChunks(100, 2, 30), [
+    { start: 0, end: 60 },
+    { start: 60, end: 100 },
+  ])
+  assert.deepEqual(splitFrameChunks(7, 2, 1), [
+    { start: 0, end: 4 },
+    { start: 4, end: 7 },
+  ])
+})
+
+test('more chunks than frames gives one chunk per key frame', () => {
+  assert.deepEqual(splitFrameChunks(3, 8, 1), [
+    { start: 0, end: 1 },
+    { start: 1, end: 2 },
+    { start: 2, end: 3 },
+  ])
+  assert.deepEqual(splitFrameChunks(45, 8, 150), [{ start: 0, end: 45 }])
+  // Without key frames to align to, frames are chunked one by one
+  assert.deepEqual(splitFrameChunks(2, 4, 0), [
+    { start: 0, end: 1 },
+    { start: 1, end: 2 },
+  ])
+})
+
+// A segment of made-up VP9 packets (they are only copied, never decoded),
+// one byte each holding the frame number, key frames every keyframeFrames
+async function writeSegment(path, { start, frames, keyframeFrames }) {
+  const output = new Output({
+    format: new Mp4OutputFormat(),
+    target: new FilePathTarget(path),
+  })
+  const source = new EncodedVideoPacketSource('vp9')
+  output.addVideoTrack(source, { frameRate: FPS })
+  await output.start()
+  for (let index = 0; index < frames; index++) {
+    await source.add(
+      new EncodedPacket(
+        new Uint8Array([start + index]),
+        index % keyframeFrames === 0 ? 'key' : 'delta',
+        index / FPS,
+        1 / FPS,
+      ),
+      index === 0
+        ? {
+            decoderConfig: {
+              codec: 'vp09.00.10.08',
+              codedWidth: 16,
+              codedHeight: 16,
+            },
+          }
+        : undefined,
+    )
+  }
+  await output.finalize()
+}
+
+test('segments are joined packet for packet', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'vueseq-remux-test-'))
+  try {
+    const first = join(dir, 'segment-0.mp4')
+    const second = join(dir, 'segment-1.mp4')
+    const output = join(dir, 'out.mp4')
+    await writeSegment(first, { start: 0, frames: 10, keyframeFrames: 5 })
+    await writeSegment(second, { start: 10, frames: 7, keyframeFrames: 5 })
+
+    await concatSegments({
+      segments: [
+        { path: first, start: 0 },
+        { path: second, start: 10 / FPS },
+      ],
+      output,
+      format: 'Mp4OutputFormat',
+      fps: FPS,
+    })
+
+    const input = new Input({
+      source: new FilePathSource(output),
+      formats: ALL_FORMATS,
+    })
+    const track = await input.getPrimaryVideoTrack()
+    const packets = []
+    for await (const packet of new EncodedPacketSink(track).packets()) {
+      packets.push(packet)
+    }
+
+    assert.equal(packets.length, 17)
+    packets.forEach((packet, frame) => {
+      assert.equal(packet.data[0], frame)
+      assert.equal(Math.round(packet.timestamp * FPS), frame)
+    })
+    assert.deepEqual(
+      packets.flatMap((packet, frame) => (packet.type === 'key' ? [frame] : [])),
+      [0, 5, 10, 15],
+    )
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
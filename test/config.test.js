@@ -0,0 +1,167 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm, writeFile } from 'fs/promises'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { normalizeConfig, resolveRenderOptions } from '../src/config.js'
+
+const config = {
+  fps: 30,
+  width: 1920,
+  quality: 'high',
+  profiles: {
+    square: { width: 1080, height: 1080 },
+    draft: { width: 960, quality: 'low' },
+  },
+}
+
+test('defaults and profiles are split and copied', () => {
+  const { defaults, profiles } = normalizeConfig(config)
+  assert.deepEqual(defaults, { fps: 30, width: 1920, quality: 'high' })
+  assert.deepEqual(Object.keys(profiles), ['square', 'draft'])
+  assert.notEqual(profiles.square, config.profiles.square)
+  assert.deepEqual(normalizeConfig(undefined), { defaults: {}, profiles: {} })
+})
+
+test('relative paths resolve against the config directory', () => {
+  const { defaults, profiles } = normalizeConfig(
+    {
+      output: 'out/video.mp4',
+      audio: '/music/track.mp3',
+      props: { logo: 'logo.png' },
+      profiles: { batch: { data: 'rows.csv', setup: './setup.js' } },
+    },
+    { baseDir: '/project' },
+  )
+  assert.equal(defaults.output, '/project/out/video.mp4')
+  assert.equal(defaults.audio, '/music/track.mp3')
+  // Only path options are resolved
+  assert.deepEqual(defaults.props, { logo: 'logo.png' })
+  assert.equal(profiles.batch.data, '/project/rows.csv')
+  assert.equal(profiles.batch.setup, '/project/setup.js')
+
+  // Without a directory (config objects from the API) paths stay as given
+  assert.equal(normalizeConfig({ output: 'a.mp4' }).defaults.output, 'a.mp4')
+})
+
+test('unknown options are rejected with where they are', () => {
+  assert.throws(
+    () => normalizeConfig({ fsp: 30 }, { source: 'vueseq.config.js' }),
+    /Unknown option "fsp" in vueseq\.config\.js/,
+  )
+  assert.throws(
+    () => normalizeConfig({ profiles: { hd: { widht: 1280 } } }),
+    /Unknown option "widht" in profile "hd" in config/,
+  )
+  assert.throws(() => normalizeConfig({ profiles: [] }), /"profiles" in config/)
+  assert.throws(
+    () => normalizeConfig({ profiles: { hd: 720 } }),
+    /profile "hd" in config must be an object/,
+  )
+})
+
+test('explicit options override the profile, which overrides defaults', async () => {
+  const options = await resolveRenderOptions({
+    config,
+    profile: 'draft',
+    width: 640,
+    height: undefined,
+    input: 'Video.vue',
+  })
+  assert.deepEqual(options, {
+    fps: 30,
+    width: 640,
+    quality: 'low',
+    input: 'Video.vue',
+  })
+
+  const defaults = await resolveRenderOptions({ config, fps: 60 })
+  assert.deepEqual(defaults, { fps: 60, width: 1920, quality: 'high' })
+})
+
+test('an unknown profile lists the available ones', async () => {
+  await assert.rejects(
+    resolveRenderOptions({ config, profile: 'youtube' }),
+    /Unknown profile "youtube" in config\. Available: square, draft/,
+  )
+  await assert.rejects(
+    resolveRenderOptions({ config: {}, profile: 'youtube' }),
+    /Unknown profile "youtube" in config \(it has no profiles\)/,
+  )
+})
+
+test('the config file next to the composition is found', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'vueseq-config-test-'))
+  try {
+    const input = join(dir, 'Video.vue')
+    await writeFile(
+      join(dir, 'vueseq.config.json'),
+      JSON.stringify({
+        output: 'renders/out.mp4',
+        profiles: { square: { width: 1080, height: 1080 } },
+      }),
+    )
+
+    const options = await resolveRenderOptions({ input, profile: 'square' })
+    assert.deepEqual(options, {
+      output: join(dir, 'renders', 'out.mp4'),
+      width: 1080,
+      height: 1080,
+      input,
+    })
+
+    // false ignores config files
+    assert.deepEqual(await resolveRenderOptions({ input, config: false }), {
+      input,
+    })
+
+    await writeFile(join(dir, 'vueseq.config.json'), '{ "fps": 30, }')
+    await assert.rejects(resolveRenderOptions({ input }), /Invalid JSON in/)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('props files are read into props', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'vueseq-config-test-'))
+  try {
+    const input = join(dir, 'Video.vue')
+    await writeFile(
+      join(dir, 'ada.json'),
+      JSON.stringify({ name: 'Ada', year: 1843 }),
+    )
+    await writeFile(
+      join(dir, 'vueseq.config.json'),
+      JSON.stringify({
+        props: { theme: 'dark', name: 'Config' },
+        profiles: { ada: { parallel: true, propsFile: 'ada.json' } },
+      }),
+    )
+
+    // Config props, then the file, then explicit props on top
+    const options = await resolveRenderOptions({
+      input,
+      profile: 'ada',
+      props: { year: 1842 },
+    })
+    assert.deepEqual(options, {
+      parallel: true,
+      input,
+      props: { theme: 'dark', name: 'Ada', year: 1842 },
+    })
+
+    // An explicit propsFile is relative to the working directory
+    const missing = join(process.cwd(), 'missing.json')
+    await assert.rejects(
+      resolveRenderOptions({ input, propsFile: 'missing.json' }),
+      { message: `Props file not found: ${missing}` },
+    )
+    await writeFile(join(dir, 'list.json'), '[1, 2]')
+    await assert.rejects(
+      resolveRenderOptions({ input, propsFile: join(dir, 'list.json') }),
+      /list\.json must be a JSON object/,
+    )
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
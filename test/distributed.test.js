@@ -0,0 +1,228 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'http'
+import { mkdtemp, rm, writeFile } from 'fs/promises'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import {
+  ALL_FORMATS,
+  EncodedPacket,
+  EncodedPacketSink,
+  EncodedVideoPacketSource,
+  FilePathSource,
+  FilePathTarget,
+  Input,
+  Mp4OutputFormat,
+  Output,
+} from 'mediabunny'
+import { startCoordinator } from '../src/distributed/coordinator.js'
+import { runWorker } from '../src/distributed/worker.js'
+
+const FPS = 10
+
+// Stands in for renderChunk(): a segment of made-up VP9 packets (they are
+// only copied, never decoded), starting on a key frame
+async function fakeRenderChunk({ segment, chunk, onProgress }) {
+  const output = new Output({
+    format: new Mp4OutputFormat(),
+    target: new FilePathTarget(segment),
+  })
+  const source = new EncodedVideoPacketSource('vp9')
+  output.addVideoTrack(source, { frameRate: FPS })
+  await output.start()
+  for (let frame = chunk.start; frame < chunk.end; frame++) {
+    const index = frame - chunk.start
+    await source.add(
+      new EncodedPacket(
+        new Uint8Array([frame]),
+        index === 0 ? 'key' : 'delta',
+        index / FPS,
+        1 / FPS,
+      ),
+      index === 0
+        ? {
+            decoderConfig: {
+              codec: 'vp09.00.10.08',
+              codedWidth: 16,
+              codedHeight: 16,
+            },
+          }
+        : undefined,
+    )
+    onProgress?.({ frame })
+  }
+  await output.finalize()
+}
+
+async function readPackets(path) {
+  const input = new Input({
+    source: new FilePathSource(path),
+    formats: ALL_FORMATS,
+  })
+  const track = await input.getPrimaryVideoTrack()
+  const packets = []
+  for await (const packet of new EncodedPacketSink(track).packets()) {
+    packets.push({
+      frame: packet.data[0],
+      timestamp: Math.round(packet.timestamp * FPS),
+      key: packet.type === 'key',
+    })
+  }
+  return packets
+}
+
+async function makeProject() {
+  const dir = await mkdtemp(join(tmpdir(), 'vueseq-distributed-test-'))
+  const input = join(dir, 'Video.vue')
+  await writeFile(input, '<template><h1>Chunks</h1></template>\n')
+  return { dir, input, output: join(dir, 'out.mp4') }
+}
+
+// 4 s at 10 fps, a key frame every second: four chunks of 10 frames
+const coordinatorOptions = (project) => ({
+  input: project.input,
+  output: project.output,
+  fps: FPS,
+  duration: 4,
+  width: 320,
+  height: 180,
+  keyframeInterval: 1,
+  chunks: 4,
+  viteConfig: false,
+  port: 0,
+  host: '127.0.0.1',
+})
+
+test('two workers render every chunk once', async () => {
+  const project = await makeProject()
+  try {
+    const coordinator = await startCoordinator(coordinatorOptions(project))
+    assert.equal(coordinator.chunks, 4)
+
+    const workers = await Promise.all(
+      ['a', 'b'].map((name) =>
+        runWorker({
+          connect: coordinator.address,
+          name,
+          renderChunk: fakeRenderChunk,
+        }),
+      ),
+    )
+    assert.equal(await coordinator.done, project.output)
+    assert.equal(
+      workers.reduce((sum, { chunks }) => sum + chunks, 0),
+      4,
+    )
+
+    const packets = await readPackets(project.output)
+    assert.equal(packets.length, 40)
+    packets.forEach(({ frame, timestamp, key }, index) => {
+      assert.equal(frame, index)
+      assert.equal(timestamp, index)
+      assert.equal(key, index % 10 === 0, `key frame at ${index}`)
+    })
+  } finally {
+    await rm(project.dir, { recursive: true, force: true })
+  }
+})
+
+test('a chunk whose worker stops responding is rendered again', async () => {
+  const project = await makeProject()
+  try {
+    const retries = []
+    let lateUpload
+    const coordinator = await startCoordinator({
+      ...coordinatorOptions(project),
+      leaseTimeout: 300,
+      onChunkRetry: ({ index, worker, reason }) => {
+        retries.push({ index, worker, reason })
+      },
+      onChunkStart: ({ index, attempt }) => {
+        // The dead worker comes back once the chunk is someone else's
+        if (index === 0 && attempt === 2) {
+          lateUpload = fetch(
+            `http://${coordinator.address}/chunks/0/segment?lease=${lease}`,
+            { method: 'PUT', body: 'stale' },
+          )
+        }
+      },
+    })
+
+    // Claims the first chunk, then never sends a heartbeat
+    const claim = await fetch(`http://${coordinator.address}/claim`, {
+      method: 'POST',
+      body: JSON.stringify({ worker: 'ghost' }),
+    }).then((response) => response.json())
+    const { index, lease } = claim.chunk
+    assert.equal(index, 0)
+
+    const { chunks } = await runWorker({
+      connect: coordinator.address,
+      name: 'live',
+      renderChunk: fakeRenderChunk,
+    })
+    assert.equal(chunks, 4)
+    assert.equal(await coordinator.done, project.output)
+
+    assert.deepEqual(retries, [
+      { index: 0, worker: 'ghost', reason: 'ghost stopped responding' },
+    ])
+    assert.equal((await lateUpload).status, 409)
+    assert.equal((await readPackets(project.output)).length, 40)
+  } finally {
+    await rm(project.dir, { recursive: true, force: true })
+  }
+})
+
+test('a chunk that keeps failing fails the render', async () => {
+  const project = await makeProject()
+  try {
+    const coordinator = await startCoordinator({
+      ...coordinatorOptions(project),
+      duration: 1,
+      maxAttempts: 2,
+    })
+
+    const failures = []
+    await assert.rejects(
+      runWorker({
+        connect: coordinator.address,
+        renderChunk: async () => {
+          throw new Error('Out of memory')
+        },
+        onChunkFailed: ({ index }) => failures.push(index),
+      }),
+      /Render failed: Chunk 0 failed 2 times, last on .*: Out of memory/,
+    )
+    assert.deepEqual(failures, [0, 0])
+    await assert.rejects(coordinator.done, /Chunk 0 failed 2 times/)
+  } finally {
+    await rm(project.dir, { recursive: true, force: true })
+  }
+})
+
+test('an idle worker finishes when the coordinator has shut down', async () => {
+  const project = await makeProject()
+  // A coordinator with no work yet, which shuts down while the worker waits
+  const server = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    if (req.url === '/job') {
+      res.end(JSON.stringify({ job: { input: project.input, fps: FPS } }))
+    } else {
+      res.end(JSON.stringify({ wait: 100 }))
+      server.close()
+      server.closeAllConnections()
+    }
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+  try {
+    const { chunks } = await runWorker({
+      connect: `127.0.0.1:${server.address().port}`,
+      renderChunk: fakeRenderChunk,
+    })
+    assert.equal(chunks, 0)
+  } finally {
+    await rm(project.dir, { recursive: true, force: true })
+  }
+})
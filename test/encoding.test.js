@@ -0,0 +1,103 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  formatBitrate,
+  parseBitrate,
+  resolveEncodingSettings,
+} from '../src/renderer/encoding.js'
+
+const HD = { codec: 'avc', width: 1920, height: 1080 }
+
+test('bitrates parse with or without a unit', () => {
+  const cases = [
+    ['8M', 8_000_000],
+    ['2500k', 2_500_000],
+    ['1.5m', 1_500_000],
+    ['1G', 1_000_000_000],
+    [' 800 k ', 800_000],
+    ['8000000', 8_000_000],
+    [8_000_000, 8_000_000],
+    [1234.6, 1235],
+    // As formatBitrate() prints them
+    ['2.5Mbps', 2_500_000],
+    ['800 kbps', 800_000],
+    ['64000bps', 64_000],
+  ]
+  for (const [value, bits] of cases) {
+    assert.equal(parseBitrate(value), bits, `${value}`)
+  }
+  for (const bitrate of [8_000_000, 2_500_000, 834_000]) {
+    assert.equal(parseBitrate(formatBitrate(bitrate)), bitrate)
+  }
+})
+
+test('invalid bitrates are rejected', () => {
+  const invalid = ['', 'fast', '8T', '-1M', '0', 0, NaN, Infinity, '8Mbps x']
+  for (const value of invalid) {
+    assert.throws(() => parseBitrate(value), /Invalid bitrate/, `${value}`)
+  }
+})
+
+test('quality presets scale with resolution and codec', () => {
+  // 1080p H.264: 6 Mbps at the default quality
+  assert.deepEqual(resolveEncodingSettings(HD), { bitrate: 6_000_000 })
+  assert.equal(
+    resolveEncodingSettings({ ...HD, quality: 'low' }).bitrate,
+    1_800_000,
+  )
+  assert.equal(
+    resolveEncodingSettings({ ...HD, quality: 'very-high' }).bitrate,
+    12_000_000,
+  )
+  const hd720 = { codec: 'vp9', width: 1280, height: 720, quality: 'medium' }
+  assert.equal(resolveEncodingSettings(hd720).bitrate, 834_000)
+  const uhd = { codec: 'av1', width: 3840, height: 2160, quality: 'very-high' }
+  assert.equal(resolveEncodingSettings(uhd).bitrate, 17_915_000)
+  assert.throws(
+    () => resolveEncodingSettings({ ...HD, quality: 'ultra' }),
+    /Unknown quality "ultra"\. Use one of: low, medium, high, very-high/,
+  )
+})
+
+test('an explicit bitrate overrides the quality preset', () => {
+  assert.deepEqual(
+    resolveEncodingSettings({ ...HD, quality: 'low', bitrate: '40M' }),
+    { bitrate: 40_000_000 },
+  )
+  assert.throws(
+    () => resolveEncodingSettings({ ...HD, bitrate: 'lots' }),
+    /Invalid bitrate "lots"/,
+  )
+})
+
+test('keyframe interval and modes are validated and passed on', () => {
+  assert.deepEqual(
+    resolveEncodingSettings({
+      ...HD,
+      bitrate: 8_000_000,
+      keyframeInterval: 0,
+      bitrateMode: 'constant',
+      latencyMode: 'realtime',
+    }),
+    {
+      bitrate: 8_000_000,
+      keyFrameInterval: 0,
+      bitrateMode: 'constant',
+      latencyMode: 'realtime',
+    },
+  )
+  for (const keyframeInterval of [-1, NaN, Infinity, '2']) {
+    assert.throws(
+      () => resolveEncodingSettings({ ...HD, keyframeInterval }),
+      /Keyframe interval must be a non-negative number of seconds/,
+    )
+  }
+  assert.throws(
+    () => resolveEncodingSettings({ ...HD, bitrateMode: 'cbr' }),
+    /Unknown bitrate mode "cbr"\. Use one of: constant, variable/,
+  )
+  assert.throws(
+    () => resolveEncodingSettings({ ...HD, latencyMode: 'fast' }),
+    /Unknown latency mode "fast"\. Use one of: quality, realtime/,
+  )
+})
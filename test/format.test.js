@@ -0,0 +1,77 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { resolveOutputFormat } from '../src/renderer/format.js'
+
+test('the extension picks the container and default codec', () => {
+  const cases = [
+    ['out.mp4', undefined, 'mp4', 'Mp4OutputFormat', 'avc'],
+    ['OUT.MP4', undefined, 'mp4', 'Mp4OutputFormat', 'avc'],
+    ['out.mov', undefined, 'mov', 'MovOutputFormat', 'avc'],
+    ['out.mkv', undefined, 'mkv', 'MkvOutputFormat', 'avc'],
+    ['out.webm', undefined, 'webm', 'WebMOutputFormat', 'vp9'],
+    ['out.mp4', 'hevc', 'mp4', 'Mp4OutputFormat', 'hevc'],
+    ['out.mkv', 'av1', 'mkv', 'MkvOutputFormat', 'av1'],
+    ['out.webm', 'av1', 'webm', 'WebMOutputFormat', 'av1'],
+  ]
+  for (const [output, codec, container, format, expected] of cases) {
+    const resolved = resolveOutputFormat(output, codec)
+    assert.deepEqual(
+      [resolved.container, resolved.format, resolved.codec],
+      [container, format, expected],
+      `${output} ${codec ?? '(default)'}`,
+    )
+  }
+  // MP4 and MOV are streamed with the index at the end
+  assert.deepEqual(resolveOutputFormat('out.mp4').formatOptions, {
+    fastStart: false,
+  })
+})
+
+test('unknown extensions and codecs are rejected', () => {
+  const cases = [
+    ['out.avi', undefined, /Unsupported output extension "\.avi"/],
+    ['out', undefined, /Unsupported output extension "out"/],
+    ['out.mp4', 'h264', /Unknown codec "h264"\. Use one of: avc, hevc/],
+    ['out.webm', 'avc', /Codec "avc" can't be stored in \.webm files/],
+    ['out.webm', 'hevc', /Use one of: vp9, av1/],
+  ]
+  for (const [output, codec, error] of cases) {
+    assert.throws(() => resolveOutputFormat(output, codec), error)
+  }
+})
+
+test('transparent output needs a codec that carries alpha', () => {
+  const cases = [
+    ['out.webm', undefined, 'vp9'],
+    ['out.mkv', undefined, 'vp9'],
+    // WebCodecs has no alpha-capable MOV codec: FFmpeg encodes ProRes 4444
+    ['out.mov', undefined, 'prores'],
+    ['out.mov', 'prores', 'prores'],
+    ['out.webm', 'vp9', 'vp9'],
+  ]
+  for (const [output, codec, expected] of cases) {
+    assert.equal(
+      resolveOutputFormat(output, codec, { transparent: true }).codec,
+      expected,
+      `${output} ${codec ?? '(default)'}`,
+    )
+  }
+
+  const errors = [
+    ['out.mp4', undefined, /\.mp4 files can't carry an alpha channel/],
+    ['out.webm', 'av1', /Transparent \.webm output needs codec vp9 \(got "av1"\)/],
+    ['out.mov', 'avc', /Transparent \.mov output needs codec prores/],
+  ]
+  for (const [output, codec, error] of errors) {
+    assert.throws(
+      () => resolveOutputFormat(output, codec, { transparent: true }),
+      error,
+    )
+  }
+
+  // ProRes is only chosen for alpha
+  assert.throws(
+    () => resolveOutputFormat('out.mov', 'prores'),
+    /Unknown codec "prores"/,
+  )
+})
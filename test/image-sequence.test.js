@@ -0,0 +1,117 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { chromium } from 'playwright'
+import {
+  formatSequencePath,
+  parseFrameRange,
+  renderSequence,
+} from '../src/renderer/sequence.js'
+
+test('sequence patterns expand like printf', () => {
+  const cases = [
+    ['frame-%05d.png', 42, 'frame-00042.png'],
+    ['frame-%d.png', 42, 'frame-42.png'],
+    ['frame-%4d.png', 42, 'frame-  42.png'],
+    ['frame-%02d.png', 1234, 'frame-1234.png'],
+    ['100%%/frame-%03d.png', 7, '100%/frame-007.png'],
+    ['frame-%%d-%d.png', 7, 'frame-%d-7.png'],
+  ]
+  for (const [pattern, number, expected] of cases) {
+    assert.equal(formatSequencePath(pattern, number), expected, pattern)
+  }
+})
+
+test('frame ranges are inclusive and checked against the video', () => {
+  const cases = [
+    [undefined, { start: 0, end: 299 }],
+    ['', { start: 0, end: 299 }],
+    ['120-240', { start: 120, end: 240 }],
+    [' 120 - 240 ', { start: 120, end: 240 }],
+    ['120-', { start: 120, end: 299 }],
+    ['90', { start: 90, end: 90 }],
+    [[10, 20], { start: 10, end: 20 }],
+    [[10], { start: 10, end: 299 }],
+  ]
+  for (const [spec, expected] of cases) {
+    assert.deepEqual(parseFrameRange(spec, 300), expected, `${spec}`)
+  }
+
+  const errors = [
+    ['abc', /Invalid frame range "abc"\. Use e\.g\. 120-240/],
+    ['-5', /Invalid frame range "-5"/],
+    ['240-120', /Invalid frame range "240-120"/],
+    [[1.5, 3], /Invalid frame range/],
+    ['250-300', /ends after the last frame \(299\)/],
+  ]
+  for (const [spec, error] of errors) {
+    assert.throws(() => parseFrameRange(spec, 300), error)
+  }
+})
+
+test('a pattern needs a frame number', async () => {
+  await assert.rejects(
+    renderSequence({
+      input: 'Video.vue',
+      output: 'out/100%%d.png',
+      width: 64,
+      height: 48,
+      fps: 10,
+    }),
+    /needs a frame number placeholder/,
+  )
+})
+
+// Needs a Chromium that Playwright can launch
+const hasChromium = await chromium.launch().then(
+  (browser) => browser.close().then(() => true),
+  () => false,
+)
+
+test(
+  'progress counts the frames of the range',
+  { skip: !hasChromium && 'no Chromium' },
+  async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'vueseq-sequence-test-'))
+    try {
+      const input = join(dir, 'Video.vue')
+      await writeFile(input, '<template><h1>Frames</h1></template>\n')
+
+      const progress = []
+      const { start, end, files } = await renderSequence({
+        input,
+        output: join(dir, 'out', 'frame-%03d.png'),
+        width: 64,
+        height: 48,
+        fps: 10,
+        duration: 1,
+        frames: '2-4',
+        startNumber: 1,
+        viteConfig: false,
+        onProgress: ({ frame, total, timeInSeconds }) =>
+          progress.push([frame, total, timeInSeconds]),
+      })
+
+      assert.deepEqual([start, end], [2, 4])
+      assert.deepEqual(progress, [
+        [0, 3, 0.2],
+        [1, 3, 0.3],
+        [2, 3, 0.4],
+      ])
+      assert.deepEqual(files, [
+        join(dir, 'out', 'frame-001.png'),
+        join(dir, 'out', 'frame-002.png'),
+        join(dir, 'out', 'frame-003.png'),
+      ])
+      assert.deepEqual(await readdir(join(dir, 'out')), [
+        'frame-001.png',
+        'frame-002.png',
+        'frame-003.png',
+      ])
+    } finally {
+      await rm(dir, { recursive: true, force: true })
+    }
+  },
+)
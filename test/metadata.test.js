@@ -0,0 +1,140 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm, writeFile } from 'fs/promises'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { chromium } from 'playwright'
+import {
+  readCompositionMetadata,
+  applyCompositionMetadata,
+} from '../src/renderer/render.js'
+
+const hasChromium = await chromium.launch().then(
+  (browser) => browser.close().then(() => true),
+  () => false,
+)
+
+async function withComposition(source, run) {
+  const dir = await mkdtemp(join(tmpdir(), 'vueseq-metadata-test-'))
+  try {
+    const input = join(dir, 'Video.vue')
+    await writeFile(input, source)
+    return await run(input)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+}
+
+const DECLARED = `<script setup>
+import gsap from 'gsap'
+import { Sequence } from 'vueseq/runtime'
+
+defineOptions({ vueseq: { width: 1080, height: 1920, fps: 60 } })
+gsap.to('.title', { x: 100, duration: 2 })
+</script>
+
+<template>
+  <Sequence :duration="2"><h1 class="title">Hi</h1></Sequence>
+</template>
+`
+
+test('defineOptions metadata is read without a browser', async () => {
+  await withComposition(DECLARED, async (input) => {
+    assert.deepEqual(
+      await readCompositionMetadata({ input, viteConfig: false }),
+      { width: 1080, height: 1920, fps: 60 },
+    )
+  })
+})
+
+test('a named vueseq export is read too', async () => {
+  const source = `<script>
+export const vueseq = { width: 640, durationFromLabel: 'end' }
+</script>
+
+<template><h1>Hi</h1></template>
+`
+  await withComposition(source, async (input) => {
+    assert.deepEqual(
+      await readCompositionMetadata({ input, viteConfig: false }),
+      { width: 640, durationFromLabel: 'end' },
+    )
+  })
+})
+
+test('invalid metadata names the component', async () => {
+  const source = `<script>
+export const vueseq = { width: 640, framerate: 30 }
+</script>
+
+<template><h1>Hi</h1></template>
+`
+  await withComposition(source, async (input) => {
+    await assert.rejects(
+      readCompositionMetadata({ input, viteConfig: false }),
+      /Video\.vue: unknown vueseq metadata "framerate"/,
+    )
+  })
+})
+
+test('a missing import fails without waiting for a browser', async () => {
+  const source = `<script setup>
+import Title from './DoesNotExist.vue'
+</script>
+
+<template><Title /></template>
+`
+  await withComposition(source, async (input) => {
+    const started = Date.now()
+    await assert.rejects(
+      readCompositionMetadata({ input, viteConfig: false }),
+      /DoesNotExist\.vue/,
+    )
+    assert.ok(Date.now() - started < 10000)
+  })
+})
+
+test(
+  'a component that needs a browser to load is read from a page',
+  { skip: !hasChromium && 'no Chromium' },
+  async () => {
+    const source = `<script setup>
+defineOptions({ vueseq: { width: 320, height: 240 } })
+const wide = window.innerWidth > 0
+</script>
+
+<template><h1>{{ wide }}</h1></template>
+`
+    await withComposition(source, async (input) => {
+      assert.deepEqual(
+        await readCompositionMetadata({ input, viteConfig: false }),
+        { width: 320, height: 240 },
+      )
+    })
+  },
+)
+
+test('render options left out come from the metadata', async () => {
+  await withComposition(DECLARED, async (input) => {
+    const options = await applyCompositionMetadata({
+      input,
+      viteConfig: false,
+      width: 720,
+      duration: 2,
+    })
+    assert.deepEqual(options, {
+      input,
+      viteConfig: false,
+      width: 720,
+      height: 1920,
+      fps: 60,
+      duration: 2,
+    })
+  })
+})
+
+test('complete render options are left alone', async () => {
+  // Not read at all: the composition doesn't exist
+  const options = { input: 'Missing.vue', width: 1, height: 1, fps: 1 }
+  assert.equal(await applyCompositionMetadata(options), options)
+})
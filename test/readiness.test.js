@@ -0,0 +1,67 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+// The runtime keeps its state on window
+globalThis.window = globalThis
+globalThis.document = {
+  body: {},
+  fonts: { ready: Promise.resolve(), status: 'loaded' },
+  images: [],
+}
+
+const { delayRender, continueRender, waitForRender } = await import(
+  '../src/runtime/readiness.js'
+)
+
+// Real timers, counting the ones still scheduled
+const scheduled = new Set()
+window.__VUESEQ_REAL_TIMERS__ = {
+  now: () => performance.now(),
+  setTimeout: (callback, delay, ...args) => {
+    const timer = setTimeout(
+      (...args) => {
+        scheduled.delete(timer)
+        callback(...args)
+      },
+      delay,
+      ...args,
+    )
+    scheduled.add(timer)
+    return timer
+  },
+  clearTimeout: (timer) => {
+    scheduled.delete(timer)
+    clearTimeout(timer)
+  },
+  requestAnimationFrame: (callback) => setTimeout(callback, 0),
+}
+
+beforeEach(() => {
+  delete window.__VUESEQ_DELAYS__
+})
+
+test('continueRender() wakes the wait and clears its timer', async () => {
+  const handle = delayRender('Loading', { timeout: 60000 })
+  const waiting = waitForRender()
+  await new Promise((resolve) => setTimeout(resolve, 10))
+  assert.equal(scheduled.size, 1)
+
+  continueRender(handle)
+  await waiting
+  assert.equal(scheduled.size, 0)
+})
+
+test('a handle that is never continued fails with its label', async () => {
+  delayRender('Loading stats', { timeout: 20 })
+  await assert.rejects(
+    waitForRender(),
+    /delayRender\("Loading stats"\) was not continued within 20ms\. Timers/,
+  )
+  assert.equal(scheduled.size, 0)
+})
+
+test('continueRender() rejects released handles', () => {
+  const handle = delayRender()
+  continueRender(handle)
+  assert.throws(() => continueRender(handle), /unknown or released handle/)
+})
@@ -0,0 +1,105 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createSSRApp, h } from 'vue'
+import { renderToString } from 'vue/server-renderer'
+
+// The runtime keeps its registries on window
+globalThis.window = globalThis
+globalThis.location = { href: 'http://localhost/' }
+
+const { registerAudio, collectAudioTracks } = await import(
+  '../src/runtime/audio.js'
+)
+const { registerScene } = await import('../src/runtime/scenes.js')
+const { SeqAudio } = await import('../src/runtime/SeqAudio.js')
+const { Sequence } = await import('../src/runtime/Sequence.js')
+
+beforeEach(() => {
+  delete window.__VUESEQ_AUDIO__
+  delete window.__VUESEQ_SCENES__
+})
+
+test('sounds of scenes mounted later are collected', async () => {
+  registerAudio({ src: 'music.mp3', at: 0 })
+  registerScene({ start: 0 })
+  registerScene({ start: 4 })
+  registerScene({ start: 10 })
+
+  const seeks = []
+  const tracks = await collectAudioTracks(async (time) => {
+    seeks.push(time)
+    // What mounting each scene's content registers
+    if (time === 4) {
+      registerAudio({ src: 'whoosh.mp3', at: 4.5 })
+      // A nested Sequence, found once its parent is mounted
+      registerScene({ start: 6 })
+    }
+    if (time === 6) registerAudio({ src: 'ding.mp3', at: 7 })
+    if (time === 10) registerAudio({ src: 'outro.mp3', at: 10 })
+  })
+
+  assert.deepEqual(seeks, [4, 6, 10])
+  assert.deepEqual(
+    tracks.map(({ src, at }) => [new URL(src).pathname, at]),
+    [
+      ['/music.mp3', 0],
+      ['/whoosh.mp3', 4.5],
+      ['/ding.mp3', 7],
+      ['/outro.mp3', 10],
+    ],
+  )
+})
+
+test('a sound unmounted with its scene is still collected once', async () => {
+  registerScene({ start: 2 })
+  registerScene({ start: 5 })
+
+  let unregister = null
+  const tracks = await collectAudioTracks(async (time) => {
+    if (time === 2) unregister = registerAudio({ src: 'a.mp3', at: 2 })
+    if (time === 5) unregister()
+  })
+
+  assert.equal(tracks.length, 1)
+})
+
+test('SeqAudio inside a Sequence starts at scene time', async () => {
+  // Starts 2 s before the video, so its content is mounted at time 0
+  const app = createSSRApp({
+    render: () =>
+      h(Sequence, { from: -2, duration: 10 }, () =>
+        h(SeqAudio, { src: 'whoosh.mp3', at: 3, volume: 0.5 }),
+      ),
+  })
+  await renderToString(app)
+
+  const tracks = await collectAudioTracks(async () => {})
+  assert.deepEqual(
+    tracks.map(({ at, volume }) => ({ at, volume })),
+    [{ at: 1, volume: 0.5 }],
+  )
+})
+
+test('SeqAudio is cut off at the end of its Sequence', async () => {
+  const app = createSSRApp({
+    render: () => [
+      h(Sequence, { from: -2, duration: 5 }, () => [
+        h(SeqAudio, { src: 'whoosh.mp3', at: 1 }),
+        // A nested scene ends with its parent
+        h(Sequence, { from: 1 }, () => h(SeqAudio, { src: 'ding.mp3' })),
+      ]),
+      h(SeqAudio, { src: 'music.mp3' }),
+    ],
+  })
+  await renderToString(app)
+
+  const tracks = await collectAudioTracks(async () => {})
+  assert.deepEqual(
+    tracks.map(({ src, at, end }) => [new URL(src).pathname, at, end]),
+    [
+      ['/whoosh.mp3', -1, 3],
+      ['/ding.mp3', -1, 3],
+      ['/music.mp3', 0, Infinity],
+    ],
+  )
+})
@@ -0,0 +1,98 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm, stat, writeFile } from 'fs/promises'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { chromium } from 'playwright'
+import { render, selectRenderer } from '../src/renderer/select.js'
+import { renderToMp4Parallel } from '../src/renderer/encode-parallel.js'
+import { renderSequence } from '../src/renderer/sequence.js'
+
+test('the options pick the renderer the CLI would', () => {
+  const cases = [
+    [{ output: 'out.mp4' }, 'standard'],
+    [{ output: 'out.mp4', optimized: true }, 'optimized'],
+    [{ output: 'out.mp4', parallel: true, optimized: true }, 'parallel'],
+    [{ output: 'out.mp4', parallel: true, chunked: true }, 'chunked'],
+    [{ output: 'out.webm', resume: true }, 'chunked'],
+    [{ output: 'out.gif', parallel: true }, 'animated-image'],
+    [{ output: 'out.gif', sequence: 'f-%03d.png' }, 'sequence'],
+    [{}, 'standard'],
+  ]
+  for (const [options, method] of cases) {
+    assert.equal(selectRenderer(options).method, method, JSON.stringify(options))
+  }
+
+  assert.equal(
+    selectRenderer({ parallel: true }).renderer,
+    renderToMp4Parallel,
+  )
+  // Sequences are written to the pattern
+  const sequence = selectRenderer({
+    output: 'out.mp4',
+    sequence: 'frames/f-%03d.png',
+    parallel: true,
+  })
+  assert.equal(sequence.renderer, renderSequence)
+  assert.equal(sequence.options.output, 'frames/f-%03d.png')
+  assert.equal(sequence.options.parallel, true)
+})
+
+// Needs a Chromium that Playwright can launch
+const hasChromium = await chromium.launch().then(
+  (browser) => browser.close().then(() => true),
+  () => false,
+)
+
+test(
+  'a profile with a props file renders in parallel',
+  { skip: !hasChromium && 'no Chromium' },
+  async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'vueseq-select-test-'))
+    try {
+      // The timeline's length comes from the props file
+      const input = join(dir, 'Video.vue')
+      await writeFile(
+        input,
+        `<script setup>
+import { onMounted } from 'vue'
+import gsap from 'gsap'
+const props = defineProps({ seconds: Number })
+onMounted(() => gsap.to('h1', { x: 20, duration: props.seconds }))
+</script>
+<template><h1>Props</h1></template>
+`,
+      )
+      await writeFile(join(dir, 'data.json'), JSON.stringify({ seconds: 0.5 }))
+      await writeFile(
+        join(dir, 'vueseq.config.json'),
+        JSON.stringify({
+          width: 64,
+          height: 48,
+          fps: 10,
+          viteConfig: false,
+          profiles: {
+            draft: { parallel: true, workers: 2, propsFile: 'data.json' },
+          },
+        }),
+      )
+
+      const output = join(dir, 'out.mp4')
+      const progress = []
+      assert.equal(
+        await render({
+          input,
+          profile: 'draft',
+          output,
+          onProgress: ({ total }) => progress.push(total),
+        }),
+        output,
+      )
+      assert.ok(progress.length > 0)
+      assert.ok(progress.every((total) => total === 5))
+      assert.ok((await stat(output)).size > 0)
+    } finally {
+      await rm(dir, { recursive: true, force: true })
+    }
+  },
+)
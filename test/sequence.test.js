@@ -0,0 +1,105 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRenderer, defineComponent, h, nextTick } from 'vue'
+
+// The runtime keeps its registries on window
+globalThis.window = globalThis
+window.__VUESEQ_REAL_TIMERS__ = { now: () => performance.now() }
+
+const { Sequence } = await import('../src/runtime/Sequence.js')
+const { updateScenes } = await import('../src/runtime/scenes.js')
+
+// A renderer into plain objects, enough to mount and unmount components
+const { createApp } = createRenderer({
+  createElement: (tag) => ({ tag, children: [], parent: null }),
+  createText: (text) => ({ text, parent: null }),
+  createComment: (text) => ({ comment: text, parent: null }),
+  setText: (node, text) => {
+    node.text = text
+  },
+  setElementText: (node, text) => {
+    node.children = [{ text, parent: node }]
+  },
+  insert: (child, parent, anchor) => {
+    child.parent = parent
+    const index = anchor ? parent.children.indexOf(anchor) : -1
+    if (index === -1) parent.children.push(child)
+    else parent.children.splice(index, 0, child)
+  },
+  remove: (child) => {
+    const siblings = child.parent?.children
+    if (siblings) siblings.splice(siblings.indexOf(child), 1)
+    child.parent = null
+  },
+  parentNode: (node) => node.parent,
+  nextSibling: (node) => {
+    const siblings = node.parent?.children ?? []
+    return siblings[siblings.indexOf(node) + 1] ?? null
+  },
+  patchProp: () => {},
+})
+
+const pendingHandles = () => [...window.__VUESEQ_DELAYS__.pending.values()]
+
+// Flush Vue's scheduler and the promise jobs it queues
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+// A component whose async setup() finishes when finish() is called
+function createAsyncComponent() {
+  let finish
+  const loaded = new Promise((resolve) => {
+    finish = resolve
+  })
+  const component = defineComponent({
+    async setup() {
+      await loaded
+      return () => h('p', 'loaded')
+    },
+  })
+  return { component, finish }
+}
+
+beforeEach(() => {
+  delete window.__VUESEQ_DELAYS__
+  delete window.__VUESEQ_SCENES__
+})
+
+test('an async component in a later scene holds rendering', async () => {
+  const { component, finish } = createAsyncComponent()
+  const app = createApp({
+    render: () =>
+      h(Sequence, { from: 1, duration: 2, name: 'late' }, () => h(component)),
+  })
+  app.mount({ tag: 'root', children: [], parent: null })
+
+  assert.equal(window.__VUESEQ_DELAYS__, undefined)
+
+  updateScenes(1.5)
+  await nextTick()
+  assert.deepEqual(
+    pendingHandles().map(({ label }) => label),
+    ['<Sequence name="late">'],
+  )
+
+  finish()
+  await settle()
+  assert.equal(pendingHandles().length, 0)
+  app.unmount()
+})
+
+test('a scene unmounted while pending releases its handle', async () => {
+  const { component } = createAsyncComponent()
+  const app = createApp({
+    render: () => h(Sequence, { from: 1, duration: 2 }, () => h(component)),
+  })
+  app.mount({ tag: 'root', children: [], parent: null })
+
+  updateScenes(1)
+  await nextTick()
+  assert.equal(pendingHandles().length, 1)
+
+  updateScenes(3)
+  await nextTick()
+  assert.equal(pendingHandles().length, 0)
+  app.unmount()
+})
@@ -0,0 +1,139 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRenderer, createSSRApp, h } from 'vue'
+import { renderToString } from 'vue/server-renderer'
+
+// The runtime keeps its registries on window
+globalThis.window = globalThis
+
+const { VideoClip, getSourceTime } = await import('../src/runtime/VideoClip.js')
+const { runFrameHooks } = await import('../src/runtime/frame-hooks.js')
+
+// A Mediabunny whose source spans firstTimestamp to endTimestamp and which
+// records the frames asked for and the sources opened
+function fakeMediabunny({ firstTimestamp = 0, endTimestamp = 1 } = {}) {
+  const opened = []
+  const requested = []
+  const track = {
+    getFirstTimestamp: async () => firstTimestamp,
+    computeDuration: async () => endTimestamp,
+  }
+  const mediabunny = {
+    ALL_FORMATS: [],
+    UrlSource: class {
+      constructor(src, options) {
+        opened.push({ src, retryDelay: options?.getRetryDelay?.(1) })
+      }
+    },
+    Input: class {
+      getPrimaryVideoTrack = async () => track
+    },
+    CanvasSink: class {
+      getCanvas = async (timestamp) => {
+        requested.push(timestamp)
+        return { canvas: { width: 16, height: 9 } }
+      }
+    },
+  }
+  return { mediabunny, opened, requested }
+}
+
+test('the source frame follows startAt and playbackRate', () => {
+  const clip = {
+    startAt: 2,
+    playbackRate: 1,
+    firstTimestamp: 0,
+    endTimestamp: 5,
+  }
+  assert.equal(getSourceTime(2, clip), 0)
+  assert.equal(getSourceTime(3.5, clip), 1.5)
+
+  // Half speed, from a source whose first frame isn't at 0
+  const slow = { ...clip, playbackRate: 0.5, firstTimestamp: 1, endTimestamp: 4 }
+  assert.equal(getSourceTime(2, slow), 1)
+  assert.equal(getSourceTime(4, slow), 2)
+
+  assert.equal(getSourceTime(3, { ...clip, playbackRate: 2 }), 2)
+})
+
+test('nothing is shown before the clip starts or after it ends', () => {
+  const clip = {
+    startAt: 2,
+    playbackRate: 2,
+    firstTimestamp: 0,
+    endTimestamp: 4,
+  }
+  assert.equal(getSourceTime(0, clip), null)
+  assert.equal(getSourceTime(1.999, clip), null)
+  assert.equal(getSourceTime(3.75, clip), 3.5)
+  // The end timestamp is past the last frame
+  assert.equal(getSourceTime(4, clip), null)
+  assert.equal(getSourceTime(10, clip), null)
+})
+
+test('each rendered frame draws the source frame for its time', async () => {
+  const { mediabunny, requested } = fakeMediabunny({
+    firstTimestamp: 0.5,
+    endTimestamp: 3.5,
+  })
+  window.Mediabunny = mediabunny
+
+  const drawn = []
+  const context = {
+    clearRect: () => drawn.push('clear'),
+    drawImage: () => drawn.push('draw'),
+  }
+  // A renderer into plain objects; canvases get a 2D context
+  const { createApp } = createRenderer({
+    createElement: (tag) => ({ tag, getContext: () => context }),
+    createText: () => ({}),
+    createComment: () => ({}),
+    setText: () => {},
+    setElementText: () => {},
+    insert: () => {},
+    remove: () => {},
+    parentNode: () => null,
+    nextSibling: () => null,
+    patchProp: () => {},
+  })
+
+  const app = createApp({
+    render: () =>
+      h(VideoClip, { src: '/broll.mp4', startAt: 1, playbackRate: 2 }),
+  })
+  try {
+    app.mount({})
+
+    await runFrameHooks(0.5)
+    assert.deepEqual(requested, [])
+    assert.deepEqual(drawn, ['clear'])
+
+    await runFrameHooks(1.25)
+    assert.deepEqual(requested, [1])
+    assert.deepEqual(drawn, ['clear', 'clear', 'draw'])
+
+    // 1 s of video is 2 s of source: past its end
+    await runFrameHooks(2.5)
+    assert.deepEqual(requested, [1])
+    assert.deepEqual(drawn.slice(-1), ['clear'])
+  } finally {
+    app.unmount()
+    delete window.Mediabunny
+  }
+})
+
+test('VideoClip uses the Mediabunny already on the page', async () => {
+  const { mediabunny, opened } = fakeMediabunny()
+  window.Mediabunny = mediabunny
+
+  try {
+    const app = createSSRApp({
+      render: () => h(VideoClip, { src: '/broll.mp4' }),
+    })
+    await renderToString(app)
+    // Without retries, which would wait on the virtual clock
+    assert.deepEqual(opened, [{ src: '/broll.mp4', retryDelay: null }])
+  } finally {
+    delete window.Mediabunny
+  }
+})
@@ -0,0 +1,187 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { installVirtualClock } from '../src/runtime/virtual-clock.js'
+
+// The clock replaces performance.now and Math.random globally
+const realNow = Object.getOwnPropertyDescriptor(performance, 'now')
+const realRandom = Math.random
+
+// A fresh window for each clock, so timers of one test don't leak
+beforeEach(() => {
+  globalThis.window = {
+    Date,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    requestAnimationFrame: (callback) => setTimeout(callback, 16),
+    cancelAnimationFrame: clearTimeout,
+  }
+})
+
+afterEach(() => {
+  if (realNow) Object.defineProperty(performance, 'now', realNow)
+  else delete performance.now
+  Math.random = realRandom
+})
+
+test('time is frozen until the clock advances', async () => {
+  const clock = installVirtualClock({ epoch: 1000 })
+  assert.equal(performance.now(), 0)
+  assert.equal(window.Date.now(), 1000)
+  assert.equal(new window.Date().getTime(), 1000)
+
+  await clock.advanceTo(1.5)
+  assert.equal(clock.now(), 1500)
+  assert.equal(performance.now(), 1500)
+  assert.equal(window.Date.now(), 2500)
+  // Dates from arguments are left alone
+  assert.equal(new window.Date(0).getTime(), 0)
+})
+
+test('timers fire in time order, ties in the order they were set', async () => {
+  const clock = installVirtualClock()
+  const fired = []
+  window.setTimeout(() => fired.push(['b', performance.now()]), 200)
+  window.setTimeout(() => fired.push(['a', performance.now()]), 100)
+  window.setTimeout(() => fired.push(['c', performance.now()]), 200)
+  window.setTimeout(() => {
+    fired.push(['d', performance.now()])
+    // Set while advancing, due before the target
+    window.setTimeout(() => fired.push(['e', performance.now()]), 50)
+  }, 150)
+  const cleared = window.setTimeout(() => fired.push(['x']), 100)
+  window.clearTimeout(cleared)
+  window.setTimeout(() => fired.push(['late']), 1000)
+
+  await clock.advanceTo(0.5)
+  assert.deepEqual(fired, [
+    ['a', 100],
+    ['d', 150],
+    ['b', 200],
+    ['c', 200],
+    ['e', 200],
+  ])
+})
+
+test('intervals repeat until cleared', async () => {
+  const clock = installVirtualClock()
+  const ticks = []
+  const id = window.setInterval(() => {
+    ticks.push(performance.now())
+    if (ticks.length === 3) window.clearInterval(id)
+  }, 100)
+  // A zero interval still lets time move forward
+  let zero = 0
+  window.setInterval(() => zero++, 0)
+
+  await clock.advanceTo(1)
+  assert.deepEqual(ticks, [100, 200, 300])
+  assert.equal(zero, 1001)
+})
+
+test('animation frames step through every skipped video frame', async () => {
+  const clock = installVirtualClock()
+  const frames = []
+  const loop = (time) => {
+    frames.push(time)
+    window.requestAnimationFrame(loop)
+  }
+  window.requestAnimationFrame(loop)
+  const visited = []
+
+  // First seek: frames 0 to 3 at 10 fps
+  await clock.advanceTo(0.3, 10, (time) => visited.push(time))
+  assert.deepEqual(frames, [0, 100, 200, 300])
+  assert.deepEqual(visited, [0, 0.1, 0.2, 0.3])
+
+  // Jumping ahead runs the frames a sequential render would have
+  await clock.advanceTo(0.6, 10)
+  assert.deepEqual(frames, [0, 100, 200, 300, 400, 500, 600])
+
+  // Without a frame rate, one frame at the target
+  await clock.advanceTo(2)
+  assert.deepEqual(frames.slice(-1), [2000])
+  assert.equal(frames.length, 8)
+})
+
+test('timers fire between the frames they fall in', async () => {
+  const clock = installVirtualClock()
+  const events = []
+  window.setTimeout(() => events.push(`timer ${performance.now()}`), 150)
+  const loop = (time) => {
+    events.push(`frame ${time}`)
+    window.requestAnimationFrame(loop)
+  }
+  window.requestAnimationFrame(loop)
+
+  await clock.advanceTo(0.2, 10)
+  assert.deepEqual(events, [
+    'frame 0',
+    'frame 100',
+    'timer 150',
+    'frame 200',
+  ])
+})
+
+test('seeking backwards jumps without replaying timers', async () => {
+  const clock = installVirtualClock()
+  const fired = []
+  window.setTimeout(() => fired.push(performance.now()), 500)
+  await clock.advanceTo(1, 10)
+  assert.deepEqual(fired, [500])
+
+  const frames = []
+  window.requestAnimationFrame((time) => frames.push(time))
+  const visited = []
+  await clock.advanceTo(0.2, 10, (time) => visited.push(time))
+  assert.equal(performance.now(), 200)
+  assert.deepEqual(frames, [200])
+  assert.deepEqual(visited, [0.2])
+  assert.deepEqual(fired, [500])
+
+  // A timer set now fires relative to the new time
+  window.setTimeout(() => fired.push(performance.now()), 100)
+  await clock.advanceTo(0.4, 10)
+  assert.deepEqual(fired, [500, 300])
+})
+
+test('a runaway timer loop fails instead of hanging', async () => {
+  const clock = installVirtualClock()
+  const again = () => window.setTimeout(again, 0)
+  again()
+  await assert.rejects(clock.advanceTo(0.1), /too many timers fired/)
+})
+
+test('Math.random repeats for the same seed', () => {
+  installVirtualClock()
+  const first = Array.from({ length: 5 }, () => Math.random())
+  installVirtualClock()
+  const second = Array.from({ length: 5 }, () => Math.random())
+  assert.deepEqual(second, first)
+  for (const value of first) assert.ok(value >= 0 && value < 1)
+
+  installVirtualClock({ seed: 42 })
+  assert.notDeepEqual(
+    Array.from({ length: 5 }, () => Math.random()),
+    first,
+  )
+})
+
+test('timer errors are reported and do not stop the clock', async () => {
+  const clock = installVirtualClock()
+  const errors = []
+  globalThis.reportError = (error) => errors.push(error.message)
+  const fired = []
+  window.setTimeout(() => {
+    throw new Error('boom')
+  }, 10)
+  window.setTimeout(() => fired.push(performance.now()), 20)
+  try {
+    await clock.advanceTo(0.1)
+  } finally {
+    delete globalThis.reportError
+  }
+  assert.deepEqual(errors, ['boom'])
+  assert.deepEqual(fired, [20])
+})
@@ -0,0 +1,137 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { existsSync } from 'fs'
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { listCompositionFiles } from '../src/bundler/vite.js'
+import {
+  cleanWorkDirs,
+  listWorkDirs,
+  openWorkDir,
+} from '../src/renderer/work-dir.js'
+
+async function makeRoot() {
+  const root = await mkdtemp(join(tmpdir(), 'vueseq-work-test-'))
+  // What a project directory passed as --work-dir looks like
+  await mkdir(join(root, 'src'))
+  await writeFile(join(root, 'src', 'Video.vue'), '<template />')
+  await mkdir(join(root, 'node_modules'))
+  // Named like a key, but without a manifest
+  await mkdir(join(root, '0123456789abcdef'))
+  // A manifest for another key
+  await mkdir(join(root, 'fedcba9876543210'))
+  await writeFile(
+    join(root, 'fedcba9876543210', 'render.json'),
+    JSON.stringify({ key: '0000000000000000' }),
+  )
+  // A real work directory
+  await mkdir(join(root, 'aaaaaaaaaaaaaaaa'))
+  await writeFile(
+    join(root, 'aaaaaaaaaaaaaaaa', 'render.json'),
+    JSON.stringify({
+      key: 'aaaaaaaaaaaaaaaa',
+      input: join(root, 'missing.vue'),
+      usedAt: new Date().toISOString(),
+    }),
+  )
+  return root
+}
+
+test('only directories with a manifest for their key are listed', async () => {
+  const root = await makeRoot()
+  try {
+    const dirs = await listWorkDirs(root)
+    assert.deepEqual(
+      dirs.map(({ key }) => key),
+      ['aaaaaaaaaaaaaaaa'],
+    )
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('clean --all leaves everything but work directories alone', async () => {
+  const root = await makeRoot()
+  try {
+    const removed = await cleanWorkDirs({ all: true, workDir: root })
+    assert.equal(removed.length, 1)
+    assert.ok(!existsSync(join(root, 'aaaaaaaaaaaaaaaa')))
+    for (const name of [
+      'src',
+      'node_modules',
+      '0123456789abcdef',
+      'fedcba9876543210',
+    ]) {
+      assert.ok(existsSync(join(root, name)), `${name} was removed`)
+    }
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('clean without options removes stale work directories only', async () => {
+  const root = await makeRoot()
+  try {
+    const removed = await cleanWorkDirs({ workDir: root })
+    assert.deepEqual(
+      removed.map(({ reason }) => reason),
+      ['composition no longer exists'],
+    )
+    assert.ok(existsSync(join(root, 'src', 'Video.vue')))
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('editing an imported file changes the work directory', async () => {
+  const project = await mkdtemp(join(tmpdir(), 'vueseq-project-test-'))
+  const root = join(project, 'work')
+  const input = join(project, 'Video.vue')
+  await writeFile(
+    input,
+    `<script setup>
+import Scene from './scenes/Scene.vue'
+import './style.css'
+</script>
+<template><Scene /></template>
+`,
+  )
+  await mkdir(join(project, 'scenes'))
+  const scene = join(project, 'scenes', 'Scene.vue')
+  await writeFile(scene, '<template><h1>One</h1></template>\n')
+  await writeFile(join(project, 'style.css'), 'h1 { color: red }\n')
+
+  const settings = {
+    input,
+    output: 'out.mp4',
+    fps: 30,
+    duration: 1,
+    width: 320,
+    height: 180,
+    codec: 'avc',
+    encoding: {},
+    viteConfig: false,
+    workDir: root,
+  }
+  const open = async () => {
+    const files = await listCompositionFiles({
+      input,
+      width: 320,
+      height: 180,
+      viteConfig: false,
+    })
+    return { files, ...(await openWorkDir({ ...settings, files })) }
+  }
+
+  try {
+    const first = await open()
+    assert.deepEqual(first.files, [input, scene, join(project, 'style.css')])
+    assert.equal((await open()).key, first.key)
+
+    await writeFile(scene, '<template><h1>Two</h1></template>\n')
+    assert.notEqual((await open()).key, first.key)
+  } finally {
+    await rm(project, { recursive: true, force: true })
+  }
+})